@@ -0,0 +1,66 @@
+/**
+ * @fileoverview The Express app: middleware, routes and error handling.
+ * server.js starts it; tests drive it directly.
+ */
+
+const express = require("express");
+const app = express();
+const cors = require("cors");
+const { authenticate, corsOptions } = require("./middlewares/auth");
+const {
+  requestId,
+  notFoundHandler,
+  errorHandler,
+} = require("./middlewares/errorHandler");
+
+// Middleware
+app.use(requestId);
+app.use(cors(corsOptions()));
+app.use(express.json());
+
+// Health check route
+app.get("/health", (req, res) => {
+  res.json({ status: "ok" });
+});
+
+// OpenAPI description of the API (GET /openapi.json)
+app.use("/", require("./routes/openapi"));
+
+// Every route below identifies the caller; each route checks the role it needs
+app.use(authenticate);
+
+// Import routes
+
+const contentRoutes = require("./routes/content");
+const scanRoutes = require("./routes/scan");
+const previewRoutes = require("./routes/preview");
+const rewriteRoutes = require("./routes/rewrite");
+const applyRoutes = require("./routes/apply");
+const jobRoutes = require("./routes/jobs");
+const taskRoutes = require("./routes/tasks");
+const brandkitRoutes = require("./routes/brandkit");
+const auditRoutes = require("./routes/audit");
+const usageRoutes = require("./routes/usage");
+const recipeRoutes = require("./routes/recipes");
+
+// Mount routes
+app.use("/", contentRoutes);
+app.use("/scan", scanRoutes);
+app.use("/preview", previewRoutes);
+app.use("/rewrite", rewriteRoutes);
+app.use("/apply", applyRoutes);
+app.use("/jobs", jobRoutes);
+app.use("/tasks", taskRoutes);
+app.use("/brandkit", brandkitRoutes);
+app.use("/audit", auditRoutes);
+app.use("/usage", usageRoutes);
+app.use("/recipes", recipeRoutes);
+
+// Unknown routes and every error thrown by a route end here
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Handlers for the background tasks started through /tasks
+require("./services/taskHandlers");
+
+module.exports = app;
@@ -1,12 +1,96 @@
 require("dotenv").config();
+const path = require("path");
+
+// Local storage for replace jobs and other server-side state
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
 
 const config = {
   PORT: process.env.PORT || 3000,
   CONTENTSTACK_API_KEY: process.env.CONTENTSTACK_API_KEY || "",
   CONTENTSTACK_MANAGEMENT_TOKEN:
     process.env.CONTENTSTACK_MANAGEMENT_TOKEN || "",
+  // Branch used when a request does not name one (empty = the stack's main branch)
+  CONTENTSTACK_BRANCH: process.env.CONTENTSTACK_BRANCH || "",
+  // Defaults for moving applied entries into workflow after /apply
+  CONTENTSTACK_WORKFLOW_STAGE: process.env.CONTENTSTACK_WORKFLOW_STAGE || "",
+  CONTENTSTACK_PUBLISH_RULE: process.env.CONTENTSTACK_PUBLISH_RULE || "",
+  // Where content is read and written: "contentstack" (the Management API)
+  // or "file", a local stand-in loaded from CONTENT_FIXTURES_DIR, for offline
+  // development, demos and tests. Its edits are saved under DATA_DIR/content.
+  CONTENT_STORE: process.env.CONTENT_STORE || "contentstack",
+  CONTENT_FIXTURES_DIR:
+    process.env.CONTENT_FIXTURES_DIR || path.join(__dirname, "..", "fixtures"),
+  // Asset metadata key holding alt text. Assets have no built-in alt text
+  // field, so stacks keep it in a custom metadata field of their own.
+  ASSET_ALT_TEXT_FIELD: process.env.ASSET_ALT_TEXT_FIELD || "alt_text",
   BRANDKIT_API_KEY: process.env.BRANDKIT_API_KEY || "",
-  GEMINI_API_KEY: process.env.GEMINI_API_KEY,
+  // Local brand rules (also the fallback when the Brandkit API is unavailable)
+  BRANDKIT_FILE:
+    process.env.BRANDKIT_FILE || path.join(__dirname, "..", "brandkit.json"),
+  // How long rules fetched from the Brandkit API are reused
+  BRANDKIT_CACHE_TTL_MS: Number(process.env.BRANDKIT_CACHE_TTL_MS) || 60000,
+  // How long a regex query or brand rule may run on one text before the
+  // request fails, for patterns that backtrack catastrophically
+  REGEX_TIMEOUT_MS: Number(process.env.REGEX_TIMEOUT_MS) || 250,
+  // Model used by smart mode: "gemini", "openai" (any OpenAI-compatible
+  // chat completions API, e.g. a local model server) or "mock"
+  LLM_PROVIDER: process.env.LLM_PROVIDER || "gemini",
+  // Model name; empty uses the provider's default
+  LLM_MODEL: process.env.LLM_MODEL || "",
+  GEMINI_API_KEY: process.env.GEMINI_API_KEY || "",
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY || "",
+  // Mock provider: "echo" returns the prompt's JSON unchanged, "record" calls
+  // LLM_RECORD_PROVIDER and saves its answers, "replay" answers from them
+  LLM_MOCK_MODE: process.env.LLM_MOCK_MODE || "echo",
+  LLM_RECORD_PROVIDER: process.env.LLM_RECORD_PROVIDER || "gemini",
+  LLM_RECORDINGS_FILE:
+    process.env.LLM_RECORDINGS_FILE ||
+    path.join(DATA_DIR, "llm-recordings.json"),
+  // Limits on model calls: concurrent calls, calls started per minute
+  // (0 = no limit) and retries on 429/5xx responses, with exponential backoff
+  LLM_CONCURRENCY: Math.max(1, Number(process.env.LLM_CONCURRENCY) || 2),
+  LLM_REQUESTS_PER_MINUTE: Number(process.env.LLM_REQUESTS_PER_MINUTE) || 0,
+  LLM_MAX_RETRIES: Number(process.env.LLM_MAX_RETRIES ?? 3),
+  LLM_RETRY_BASE_MS: Number(process.env.LLM_RETRY_BASE_MS) || 1000,
+  // How long model responses are reused for identical prompts (0 = no cache)
+  LLM_CACHE_TTL_MS: Number(process.env.LLM_CACHE_TTL_MS ?? 604800000),
+  // Prices in USD per million tokens, for models without a built-in price
+  LLM_INPUT_COST_PER_MTOK: process.env.LLM_INPUT_COST_PER_MTOK
+    ? Number(process.env.LLM_INPUT_COST_PER_MTOK)
+    : null,
+  LLM_OUTPUT_COST_PER_MTOK: process.env.LLM_OUTPUT_COST_PER_MTOK
+    ? Number(process.env.LLM_OUTPUT_COST_PER_MTOK)
+    : null,
+  // API keys as a JSON array of {name, key, role, contentTypes?}; roles are
+  // "viewer", "editor" and "admin". Without API keys or JWT settings the API
+  // is open and every caller is an admin. A `contentTypes` allowlist must
+  // include "$assets" for the key to work on asset metadata.
+  AUTH_API_KEYS: process.env.AUTH_API_KEYS || "",
+  // JWTs in `Authorization: Bearer`: HS256 with a shared secret, RS256 with a
+  // PEM public key or keys from a JWKS URL (e.g. Contentstack's public keys
+  // for app and extension tokens)
+  AUTH_JWT_SECRET: process.env.AUTH_JWT_SECRET || "",
+  AUTH_JWT_PUBLIC_KEY: (process.env.AUTH_JWT_PUBLIC_KEY || "").replace(
+    /\\n/g,
+    "\n"
+  ),
+  AUTH_JWKS_URL: process.env.AUTH_JWKS_URL || "",
+  AUTH_JWT_ISSUER: process.env.AUTH_JWT_ISSUER || "",
+  AUTH_JWT_AUDIENCE: process.env.AUTH_JWT_AUDIENCE || "",
+  // Claim holding the caller's role, and the role of tokens without one
+  AUTH_JWT_ROLE_CLAIM: process.env.AUTH_JWT_ROLE_CLAIM || "role",
+  AUTH_JWT_DEFAULT_ROLE: process.env.AUTH_JWT_DEFAULT_ROLE || "viewer",
+  // Browser origins allowed to call the API (comma-separated; empty = any)
+  CORS_ORIGINS: (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean),
+  // How often scheduled recipes are checked for being due (0 = never)
+  RECIPE_SCHEDULER_INTERVAL_MS: Number(
+    process.env.RECIPE_SCHEDULER_INTERVAL_MS ?? 60000
+  ),
+  DATA_DIR,
 };
 
 module.exports = config;
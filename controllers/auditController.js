@@ -0,0 +1,55 @@
+const auditService = require("../services/auditService");
+const { parseFieldFilters } = require("../utils/fieldTargets");
+const { parseStackOptions } = require("../utils/stackOptions");
+const { toAuditCsv, toAuditHtml } = require("../utils/auditReport");
+const { ValidationError } = require("../utils/errors");
+
+const FORMATS = ["json", "csv", "html"];
+
+/**
+ * Check every entry of the stack, or of the `contentTypeUids` subset, against
+ * the brand rules: banned terms, spellings with an approved replacement and
+ * voice-and-tone donts that list terms or a pattern.
+ * @route GET /audit?contentTypeUids=blog_post&format=html
+ * Accepts the same field and locale/branch options as /scan/stack.
+ * `format` is json (default), csv (one row per violation) or html (a
+ * standalone report); csv and html are sent as downloads.
+ */
+async function audit(req, res) {
+  const { format = "json" } = req.query;
+  if (!FORMATS.includes(format)) {
+    throw new ValidationError(`format must be one of ${FORMATS.join(", ")}`);
+  }
+
+  const stackOptions = parseStackOptions(req.query);
+
+  const contentTypeUids = []
+    .concat(req.query.contentTypeUids || [])
+    .flatMap((uid) => String(uid).split(","))
+    .map((uid) => uid.trim())
+    .filter(Boolean);
+
+  const report = await auditService.runAudit({
+    contentTypeUids,
+    stackOptions,
+    fieldFilters: parseFieldFilters(req.query),
+  });
+
+  console.log(
+    `✅ Audit finished: ${report.summary.totalViolations} violation(s) in ${report.summary.totalEntries} entries.`
+  );
+
+  if (format === "csv") {
+    res.type("text/csv");
+    res.attachment("brand-audit.csv");
+    return res.send(toAuditCsv(report));
+  }
+  if (format === "html") {
+    res.type("html");
+    res.attachment("brand-audit.html");
+    return res.send(toAuditHtml(report));
+  }
+  res.json(report);
+}
+
+module.exports = { audit };
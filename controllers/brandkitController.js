@@ -0,0 +1,188 @@
+const brandkitService = require("../services/brandkitService");
+const brandkitStore = require("../services/brandkitStore");
+const { toCsv, parseCsv } = require("../utils/csv");
+const { actorOf } = require("../middlewares/auth");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+function editDetails(req) {
+  return { updatedBy: actorOf(req) };
+}
+
+/**
+ * The brand rules currently in effect (token references resolved), or the
+ * reason they could not be loaded.
+ * @route GET /brandkit
+ */
+async function getRules(req, res) {
+  const { document, ...rules } = await brandkitService.getRules();
+  res.json(rules);
+}
+
+/**
+ * @route GET /brandkit/:section
+ */
+async function listItems(req, res) {
+  const items = await brandkitStore.listItems(req.params.section);
+  res.json({ total: items.length, items });
+}
+
+/**
+ * @route POST /brandkit/:section
+ */
+async function createItem(req, res) {
+  const item = await brandkitStore.createItem(
+    req.params.section,
+    req.body,
+    editDetails(req)
+  );
+  res.status(201).json(item);
+}
+
+/**
+ * @route PUT /brandkit/:section/:itemId
+ */
+async function updateItem(req, res) {
+  const item = await brandkitStore.updateItem(
+    req.params.section,
+    req.params.itemId,
+    req.body,
+    editDetails(req)
+  );
+  res.json(item);
+}
+
+/**
+ * @route DELETE /brandkit/:section/:itemId
+ */
+async function deleteItem(req, res) {
+  await brandkitStore.deleteItem(
+    req.params.section,
+    req.params.itemId,
+    editDetails(req)
+  );
+  res.status(204).end();
+}
+
+/**
+ * Download the rules file as JSON, or one section as CSV
+ * (`?format=csv&section=banned-terms`).
+ * @route GET /brandkit/export
+ */
+async function exportRules(req, res) {
+  const { format = "json", section: sectionName } = req.query;
+  if (format === "json") {
+    const doc = await brandkitStore.readDocument();
+    res.attachment("brandkit.json");
+    return res.send(JSON.stringify(doc, null, 2));
+  }
+  if (format !== "csv") {
+    throw new ValidationError("format must be json or csv");
+  }
+  if (!sectionName) {
+    throw new ValidationError("section is required for CSV exports");
+  }
+
+  const section = brandkitStore.getSection(sectionName);
+  const items = await brandkitStore.listItems(sectionName);
+  res.type("text/csv");
+  res.attachment(`brandkit-${sectionName}.csv`);
+  res.send(toCsv(items, section.columns));
+}
+
+/**
+ * Import rules. A JSON body is either a whole rules document (`mode=replace`)
+ * or `{ approvedTerms?, bannedTerms?, rules? }` lists to merge. A CSV body
+ * (Content-Type text/csv) imports one `section`, merged or replaced.
+ * @route POST /brandkit/import
+ */
+async function importRules(req, res) {
+  const { mode = "merge", section: sectionName } = req.query;
+  if (mode !== "merge" && mode !== "replace") {
+    throw new ValidationError("mode must be merge or replace");
+  }
+  const details = {
+    updatedBy: actorOf(req),
+    note: `Imported (${mode})`,
+  };
+
+  if (typeof req.body === "string") {
+    if (!sectionName) {
+      throw new ValidationError("section is required for CSV imports");
+    }
+    const imported = await brandkitStore.importItems(
+      sectionName,
+      parseCsv(req.body),
+      mode,
+      details
+    );
+    return res.json({ message: "Import completed.", imported });
+  }
+
+  if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+    throw new ValidationError("Expected a JSON object or CSV");
+  }
+  if (mode === "replace") {
+    await brandkitStore.replaceDocument(req.body, details);
+    return res.json({ message: "Brand rules replaced." });
+  }
+
+  const inputsBySection = {};
+  for (const [name, section] of Object.entries(brandkitStore.SECTIONS)) {
+    const items = req.body[section.key];
+    if (items === undefined) continue;
+    if (!Array.isArray(items)) {
+      throw new ValidationError(`${section.key} must be an array`);
+    }
+    inputsBySection[name] = items;
+  }
+  const imported = await brandkitStore.importSections(
+    inputsBySection,
+    "merge",
+    details
+  );
+  res.json({ message: "Import completed.", imported });
+}
+
+/**
+ * @route GET /brandkit/versions
+ */
+async function listVersions(req, res) {
+  const versions = await brandkitStore.listVersions();
+  res.json({ total: versions.length, versions });
+}
+
+/**
+ * @route GET /brandkit/versions/:revision
+ */
+async function getVersion(req, res) {
+  const doc = await brandkitStore.getVersion(req.params.revision);
+  if (!doc) {
+    throw new NotFoundError("Revision not found");
+  }
+  res.json(doc);
+}
+
+/**
+ * Save an earlier revision as the newest one.
+ * @route POST /brandkit/versions/:revision/restore
+ */
+async function restoreVersion(req, res) {
+  const doc = await brandkitStore.restoreVersion(
+    req.params.revision,
+    editDetails(req)
+  );
+  res.json({ message: "Revision restored.", revision: doc.meta.revision });
+}
+
+module.exports = {
+  getRules,
+  listItems,
+  createItem,
+  updateItem,
+  deleteItem,
+  exportRules,
+  importRules,
+  listVersions,
+  getVersion,
+  restoreVersion,
+};
@@ -1,53 +1,53 @@
 const contentstackService = require("../services/contentstackService");
+const { parseStackOptions } = require("../utils/stackOptions");
+const { ValidationError } = require("../utils/errors");
 
 /**
  * List all content types in the stack
- * @route GET /content-types
+ * @route GET /content-types?branch=staging
  */
 async function listContentTypes(req, res) {
-  try {
-    const contentTypes = await contentstackService.getContentTypes();
-
-    const result = contentTypes.map((ct) => ({
-      uid: ct.uid,
-      title: ct.title,
-      description: ct.description,
-      schema: ct.schema.length + " fields",
-    }));
-
-    res.json({ total: result.length, contentTypes: result });
-  } catch (error) {
-    console.error("❌ Error fetching content types:", error.message);
-    res.status(500).json({ error: "Failed to fetch content types" });
-  }
+  const stackOptions = parseStackOptions(req.query);
+  const contentTypes = await contentstackService.getContentTypes(stackOptions);
+
+  const result = contentTypes.map((ct) => ({
+    uid: ct.uid,
+    title: ct.title,
+    description: ct.description,
+    schema: ct.schema.length + " fields",
+  }));
+
+  res.json({ total: result.length, contentTypes: result });
 }
 
 /**
  * List all entries for a given content type
- * @route GET /entries?contentTypeUid=blog_post
+ * @route GET /entries?contentTypeUid=blog_post&locale=fr-fr&branch=staging
  */
 async function listEntries(req, res) {
   const { contentTypeUid } = req.query;
 
   if (!contentTypeUid) {
-    return res.status(400).json({ error: "contentTypeUid is required" });
+    throw new ValidationError("contentTypeUid is required");
   }
 
-  try {
-    const entries = await contentstackService.getEntries(contentTypeUid);
-
-    const result = entries.map((entry) => ({
-      uid: entry.uid,
-      title: entry.title || "(no title)",
-      updated_at: entry.updated_at,
-      created_at: entry.created_at,
-    }));
-
-    res.json({ total: result.length, entries: result });
-  } catch (error) {
-    console.error("❌ Error fetching entries:", error.message);
-    res.status(500).json({ error: "Failed to fetch entries" });
-  }
+  const stackOptions = parseStackOptions(req.query);
+  const entries = await contentstackService.getEntries(
+    contentTypeUid,
+    stackOptions
+  );
+
+  const result = entries.map((entry) => ({
+    uid: entry.uid,
+    title: entry.title || "(no title)",
+    locale: entry.locale,
+    // false when the entry falls back to the master locale content
+    localized: !stackOptions.locale || entry.locale === stackOptions.locale,
+    updated_at: entry.updated_at,
+    created_at: entry.created_at,
+  }));
+
+  res.json({ total: result.length, entries: result });
 }
 
 module.exports = { listContentTypes, listEntries };
@@ -0,0 +1,239 @@
+const contentstackService = require("../services/contentstackService");
+const jobService = require("../services/jobService");
+const { assetMetadata } = require("../services/assetService");
+const { setNestedValue } = require("../utils/objectPath");
+const {
+  ASSETS_ACCESS,
+  actorOf,
+  assertContentTypeAccess,
+  canAccessContentType,
+} = require("../middlewares/auth");
+const {
+  NotFoundError,
+  ValidationError,
+  errorFields,
+} = require("../utils/errors");
+
+// Load a job the caller may see (all of its content types), or fail.
+async function findJob(req) {
+  const job = await jobService.getJob(req.params.jobId);
+  if (!job) {
+    throw new NotFoundError("Job not found", { code: "JOB_NOT_FOUND" });
+  }
+  assertContentTypeAccess(req.principal, contentTypesOf(job));
+  return job;
+}
+
+// The job's content type, and those of the linked entries it updated.
+function contentTypesOf(job) {
+  if (job.target === "assets") return [ASSETS_ACCESS];
+  return [
+    ...new Set([
+      job.contentTypeUid,
+      ...job.entries.map((entry) => entry.contentTypeUid).filter(Boolean),
+    ]),
+  ];
+}
+
+/**
+ * How the documents a job updated are read and written back: entries, or
+ * (for asset jobs) the metadata of assets.
+ */
+function documentsOf(job) {
+  const branch = job.branch || undefined;
+  if (job.target === "assets") {
+    return {
+      kind: "asset",
+      uidKey: "assetUid",
+      fetch: async ({ assetUid }) =>
+        (await contentstackService.getAssetsByIds([assetUid], { branch }))[0],
+      update: ({ assetUid }, data) =>
+        contentstackService.updateAsset(assetUid, assetMetadata(data), {
+          branch,
+        }),
+    };
+  }
+
+  const entryOptions = (jobEntry) => ({
+    locale: jobEntry.locale || undefined,
+    branch,
+  });
+  const contentTypeOf = (jobEntry) =>
+    jobEntry.contentTypeUid || job.contentTypeUid;
+  return {
+    kind: "entry",
+    uidKey: "entryUid",
+    fetch: async (jobEntry) =>
+      (
+        await contentstackService.getEntriesByIds(
+          contentTypeOf(jobEntry),
+          [jobEntry.entryUid],
+          entryOptions(jobEntry)
+        )
+      )[0],
+    update: (jobEntry, data) =>
+      contentstackService.updateEntry(
+        contentTypeOf(jobEntry),
+        jobEntry.entryUid,
+        data,
+        entryOptions(jobEntry)
+      ),
+  };
+}
+
+/**
+ * List recorded replace jobs, newest first. Jobs touching content types
+ * outside the caller's allowlist are left out.
+ * @route GET /jobs
+ */
+async function listJobs(req, res) {
+  const jobs = (await jobService.listJobs()).filter((job) =>
+    contentTypesOf(job).every((uid) => canAccessContentType(req.principal, uid))
+  );
+
+  const result = jobs.map((job) => ({
+    id: job.id,
+    createdAt: job.createdAt,
+    createdBy: job.createdBy,
+    ...(job.target ? { target: job.target } : {}),
+    contentTypeUid: job.contentTypeUid,
+    branch: job.branch,
+    query: job.query,
+    replaceWith: job.replaceWith,
+    status: job.status,
+    totalEntries: job.entries.length,
+    totalUpdated: job.entries.filter((e) => e.status === "updated").length,
+  }));
+
+  res.json({ total: result.length, jobs: result });
+}
+
+/**
+ * Inspect a single job, including its per-field snapshots.
+ * @route GET /jobs/:jobId
+ */
+async function getJob(req, res) {
+  res.json(await findJob(req));
+}
+
+/**
+ * Roll back a whole job, or only the entries listed in `entryUids` (the
+ * assets in `assetUids`, for an asset job), to their pre-apply values.
+ * Entries edited since the job ran are refused.
+ * @route POST /jobs/:jobId/rollback
+ */
+async function rollback(req, res) {
+  const job = await findJob(req);
+
+  const documents = documentsOf(job);
+  const { uidKey, kind } = documents;
+  let selectedUids = (req.body || {})[`${kind}Uids`];
+  if (selectedUids && !Array.isArray(selectedUids)) {
+    selectedUids = [selectedUids];
+  }
+
+  const targets = job.entries.filter(
+    (e) =>
+      e.status === "updated" &&
+      (!selectedUids || selectedUids.includes(e[uidKey]))
+  );
+  if (targets.length === 0) {
+    throw new ValidationError(
+      `No updated ${
+        kind === "asset" ? "assets" : "entries"
+      } in this job match the request`,
+      { code: "NOTHING_TO_ROLL_BACK" }
+    );
+  }
+
+  const results = [];
+  for (const jobEntry of targets) {
+    const { title } = jobEntry;
+    const uid = jobEntry[uidKey];
+
+    if (jobEntry.rolledBack) {
+      results.push({
+        [uidKey]: uid,
+        title,
+        status: "skipped",
+        reason: "already rolled back",
+      });
+      continue;
+    }
+
+    try {
+      const data = await documents.fetch(jobEntry);
+      if (!data) {
+        throw new NotFoundError(
+          `${
+            kind === "asset" ? "Asset" : "Entry"
+          } with UID ${uid} not found or is inaccessible.`,
+          { code: `${kind.toUpperCase()}_NOT_FOUND` }
+        );
+      }
+
+      // Refuse to roll back over edits made after this job was applied.
+      if (data._version !== jobEntry.versionAfter) {
+        console.warn(
+          `⚠️ REFUSING rollback for ${kind} ${uid}: version ${data._version} != ${jobEntry.versionAfter}.`
+        );
+        results.push({
+          [uidKey]: uid,
+          title,
+          status: "conflict",
+          error: `${
+            kind === "asset" ? "Asset" : "Entry"
+          } has been edited since the job was applied.`,
+          currentVersion: data._version,
+          expectedVersion: jobEntry.versionAfter,
+        });
+        continue;
+      }
+
+      // Restore in reverse order so overlapping paths end at their oldest value.
+      for (const snapshot of [...jobEntry.fields].reverse()) {
+        setNestedValue(data, snapshot.field, snapshot.before);
+      }
+
+      const updated = await documents.update(jobEntry, data);
+
+      jobEntry.rolledBack = {
+        at: new Date().toISOString(),
+        by: actorOf(req),
+        version: updated?._version,
+      };
+      console.log(`↩️ Rolled back ${kind}: ${uid}`);
+      results.push({
+        [uidKey]: uid,
+        title,
+        status: "rolled_back",
+        fieldsRestored: jobEntry.fields.length,
+      });
+    } catch (rollbackErr) {
+      console.error(
+        `❌ FAILED to roll back ${kind} ${uid}:`,
+        rollbackErr.message
+      );
+      results.push({
+        [uidKey]: uid,
+        title,
+        status: "failed",
+        ...errorFields(rollbackErr),
+      });
+    }
+  }
+
+  await jobService.saveJob(job);
+
+  res.json({
+    message: "Rollback operation completed.",
+    jobId: job.id,
+    jobStatus: job.status,
+    totalRolledBack: results.filter((r) => r.status === "rolled_back").length,
+    totalConflicts: results.filter((r) => r.status === "conflict").length,
+    totalFailed: results.filter((r) => r.status === "failed").length,
+    results,
+  });
+}
+
+module.exports = { listJobs, getJob, rollback };
@@ -0,0 +1,141 @@
+const recipeService = require("../services/recipeService");
+const {
+  actorOf,
+  assertContentTypeAccess,
+  canAccessContentType,
+} = require("../middlewares/auth");
+
+function accepted(res, task, extra = {}) {
+  res.status(202).json({
+    ...extra,
+    taskId: task.id,
+    status: task.status,
+    statusUrl: `/tasks/${task.id}`,
+    eventsUrl: `/tasks/${task.id}/events`,
+  });
+}
+
+// Load a recipe the caller may work on, or fail.
+async function findRecipe(req) {
+  const recipe = await recipeService.findRecipe(req.params.recipeId);
+  assertContentTypeAccess(req.principal, recipe.contentTypeUids);
+  return recipe;
+}
+
+/**
+ * List saved recipes, by name. Recipes for content types outside the
+ * caller's allowlist are left out.
+ * @route GET /recipes
+ */
+async function listRecipes(req, res) {
+  const recipes = (await recipeService.listRecipes()).filter((recipe) =>
+    recipe.contentTypeUids.every((uid) =>
+      canAccessContentType(req.principal, uid)
+    )
+  );
+  const result = recipes.map(({ runs, ...recipe }) => ({
+    ...recipe,
+    totalRuns: runs.length,
+    pendingRuns: runs.filter((run) => run.approval === "pending").length,
+  }));
+  res.json({ total: result.length, recipes: result });
+}
+
+/**
+ * Get a recipe with its runs, newest first, and the state of each run's
+ * preview task.
+ * @route GET /recipes/:recipeId
+ */
+async function getRecipe(req, res) {
+  const recipe = await findRecipe(req);
+  res.json({ ...recipe, runs: await recipeService.describeRuns(recipe) });
+}
+
+/**
+ * Save a recipe: a query and its match options, the replacement, `smart`
+ * mode, the `contentTypeUids` (and `fields` / `excludeFields`) to run on and
+ * an optional `schedule` ({cron, enabled}, in UTC).
+ * @route POST /recipes
+ */
+async function createRecipe(req, res) {
+  const fields = recipeService.parseRecipe(req.body);
+  res.status(201).json(await recipeService.createRecipe(fields, actorOf(req)));
+}
+
+/**
+ * Replace a recipe's fields (the whole recipe, as for POST /recipes).
+ * @route PUT /recipes/:recipeId
+ */
+async function updateRecipe(req, res) {
+  const recipe = await findRecipe(req);
+  const fields = recipeService.parseRecipe(req.body);
+  res.json(await recipeService.updateRecipe(recipe, fields, actorOf(req)));
+}
+
+/**
+ * @route DELETE /recipes/:recipeId
+ */
+async function deleteRecipe(req, res) {
+  const recipe = await findRecipe(req);
+  await recipeService.deleteRecipe(recipe.id);
+  res.status(204).end();
+}
+
+/**
+ * Run a recipe now. Queues a background preview of every matching entry of
+ * its content types; follow it at /tasks/:taskId, then approve or dismiss
+ * the run. Nothing is applied until the run is approved.
+ * @route POST /recipes/:recipeId/run
+ */
+async function runRecipe(req, res) {
+  const recipe = await findRecipe(req);
+  const task = await recipeService.runRecipe(recipe, {
+    trigger: "manual",
+    createdBy: actorOf(req),
+  });
+  accepted(res, task, { runId: task.id });
+}
+
+/**
+ * Approve a finished run: queues a background apply of its previewed
+ * changes, or of the `changes` in the body (e.g. a reviewed subset).
+ * @route POST /recipes/:recipeId/runs/:runId/approve
+ */
+async function approveRun(req, res) {
+  const recipe = await findRecipe(req);
+  // Changes from the body may name the content type of a linked entry.
+  assertContentTypeAccess(
+    req.principal,
+    (req.body?.changes || [])
+      .map((change) => change.contentTypeUid)
+      .filter(Boolean)
+  );
+  const task = await recipeService.approveRun(recipe, req.params.runId, {
+    by: actorOf(req),
+    changes: req.body?.changes,
+  });
+  accepted(res, task, { runId: req.params.runId });
+}
+
+/**
+ * Dismiss a run without applying it.
+ * @route POST /recipes/:recipeId/runs/:runId/dismiss
+ */
+async function dismissRun(req, res) {
+  const recipe = await findRecipe(req);
+  const run = await recipeService.dismissRun(recipe, req.params.runId, {
+    by: actorOf(req),
+  });
+  res.json(run);
+}
+
+module.exports = {
+  listRecipes,
+  getRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe,
+  runRecipe,
+  approveRun,
+  dismissRun,
+};
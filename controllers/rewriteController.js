@@ -0,0 +1,31 @@
+const rewriteService = require("../services/rewriteService");
+
+/**
+ * Rewrite the text fields of specified entries in the brand voice.
+ * Returns the same preview structure as /preview (every change has
+ * `source: "model"`), so accepted changes can be sent to /apply.
+ * @route GET /rewrite?contentTypeUid=blog_post&entryUids=uid1&tone=marketing&maxLength=160
+ * `tone` names one of the brandkit's tones (default: "default"); `maxLength`
+ * caps every field, on top of the brandkit's `lengthLimits`, and changes
+ * report whether they stay `withinLength`. `instructions` adds free-text
+ * guidance. Accepts the same `fields` / `excludeFields` targeting and
+ * `locale` / `branch` selection as /preview. For large runs use
+ * POST /tasks/rewrite.
+ */
+async function rewrite(req, res) {
+  const params = rewriteService.parseRewriteParams(req.query);
+  const context = await rewriteService.createRewriteContext(params);
+  const entries = await rewriteService.fetchRewriteEntries(context);
+  const results = [];
+
+  console.log(`🤖 Brand voice rewrite for ${entries.length} entries`);
+
+  for (const entry of entries) {
+    const result = await rewriteService.rewriteEntry(context, entry);
+    if (result) results.push(result);
+  }
+
+  res.json(rewriteService.summarizeRewrite(params, results, context));
+}
+
+module.exports = { rewrite };
@@ -1,77 +1,293 @@
 const contentstackService = require("../services/contentstackService");
-function scanRecursive(obj, query, parentField, results, entryUid) {
-  if (obj == null) return;
-
-  if (typeof obj === "string") {
-    if (obj.toLowerCase().includes(query.toLowerCase())) {
-      results.push({
-        entryUid,
-        field: parentField,
-        before: obj,
-      });
-    }
-  } else if (Array.isArray(obj)) {
-    obj.forEach((item, index) => {
-      scanRecursive(item, query, `${parentField}[${index}]`, results, entryUid);
-    });
-  } else if (typeof obj === "object") {
-    Object.keys(obj).forEach((key) => {
-      scanRecursive(
-        obj[key],
-        query,
-        parentField ? `${parentField}.${key}` : key,
-        results,
-        entryUid
-      );
-    });
-  }
+const referenceService = require("../services/referenceService");
+const assetService = require("../services/assetService");
+const { parseMatchOptions, createMatcher } = require("../utils/matcher");
+const {
+  parseFieldFilters,
+  collectTextFields,
+} = require("../utils/fieldTargets");
+const { fieldMatches, toPlainText } = require("../utils/richText");
+const { parseStackOptions } = require("../utils/stackOptions");
+const { openEventStream, wantsEventStream } = require("../utils/sse");
+const { ValidationError, errorFields } = require("../utils/errors");
+
+/**
+ * Find the targeted fields of an entry whose visible text matches.
+ * Rich text is matched on its text only, never on markup or attributes.
+ * @returns {object[]} One match per field, tagged with the entry's details.
+ */
+function scanEntry(entry, schema, matcher, fieldFilters) {
+  return collectTextFields(entry, schema, fieldFilters)
+    .filter((target) => fieldMatches(target.kind, target.value, matcher))
+    .map((target) => ({
+      entryUid: entry.uid,
+      field: target.path,
+      fieldName: target.displayName,
+      fieldLabel: target.label,
+      ...(target.blockType ? { blockType: target.blockType } : {}),
+      before: toPlainText(target.kind, target.value),
+      locale: entry.locale,
+      title: entry.title || "(no title)",
+      updated_at: entry.updated_at,
+    }));
 }
 
 /**
  * Scan entries for a search string, filtering by selected UIDs.
  * @route GET /scan?contentTypeUid=article&query=Gemini&entryUids=uid1&entryUids=uid2
+ * Optional match modes: regex, wholeWord, caseSensitive (all "true"/"false").
+ * Only text fields from the content type schema are searched; narrow them
+ * further with `fields` / `excludeFields` (field UIDs or paths).
+ * `locale` and `branch` select what is scanned; `allLocales=true` scans every
+ * localized version of the entries and reports the locale of each match.
+ * `includeReferences=true` also scans the entries they reference, up to
+ * `referenceDepth` references away; those matches carry the linked entry's
+ * `contentTypeUid` and where it was `referencedFrom`.
  */
 async function scan(req, res) {
   const { contentTypeUid, query, entryUids } = req.query;
 
   if (!contentTypeUid || !query || !entryUids) {
-    return res
-      .status(400)
-      .json({ error: "contentTypeUid, query, and entryUids are required" });
+    throw new ValidationError(
+      "contentTypeUid, query, and entryUids are required"
+    );
   }
 
   const selectedEntryUids = Array.isArray(entryUids) ? entryUids : [entryUids];
+  const matcher = createMatcher(parseMatchOptions(req.query));
+  const stackOptions = parseStackOptions(req.query);
+  const { allLocales, branch } = stackOptions;
+  const contentType = await contentstackService.getContentType(contentTypeUid, {
+    branch,
+  });
+  const locales = allLocales
+    ? (await contentstackService.getLocales({ branch })).map((l) => l.code)
+    : [stackOptions.locale];
+  const fieldFilters = parseFieldFilters(req.query);
+  const references = referenceService.parseReferenceOptions(
+    req.query,
+    req.principal
+  );
+
+  const matches = [];
 
-  try {
-    const entries = await contentstackService.getEntries(
+  for (const locale of locales) {
+    const entries = await contentstackService.getEntriesByIds(
       contentTypeUid,
-      selectedEntryUids
+      selectedEntryUids,
+      { locale, branch }
     );
 
-    const matches = [];
+    // Unlocalized entries come back with the master content; when scanning
+    // every locale that content is already reported under the master locale.
+    const inLocale = (entry) => !allLocales || entry.locale === locale;
 
-    entries.forEach((entry) => {
-      scanRecursive(entry, query, "", matches, entry.uid);
+    entries.filter(inLocale).forEach((entry) => {
+      matches.push(
+        ...scanEntry(entry, contentType.schema, matcher, fieldFilters)
+      );
     });
 
-    const enrichedMatches = matches.map((match) => {
-      const entry = entries.find((e) => e.uid === match.entryUid);
-      return {
-        ...match,
-        title: entry.title || "(no title)",
-        updated_at: entry.updated_at,
-      };
+    if (!references) continue;
+    const linked = await referenceService.followReferences(
+      entries,
+      contentType,
+      { ...references, locale, branch }
+    );
+    linked
+      .filter(({ entry }) => inLocale(entry))
+      .forEach(({ entry, contentType: linkedType, referencedFrom }) => {
+        scanEntry(entry, linkedType.schema, matcher).forEach((match) =>
+          matches.push({
+            ...match,
+            contentTypeUid: linkedType.uid,
+            referencedFrom,
+          })
+        );
+      });
+  }
+
+  res.json({
+    query,
+    options: matcher.options,
+    ...(branch ? { branch } : {}),
+    locales: allLocales ? locales : undefined,
+    totalMatches: matches.length,
+    matches,
+  });
+}
+
+/**
+ * Search every content type in the stack, or the `contentTypeUids` subset,
+ * paging through all of their entries.
+ * @route GET /scan/stack?query=Gemini&contentTypeUids=blog_post&stream=true
+ * Accepts the same match, field and locale/branch options as /scan. With
+ * `stream=true` (or `Accept: text/event-stream`) progress is sent as
+ * Server-Sent Events — `contentType`, `progress` and `match` — followed by a
+ * `done` event carrying the same grouped result the JSON response returns.
+ */
+async function scanStack(req, res) {
+  const { query } = req.query;
+
+  if (!query) {
+    throw new ValidationError("query is required");
+  }
+
+  const matcher = createMatcher(parseMatchOptions(req.query));
+  const stackOptions = parseStackOptions(req.query);
+
+  const { allLocales, branch } = stackOptions;
+  const fieldFilters = parseFieldFilters(req.query);
+  const selectedUids = []
+    .concat(req.query.contentTypeUids || [])
+    .flatMap((uid) => String(uid).split(","))
+    .map((uid) => uid.trim())
+    .filter(Boolean);
+
+  const allContentTypes = await contentstackService.getContentTypes({
+    branch,
+  });
+  const contentTypes =
+    selectedUids.length > 0
+      ? allContentTypes.filter((ct) => selectedUids.includes(ct.uid))
+      : allContentTypes;
+  const locales = allLocales
+    ? (await contentstackService.getLocales({ branch })).map((l) => l.code)
+    : [stackOptions.locale];
+
+  const unknownUids = selectedUids.filter(
+    (uid) => !contentTypes.some((ct) => ct.uid === uid)
+  );
+  if (unknownUids.length > 0) {
+    throw new ValidationError(
+      `Unknown content types: ${unknownUids.join(", ")}`,
+      { code: "UNKNOWN_CONTENT_TYPES", details: unknownUids }
+    );
+  }
+
+  const stream = wantsEventStream(req) ? openEventStream(res) : null;
+  const groups = [];
+
+  for (const [index, contentType] of contentTypes.entries()) {
+    if (stream && stream.isClosed()) {
+      console.log("ℹ️ Stack scan aborted: client disconnected.");
+      return;
+    }
+
+    const group = {
+      contentTypeUid: contentType.uid,
+      title: contentType.title,
+      scannedEntries: 0,
+      totalMatches: 0,
+      matches: [],
+    };
+    stream?.send("contentType", {
+      contentTypeUid: contentType.uid,
+      title: contentType.title,
+      index: index + 1,
+      total: contentTypes.length,
     });
 
-    res.json({
-      query,
-      totalMatches: enrichedMatches.length,
-      matches: enrichedMatches,
+    try {
+      for (const locale of locales) {
+        const pages = contentstackService.iterateEntryPages(contentType.uid, {
+          locale,
+          branch,
+        });
+        for await (const page of pages) {
+          page.items.forEach((entry) => {
+            if (allLocales && entry.locale !== locale) return;
+            const entryMatches = scanEntry(
+              entry,
+              contentType.schema,
+              matcher,
+              fieldFilters
+            );
+            group.matches.push(...entryMatches);
+            entryMatches.forEach((match) =>
+              stream?.send("match", {
+                contentTypeUid: contentType.uid,
+                ...match,
+              })
+            );
+          });
+          group.scannedEntries += page.items.length;
+          stream?.send("progress", {
+            contentTypeUid: contentType.uid,
+            ...(locale ? { locale } : {}),
+            scanned: page.skip + page.items.length,
+            total: page.count,
+          });
+        }
+      }
+    } catch (error) {
+      console.error(
+        `❌ Stack scan failed for content type ${contentType.uid}:`,
+        error.message
+      );
+      Object.assign(group, errorFields(error));
+    }
+
+    group.totalMatches = group.matches.length;
+    groups.push(group);
+  }
+
+  const result = {
+    query,
+    options: matcher.options,
+    ...(branch ? { branch } : {}),
+    locales: allLocales ? locales : undefined,
+    totalContentTypes: groups.length,
+    totalEntries: groups.reduce((sum, g) => sum + g.scannedEntries, 0),
+    totalMatches: groups.reduce((sum, g) => sum + g.totalMatches, 0),
+    contentTypes: groups,
+  };
+
+  if (stream) {
+    stream.send("done", result);
+    stream.close();
+  } else {
+    res.json(result);
+  }
+}
+
+/**
+ * Search the metadata of assets: title, description, alt text and tags.
+ * @route GET /scan/assets?query=Gemini&folder=blt123&assetUids=blt456
+ * Covers the assets directly inside `folder`, the `assetUids`, or both (the
+ * listed assets that are in the folder); with neither, every asset of the
+ * stack. Accepts the same match and `fields` / `excludeFields` options as
+ * /scan, and `branch`.
+ */
+async function scanAssets(req, res) {
+  const { query } = req.query;
+
+  if (!query) {
+    throw new ValidationError("query is required");
+  }
+
+  const matcher = createMatcher(parseMatchOptions(req.query));
+  const selection = assetService.parseAssetSelection(req.query);
+  const fieldFilters = parseFieldFilters(req.query);
+  const matches = [];
+  let scannedAssets = 0;
+
+  for await (const page of assetService.iterateSelectedAssets(selection)) {
+    page.items.forEach((asset) => {
+      matches.push(...assetService.scanAsset(asset, matcher, fieldFilters));
     });
-  } catch (error) {
-    console.error("Scan error:", error.message);
-    res.status(500).json({ error: "Failed to scan entries" });
+    scannedAssets += page.items.length;
   }
+
+  res.json({
+    query,
+    options: matcher.options,
+    ...(selection.folder ? { folder: selection.folder } : {}),
+    ...(selection.branch ? { branch: selection.branch } : {}),
+    scannedAssets,
+    totalMatches: matches.length,
+    matches,
+  });
 }
 
-module.exports = { scan };
+module.exports = { scan, scanStack, scanAssets };
@@ -0,0 +1,206 @@
+const taskQueue = require("../services/taskQueue");
+const previewService = require("../services/previewService");
+const rewriteService = require("../services/rewriteService");
+const applyService = require("../services/applyService");
+const { openEventStream } = require("../utils/sse");
+const {
+  actorOf,
+  assertContentTypeAccess,
+  canAccessContentType,
+} = require("../middlewares/auth");
+const { NotFoundError } = require("../utils/errors");
+
+// The task record without its accumulated results, for listings and events.
+function summarizeTask(task) {
+  return {
+    id: task.id,
+    type: task.type,
+    status: task.status,
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt,
+    createdBy: task.createdBy,
+    progress: task.progress,
+    jobId: task.state.jobId,
+    error: task.error,
+    ...(task.errorCode ? { errorCode: task.errorCode } : {}),
+    ...(task.errorDetails !== undefined
+      ? { errorDetails: task.errorDetails }
+      : {}),
+  };
+}
+
+function accepted(res, task) {
+  res.status(202).json({
+    taskId: task.id,
+    status: task.status,
+    statusUrl: `/tasks/${task.id}`,
+    eventsUrl: `/tasks/${task.id}/events`,
+  });
+}
+
+// Every content type a task touches. Recipe runs cover several, and apply
+// changes may name their own.
+function contentTypesOf(task) {
+  const { contentTypeUids, contentTypeUid, changes = [] } = task.params;
+  if (contentTypeUids) return contentTypeUids;
+  return [
+    ...new Set([
+      contentTypeUid,
+      ...changes.map((change) => change.contentTypeUid).filter(Boolean),
+    ]),
+  ];
+}
+
+// Load a task the caller may see (all of its content types), or fail.
+async function findTask(req) {
+  const task = await taskQueue.getTask(req.params.taskId);
+  if (!task) {
+    throw new NotFoundError("Task not found", { code: "TASK_NOT_FOUND" });
+  }
+  assertContentTypeAccess(req.principal, contentTypesOf(task));
+  return task;
+}
+
+/**
+ * Queue a preview to run in the background. Takes the same parameters as
+ * GET /preview, in the request body.
+ * @route POST /tasks/preview
+ */
+async function createPreviewTask(req, res) {
+  const params = previewService.parsePreviewParams(req.body, req.principal);
+  const task = await taskQueue.enqueueTask("preview", params, {
+    createdBy: actorOf(req),
+  });
+  accepted(res, task);
+}
+
+/**
+ * Queue a brand voice rewrite to run in the background. Takes the same
+ * parameters as GET /rewrite, in the request body.
+ * @route POST /tasks/rewrite
+ */
+async function createRewriteTask(req, res) {
+  const params = rewriteService.parseRewriteParams(req.body);
+  const task = await taskQueue.enqueueTask("rewrite", params, {
+    createdBy: actorOf(req),
+  });
+  accepted(res, task);
+}
+
+/**
+ * Queue an apply to run in the background. Takes the same body as POST /apply.
+ * @route POST /tasks/apply
+ */
+async function createApplyTask(req, res) {
+  const params = applyService.parseApplyParams(req.body);
+  const task = await taskQueue.enqueueTask("apply", params, {
+    createdBy: actorOf(req),
+  });
+  accepted(res, task);
+}
+
+/**
+ * List background tasks, newest first. Tasks on content types outside the
+ * caller's allowlist are left out.
+ * @route GET /tasks
+ */
+async function listTasks(req, res) {
+  const tasks = (await taskQueue.listTasks()).filter((task) =>
+    contentTypesOf(task).every((uid) =>
+      canAccessContentType(req.principal, uid)
+    )
+  );
+  res.json({ total: tasks.length, tasks: tasks.map(summarizeTask) });
+}
+
+/**
+ * Inspect a task: its status, progress, per-entry results so far and, once
+ * finished, the same result the synchronous endpoint would have returned.
+ * @route GET /tasks/:taskId
+ */
+async function getTask(req, res) {
+  const task = await findTask(req);
+  res.json({
+    ...summarizeTask(task),
+    results: task.results,
+    result: task.result,
+  });
+}
+
+/**
+ * Stream a task's progress as Server-Sent Events: a `status` event with the
+ * current state, a `progress` event per processed entry, and a final `done`
+ * event carrying the task result.
+ * @route GET /tasks/:taskId/events
+ */
+async function streamTaskEvents(req, res) {
+  const task = await findTask(req);
+
+  const stream = openEventStream(res);
+  const finish = (finished) => {
+    stream.send("done", {
+      ...summarizeTask(finished),
+      result: finished.result,
+    });
+    stream.close();
+  };
+
+  stream.send("status", summarizeTask(task));
+  if (taskQueue.isFinished(task)) return finish(task);
+
+  let lastStatus = task.status;
+  const unsubscribe = taskQueue.subscribe(task.id, (updated) => {
+    if (updated.lastUnit) {
+      stream.send("progress", {
+        ...updated.progress,
+        key: updated.lastUnit.key,
+        result: updated.lastUnit.result,
+      });
+    }
+    if (taskQueue.isFinished(updated)) {
+      unsubscribe();
+      return finish(updated);
+    }
+    if (updated.status !== lastStatus) {
+      lastStatus = updated.status;
+      stream.send("status", summarizeTask(updated));
+    }
+  });
+  res.on("close", unsubscribe);
+}
+
+/**
+ * Cancel a queued or running task. A running task stops after the entry it is
+ * working on.
+ * @route POST /tasks/:taskId/cancel
+ */
+async function cancelTask(req, res) {
+  const task = await taskQueue.cancelTask((await findTask(req)).id);
+  res.json({
+    message: taskQueue.isFinished(task)
+      ? `Task is ${task.status}.`
+      : "Cancellation requested.",
+    task: summarizeTask(task),
+  });
+}
+
+/**
+ * Resume a cancelled, failed or interrupted task, skipping the entries it
+ * already processed.
+ * @route POST /tasks/:taskId/resume
+ */
+async function resumeTask(req, res) {
+  const task = await findTask(req);
+  accepted(res, await taskQueue.resumeTask(task.id));
+}
+
+module.exports = {
+  createPreviewTask,
+  createRewriteTask,
+  createApplyTask,
+  listTasks,
+  getTask,
+  streamTaskEvents,
+  cancelTask,
+  resumeTask,
+};
@@ -0,0 +1,23 @@
+const usage = require("../services/llm/usage");
+const { ValidationError } = require("../utils/errors");
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Model calls, tokens and cost per day and in total, by provider/model.
+ * Calls answered from the response cache are counted as `cachedCalls`.
+ * @route GET /usage?from=2025-01-01&to=2025-01-31
+ */
+async function getUsage(req, res) {
+  const { from, to } = req.query;
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !DATE.test(value)) {
+      throw new ValidationError(`${name} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  const result = await usage.getUsage({ from, to });
+  res.json({ ...(from ? { from } : {}), ...(to ? { to } : {}), ...result });
+}
+
+module.exports = { getUsage };
@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Authentication and role-based permissions.
+ *
+ * Callers identify with an API key (`X-API-Key: <key>` or
+ * `Authorization: ApiKey <key>`) or a JWT (`Authorization: Bearer <token>`),
+ * configured with the AUTH_* settings. Each caller has a role:
+ *   viewer  reads content, scans, audits, brand rules, jobs, tasks and usage
+ *   editor  also previews, rewrites, applies and rolls back changes
+ *   admin   also edits the brand rules
+ * and optionally a list of the content types it may work on.
+ *
+ * With no API keys or JWT settings configured the API is open: every caller
+ * is an admin, named by the `X-User` header as before.
+ */
+
+const crypto = require("crypto");
+const config = require("../config");
+const { verifyJwt } = require("../utils/jwt");
+const { AuthenticationError, ForbiddenError } = require("../utils/errors");
+
+const ROLES = ["viewer", "editor", "admin"];
+
+/**
+ * API keys from AUTH_API_KEYS. Invalid settings stop the server from starting
+ * rather than leaving the API open.
+ * @returns {{name: string, key: string, role: string,
+ *   contentTypes: string[]|null}[]}
+ */
+/**
+ * Read a `contentTypes` allowlist. Absent means unrestricted; anything but an
+ * array of uids is refused rather than read as unrestricted.
+ * @returns {string[]|null}
+ * @throws {Error} If the allowlist is malformed.
+ */
+function parseContentTypes(value, label) {
+  if (value === undefined || value === null) return null;
+  if (
+    !Array.isArray(value) ||
+    !value.every((uid) => typeof uid === "string" && uid)
+  ) {
+    throw new Error(`${label} must be an array of content type uids`);
+  }
+  return value;
+}
+
+function loadApiKeys() {
+  if (!config.AUTH_API_KEYS) return [];
+  let keys;
+  try {
+    keys = JSON.parse(config.AUTH_API_KEYS);
+  } catch (error) {
+    throw new Error(`AUTH_API_KEYS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(keys)) {
+    throw new Error("AUTH_API_KEYS must be a JSON array");
+  }
+  return keys.map((entry, index) => {
+    if (!entry || typeof entry.key !== "string" || entry.key.length < 16) {
+      throw new Error(
+        `AUTH_API_KEYS[${index}]: key must be at least 16 characters`
+      );
+    }
+    if (!ROLES.includes(entry.role)) {
+      throw new Error(
+        `AUTH_API_KEYS[${index}]: role must be one of ${ROLES.join(", ")}`
+      );
+    }
+    return {
+      name: entry.name || `api-key-${index + 1}`,
+      key: entry.key,
+      role: entry.role,
+      contentTypes: parseContentTypes(
+        entry.contentTypes,
+        `AUTH_API_KEYS[${index}].contentTypes`
+      ),
+    };
+  });
+}
+
+const apiKeys = loadApiKeys();
+const jwtEnabled = Boolean(
+  config.AUTH_JWT_SECRET || config.AUTH_JWT_PUBLIC_KEY || config.AUTH_JWKS_URL
+);
+const authEnabled = apiKeys.length > 0 || jwtEnabled;
+
+if (!ROLES.includes(config.AUTH_JWT_DEFAULT_ROLE)) {
+  throw new Error(`AUTH_JWT_DEFAULT_ROLE must be one of ${ROLES.join(", ")}`);
+}
+if (!authEnabled) {
+  console.warn(
+    "⚠️ Authentication is disabled: set AUTH_API_KEYS or AUTH_JWT_* to protect the API."
+  );
+}
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+// Compare digests: they are always the same length, whatever the key holds.
+function findApiKey(key) {
+  const digest = sha256(key);
+  return apiKeys.find((entry) =>
+    crypto.timingSafeEqual(sha256(entry.key), digest)
+  );
+}
+
+/**
+ * The caller described by a verified token's claims. Contentstack app and
+ * extension tokens carry `user_uid` and `stack_api_key`; tokens for another
+ * stack are refused.
+ */
+function principalFromClaims(claims) {
+  if (
+    claims.stack_api_key &&
+    config.CONTENTSTACK_API_KEY &&
+    claims.stack_api_key !== config.CONTENTSTACK_API_KEY
+  ) {
+    throw new Error("Token was issued for a different stack");
+  }
+  const role =
+    claims[config.AUTH_JWT_ROLE_CLAIM] || config.AUTH_JWT_DEFAULT_ROLE;
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}"`);
+  }
+  return {
+    name: claims.sub || claims.user_uid || claims.email || "jwt",
+    role,
+    contentTypes: parseContentTypes(
+      claims.contentTypes,
+      "The contentTypes claim"
+    ),
+    method: "jwt",
+  };
+}
+
+function unauthorized(res, next, message, code) {
+  res.set("WWW-Authenticate", 'Bearer realm="magicreplace"');
+  return next(new AuthenticationError(message, code ? { code } : undefined));
+}
+
+/**
+ * Identify the caller and set `req.principal` ({name, role, contentTypes,
+ * method}). Answers 401 when authentication is enabled and the caller has no
+ * valid credentials.
+ */
+async function authenticate(req, res, next) {
+  if (!authEnabled) {
+    req.principal = {
+      name: req.get("x-user") || "anonymous",
+      role: "admin",
+      contentTypes: null,
+      method: "none",
+    };
+    return next();
+  }
+
+  const [scheme, credentials] = (req.get("authorization") || "").split(" ");
+  const apiKey =
+    req.get("x-api-key") || (/^apikey$/i.test(scheme) ? credentials : null);
+
+  if (apiKey) {
+    const entry = findApiKey(apiKey);
+    if (!entry)
+      return unauthorized(res, next, "Invalid API key", "INVALID_API_KEY");
+    const { key, ...principal } = entry;
+    req.principal = { ...principal, method: "api_key" };
+    return next();
+  }
+
+  if (/^bearer$/i.test(scheme) && credentials && jwtEnabled) {
+    try {
+      const claims = await verifyJwt(credentials, {
+        secret: config.AUTH_JWT_SECRET,
+        publicKey: config.AUTH_JWT_PUBLIC_KEY,
+        jwksUrl: config.AUTH_JWKS_URL,
+        issuer: config.AUTH_JWT_ISSUER,
+        audience: config.AUTH_JWT_AUDIENCE,
+      });
+      req.principal = principalFromClaims(claims);
+      return next();
+    } catch (error) {
+      if (error.code !== "INVALID_TOKEN") {
+        console.warn("⚠️ Token rejected:", error.message);
+      }
+      return unauthorized(
+        res,
+        next,
+        `Invalid token: ${error.message}`,
+        "INVALID_TOKEN"
+      );
+    }
+  }
+
+  return unauthorized(res, next, "Authentication required");
+}
+
+/**
+ * Only let callers with at least `role` through.
+ * @param {"viewer"|"editor"|"admin"} role
+ */
+function requireRole(role) {
+  const required = ROLES.indexOf(role);
+  return (req, res, next) => {
+    if (!req.principal) {
+      return unauthorized(res, next, "Authentication required");
+    }
+    if (ROLES.indexOf(req.principal.role) < required) {
+      return next(
+        new ForbiddenError(`This action requires the ${role} role`, {
+          code: "ROLE_REQUIRED",
+          details: { requiredRole: role, role: req.principal.role },
+        })
+      );
+    }
+    next();
+  };
+}
+
+/**
+ * Whether the caller may work on a content type.
+ * @param {object} principal `req.principal`
+ * @param {string} contentTypeUid
+ * @returns {boolean}
+ */
+function canAccessContentType(principal, contentTypeUid) {
+  return (
+    !principal ||
+    !principal.contentTypes ||
+    principal.contentTypes.includes(contentTypeUid)
+  );
+}
+
+/**
+ * Throw unless the caller may work on all of the content types.
+ * @param {object} principal `req.principal`
+ * @param {string[]} contentTypeUids
+ * @throws {ForbiddenError} With code CONTENT_TYPE_DENIED.
+ */
+function assertContentTypeAccess(principal, contentTypeUids) {
+  const denied = contentTypeUids.filter(
+    (uid) => !canAccessContentType(principal, uid)
+  );
+  if (denied.length > 0) {
+    throw new ForbiddenError(
+      `Access denied to content types: ${denied.join(", ")}`,
+      { code: "CONTENT_TYPE_DENIED", details: { denied } }
+    );
+  }
+}
+
+/**
+ * Refuse requests for content types outside the caller's allowlist. Callers
+ * with an allowlist must name the content types (`contentTypeUid` or
+ * `contentTypeUids`, in the query or body) rather than ask for all of them.
+ */
+function requireContentTypeAccess(req, res, next) {
+  const { contentTypes } = req.principal || {};
+  if (!contentTypes) return next();
+
+  const sources = [req.query || {}, req.body || {}];
+  // Changes to /apply may name the content type of a linked entry.
+  const changes = Array.isArray(req.body?.changes) ? req.body.changes : [];
+  const requested = [...sources, ...changes]
+    .flatMap((source) =>
+      [].concat(source?.contentTypeUid || [], source?.contentTypeUids || [])
+    )
+    .flatMap((uid) => String(uid).split(","))
+    .map((uid) => uid.trim())
+    .filter(Boolean);
+
+  if (requested.length === 0) {
+    return next(
+      new ForbiddenError(
+        `You may only access the content types ${contentTypes.join(
+          ", "
+        )}; name them with contentTypeUid or contentTypeUids`,
+        { code: "CONTENT_TYPE_DENIED", details: { allowed: contentTypes } }
+      )
+    );
+  }
+  try {
+    assertContentTypeAccess(req.principal, requested);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+}
+
+// The allowlist entry that grants access to asset metadata (/scan/assets,
+// /preview/assets and /apply/assets).
+const ASSETS_ACCESS = "$assets";
+
+/**
+ * Refuse asset requests from callers whose allowlist does not include
+ * "$assets"; callers without an allowlist may work on assets.
+ */
+function requireAssetAccess(req, res, next) {
+  try {
+    assertContentTypeAccess(req.principal, [ASSETS_ACCESS]);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+}
+
+/**
+ * The name recorded for the caller in jobs, tasks and brandkit history.
+ * @param {object} req
+ * @returns {string}
+ */
+function actorOf(req) {
+  return req.principal ? req.principal.name : "anonymous";
+}
+
+/**
+ * Options for the `cors` middleware: the CORS_ORIGINS list, or any origin.
+ */
+function corsOptions() {
+  const origins = config.CORS_ORIGINS;
+  return {
+    origin: origins.length === 0 || origins.includes("*") ? true : origins,
+  };
+}
+
+module.exports = {
+  ROLES,
+  authenticate,
+  requireRole,
+  requireContentTypeAccess,
+  canAccessContentType,
+  assertContentTypeAccess,
+  ASSETS_ACCESS,
+  requireAssetAccess,
+  actorOf,
+  corsOptions,
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Request ids and the one place errors become responses.
+ *
+ * Controllers throw (or reject with) the typed errors from utils/errors and
+ * Express passes them here. Every error response has the same shape:
+ *   { error: "message", code: "STABLE_CODE", requestId: "...", details? }
+ * Unexpected errors are logged with the request id and reported as a generic
+ * INTERNAL_ERROR, without internals.
+ */
+
+const crypto = require("crypto");
+const { AppError } = require("../utils/errors");
+
+// Request ids sent by a proxy are reused if they look like ids.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an id (`req.id`), echoed in the X-Request-Id header and
+ * in error responses so a report can be matched to the server log.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get("x-request-id");
+  req.id =
+    incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+/** Answer requests no route handled. */
+function notFoundHandler(req, res) {
+  res.status(404).json({
+    error: `No route for ${req.method} ${req.path}`,
+    code: "ROUTE_NOT_FOUND",
+    requestId: req.id,
+  });
+}
+
+// Errors raised by Express itself, e.g. an unparseable JSON body.
+const EXPRESS_ERRORS = {
+  "entity.parse.failed": { code: "INVALID_JSON", message: "Invalid JSON body" },
+  "entity.too.large": {
+    code: "PAYLOAD_TOO_LARGE",
+    message: "Request body is too large",
+  },
+};
+
+/**
+ * The status and body of the response for an error.
+ * @param {Error} err
+ * @returns {{status: number, body: object}}
+ */
+function describeError(err) {
+  if (err instanceof AppError) {
+    return {
+      status: err.status,
+      body: {
+        error: err.message,
+        code: err.code,
+        ...(err.details !== undefined ? { details: err.details } : {}),
+      },
+    };
+  }
+  const expressError = EXPRESS_ERRORS[err.type];
+  if (expressError && err.status) {
+    return {
+      status: err.status,
+      body: { error: expressError.message, code: expressError.code },
+    };
+  }
+  return {
+    status: 500,
+    body: { error: "Internal server error", code: "INTERNAL_ERROR" },
+  };
+}
+
+/**
+ * Send the error response. Express recognizes error handlers by their four
+ * parameters, so `next` stays even where it is not called.
+ */
+function errorHandler(err, req, res, next) {
+  const { status, body } = describeError(err);
+
+  if (status >= 500) {
+    console.error(
+      `❌ [${req.id}] ${req.method} ${req.originalUrl} failed:`,
+      err.stack || err.message,
+      err.details ? JSON.stringify(err.details) : ""
+    );
+  }
+
+  // A streamed response cannot be turned into an error response any more.
+  if (res.headersSent) return next(err);
+
+  if (err.retryAfterMs) {
+    res.set("Retry-After", String(Math.ceil(err.retryAfterMs / 1000)));
+  }
+  res.status(status).json({ ...body, requestId: req.id });
+}
+
+module.exports = { requestId, notFoundHandler, errorHandler };
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Checks `req.query` and `req.body` against the route schemas
+ * (routes/schemas) and replaces them with the coerced values, so controllers
+ * see booleans, numbers and arrays rather than query strings.
+ */
+
+const { validate } = require("../utils/requestSchema");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Validate a request. Every problem is reported in one 400 response with
+ * code VALIDATION_FAILED and `details.errors` ([{path, message}]).
+ * @param {{query?: object, body?: object}} schemas
+ */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+
+    if (schemas.query) {
+      const result = validate(schemas.query, req.query, "query");
+      errors.push(...result.errors);
+      // Express 5 only defines a getter for req.query; shadow it.
+      Object.defineProperty(req, "query", {
+        value: result.value,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    if (schemas.body) {
+      const result = validate(schemas.body, req.body, "body");
+      errors.push(...result.errors);
+      req.body = result.value;
+    }
+
+    if (errors.length > 0) {
+      const problems = errors.map(({ path, message }) => `${path} ${message}`);
+      return next(
+        new ValidationError(`Invalid request: ${problems.join("; ")}`, {
+          details: { errors },
+        })
+      );
+    }
+    next();
+  };
+}
+
+module.exports = { validateRequest };
@@ -2,7 +2,29 @@
 const express = require("express");
 const router = express.Router();
 const applyController = require("../controllers/applyController");
+const {
+  requireRole,
+  requireContentTypeAccess,
+  requireAssetAccess,
+} = require("../middlewares/auth");
+const { validateRequest } = require("../middlewares/validate");
+const schemas = require("./schemas");
 
-router.post("/", applyController.apply);
+router.post(
+  "/",
+  requireRole("editor"),
+  validateRequest({ body: schemas.applyBody }),
+  requireContentTypeAccess,
+  applyController.apply
+);
+
+// POST /apply/assets  { changes: [{assetUid, field, newValue}], query? }
+router.post(
+  "/assets",
+  requireRole("editor"),
+  validateRequest({ body: schemas.assetApplyBody }),
+  requireAssetAccess,
+  applyController.applyAssets
+);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const auditController = require("../controllers/auditController");
+const {
+  requireRole,
+  requireContentTypeAccess,
+} = require("../middlewares/auth");
+
+// GET /audit?contentTypeUids=blog_post&format=json|csv|html
+router.get(
+  "/",
+  requireRole("viewer"),
+  requireContentTypeAccess,
+  auditController.audit
+);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// routes/brandkit.js
+const express = require("express");
+const router = express.Router();
+const brandkitController = require("../controllers/brandkitController");
+const { requireRole } = require("../middlewares/auth");
+
+// GET /brandkit  (the rules in effect)
+router.get("/", requireRole("viewer"), brandkitController.getRules);
+
+// GET /brandkit/export?format=json|csv&section=...
+router.get("/export", requireRole("viewer"), brandkitController.exportRules);
+
+// POST /brandkit/import?mode=merge|replace&section=...  (JSON or text/csv body)
+router.post(
+  "/import",
+  requireRole("admin"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  brandkitController.importRules
+);
+
+// GET /brandkit/versions
+router.get("/versions", requireRole("viewer"), brandkitController.listVersions);
+
+// GET /brandkit/versions/:revision
+router.get(
+  "/versions/:revision",
+  requireRole("viewer"),
+  brandkitController.getVersion
+);
+
+// POST /brandkit/versions/:revision/restore
+router.post(
+  "/versions/:revision/restore",
+  requireRole("admin"),
+  brandkitController.restoreVersion
+);
+
+// Sections: approved-terms, banned-terms, rules
+// GET /brandkit/:section
+router.get("/:section", requireRole("viewer"), brandkitController.listItems);
+
+// POST /brandkit/:section
+router.post("/:section", requireRole("admin"), brandkitController.createItem);
+
+// PUT /brandkit/:section/:itemId
+router.put(
+  "/:section/:itemId",
+  requireRole("admin"),
+  brandkitController.updateItem
+);
+
+// DELETE /brandkit/:section/:itemId
+router.delete(
+  "/:section/:itemId",
+  requireRole("admin"),
+  brandkitController.deleteItem
+);
+
+module.exports = router;
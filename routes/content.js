@@ -1,11 +1,28 @@
 const express = require("express");
 const router = express.Router();
 const contentController = require("../controllers/contentController");
+const {
+  requireRole,
+  requireContentTypeAccess,
+} = require("../middlewares/auth");
+const { validateRequest } = require("../middlewares/validate");
+const schemas = require("./schemas");
 
 // GET /content-types
-router.get("/content-types", contentController.listContentTypes);
+router.get(
+  "/content-types",
+  requireRole("viewer"),
+  validateRequest({ query: schemas.contentTypesQuery }),
+  contentController.listContentTypes
+);
 
 // GET /entries?contentTypeUid=blog_post
-router.get("/entries", contentController.listEntries);
+router.get(
+  "/entries",
+  requireRole("viewer"),
+  validateRequest({ query: schemas.entriesQuery }),
+  requireContentTypeAccess,
+  contentController.listEntries
+);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+// routes/jobs.js
+const express = require("express");
+const router = express.Router();
+const jobController = require("../controllers/jobController");
+const { requireRole } = require("../middlewares/auth");
+
+// GET /jobs
+router.get("/", requireRole("viewer"), jobController.listJobs);
+
+// GET /jobs/:jobId
+router.get("/:jobId", requireRole("viewer"), jobController.getJob);
+
+// POST /jobs/:jobId/rollback  { entryUids?: string[], assetUids?: string[] }
+router.post("/:jobId/rollback", requireRole("editor"), jobController.rollback);
+
+module.exports = router;
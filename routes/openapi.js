@@ -0,0 +1,379 @@
+// routes/openapi.js
+const express = require("express");
+const router = express.Router();
+const { toOpenApiSchema } = require("../utils/requestSchema");
+const { version } = require("../package.json");
+const schemas = require("./schemas");
+
+// Every route, with the role it needs and its request schema, if any.
+// Keep in step with the routers mounted in app.js.
+const OPERATIONS = [
+  {
+    method: "get",
+    path: "/content-types",
+    role: "viewer",
+    summary: "List content types",
+    query: schemas.contentTypesQuery,
+  },
+  {
+    method: "get",
+    path: "/entries",
+    role: "viewer",
+    summary: "List the entries of a content type",
+    query: schemas.entriesQuery,
+  },
+  {
+    method: "get",
+    path: "/scan",
+    role: "viewer",
+    summary: "Find matches in selected entries",
+    query: schemas.scanQuery,
+  },
+  {
+    method: "get",
+    path: "/scan/stack",
+    role: "viewer",
+    summary: "Find matches across the stack",
+    query: schemas.scanStackQuery,
+  },
+  {
+    method: "get",
+    path: "/scan/assets",
+    role: "viewer",
+    summary: "Find matches in asset metadata",
+    query: schemas.assetScanQuery,
+  },
+  {
+    method: "get",
+    path: "/preview",
+    role: "editor",
+    summary: "Preview find-and-replace changes",
+    query: schemas.previewQuery,
+  },
+  {
+    method: "get",
+    path: "/preview/assets",
+    role: "editor",
+    summary: "Preview find-and-replace changes to asset metadata",
+    query: schemas.assetPreviewQuery,
+  },
+  {
+    method: "get",
+    path: "/rewrite",
+    role: "editor",
+    summary: "Preview brand voice rewrites",
+    query: schemas.rewriteQuery,
+  },
+  {
+    method: "post",
+    path: "/apply",
+    role: "editor",
+    summary: "Save previewed changes",
+    body: schemas.applyBody,
+  },
+  {
+    method: "post",
+    path: "/apply/assets",
+    role: "editor",
+    summary: "Save previewed asset metadata changes",
+    body: schemas.assetApplyBody,
+  },
+  { method: "get", path: "/jobs", role: "viewer", summary: "List apply jobs" },
+  {
+    method: "get",
+    path: "/jobs/{jobId}",
+    role: "viewer",
+    summary: "Get an apply job",
+  },
+  {
+    method: "post",
+    path: "/jobs/{jobId}/rollback",
+    role: "editor",
+    summary: "Roll back an apply job",
+  },
+  {
+    method: "post",
+    path: "/tasks/preview",
+    role: "editor",
+    summary: "Start a background preview",
+    body: schemas.previewTaskBody,
+  },
+  {
+    method: "post",
+    path: "/tasks/rewrite",
+    role: "editor",
+    summary: "Start a background rewrite",
+    body: schemas.rewriteTaskBody,
+  },
+  {
+    method: "post",
+    path: "/tasks/apply",
+    role: "editor",
+    summary: "Start a background apply",
+    body: schemas.applyTaskBody,
+  },
+  {
+    method: "get",
+    path: "/tasks",
+    role: "viewer",
+    summary: "List background tasks",
+  },
+  {
+    method: "get",
+    path: "/tasks/{taskId}",
+    role: "viewer",
+    summary: "Get a background task",
+  },
+  {
+    method: "get",
+    path: "/tasks/{taskId}/events",
+    role: "viewer",
+    summary: "Follow a task as Server-Sent Events",
+  },
+  {
+    method: "post",
+    path: "/tasks/{taskId}/cancel",
+    role: "editor",
+    summary: "Cancel a background task",
+  },
+  {
+    method: "post",
+    path: "/tasks/{taskId}/resume",
+    role: "editor",
+    summary: "Resume a failed or cancelled task",
+  },
+  {
+    method: "get",
+    path: "/brandkit",
+    role: "viewer",
+    summary: "Get the brand rules in effect",
+  },
+  {
+    method: "get",
+    path: "/brandkit/export",
+    role: "viewer",
+    summary: "Export the brand rules as JSON or CSV",
+  },
+  {
+    method: "post",
+    path: "/brandkit/import",
+    role: "admin",
+    summary: "Import brand rules",
+  },
+  {
+    method: "get",
+    path: "/brandkit/versions",
+    role: "viewer",
+    summary: "List brand rule revisions",
+  },
+  {
+    method: "get",
+    path: "/brandkit/versions/{revision}",
+    role: "viewer",
+    summary: "Get a brand rule revision",
+  },
+  {
+    method: "post",
+    path: "/brandkit/versions/{revision}/restore",
+    role: "admin",
+    summary: "Restore a brand rule revision",
+  },
+  {
+    method: "get",
+    path: "/brandkit/{section}",
+    role: "viewer",
+    summary: "List the items of a brand rule section",
+  },
+  {
+    method: "post",
+    path: "/brandkit/{section}",
+    role: "admin",
+    summary: "Add a brand rule item",
+  },
+  {
+    method: "put",
+    path: "/brandkit/{section}/{itemId}",
+    role: "admin",
+    summary: "Update a brand rule item",
+  },
+  {
+    method: "delete",
+    path: "/brandkit/{section}/{itemId}",
+    role: "admin",
+    summary: "Delete a brand rule item",
+  },
+  {
+    method: "get",
+    path: "/recipes",
+    role: "viewer",
+    summary: "List saved recipes",
+  },
+  {
+    method: "post",
+    path: "/recipes",
+    role: "editor",
+    summary: "Save a recipe",
+    body: schemas.recipeBody,
+  },
+  {
+    method: "get",
+    path: "/recipes/{recipeId}",
+    role: "viewer",
+    summary: "Get a recipe and its runs",
+  },
+  {
+    method: "put",
+    path: "/recipes/{recipeId}",
+    role: "editor",
+    summary: "Update a recipe",
+    body: schemas.recipeBody,
+  },
+  {
+    method: "delete",
+    path: "/recipes/{recipeId}",
+    role: "editor",
+    summary: "Delete a recipe",
+  },
+  {
+    method: "post",
+    path: "/recipes/{recipeId}/run",
+    role: "editor",
+    summary: "Run a recipe's preview in the background",
+  },
+  {
+    method: "post",
+    path: "/recipes/{recipeId}/runs/{runId}/approve",
+    role: "editor",
+    summary: "Approve a recipe run and apply its changes",
+    body: schemas.recipeApprovalBody,
+  },
+  {
+    method: "post",
+    path: "/recipes/{recipeId}/runs/{runId}/dismiss",
+    role: "editor",
+    summary: "Dismiss a recipe run",
+  },
+  {
+    method: "get",
+    path: "/audit",
+    role: "viewer",
+    summary: "Audit entries against the brand rules",
+  },
+  {
+    method: "get",
+    path: "/usage",
+    role: "viewer",
+    summary: "Report model token usage and cost",
+  },
+];
+
+function queryParameters(schema) {
+  return Object.entries(schema.properties).map(
+    ([name, { description, ...property }]) => ({
+      name,
+      in: "query",
+      required: (schema.required || []).includes(name),
+      ...(description ? { description } : {}),
+      schema: toOpenApiSchema(property),
+      ...(property.type === "array" ? { style: "form", explode: true } : {}),
+    })
+  );
+}
+
+function pathParameters(path) {
+  return [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: { type: "string" },
+  }));
+}
+
+function describeOperation({ path, role, summary, query, body }) {
+  const parameters = [
+    ...pathParameters(path),
+    ...(query ? queryParameters(query) : []),
+  ];
+  const errorResponse = (description) => ({
+    description,
+    content: {
+      "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+    },
+  });
+
+  return {
+    summary,
+    description: `Requires the ${role} role.`,
+    tags: [path.split("/")[1]],
+    "x-required-role": role,
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(body
+      ? {
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": { schema: toOpenApiSchema(body) },
+            },
+          },
+        }
+      : {}),
+    responses: {
+      200: { description: "OK" },
+      400: errorResponse("Invalid request (VALIDATION_FAILED)"),
+      401: errorResponse("Missing or invalid credentials"),
+      403: errorResponse("Role or content type not allowed"),
+    },
+  };
+}
+
+/**
+ * The OpenAPI 3 document describing the API.
+ * @returns {object}
+ */
+function buildOpenApiDocument() {
+  const paths = {};
+  for (const operation of OPERATIONS) {
+    paths[operation.path] = paths[operation.path] || {};
+    paths[operation.path][operation.method] = describeOperation(operation);
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "MagicReplace API",
+      version,
+      description:
+        "Find and replace across Contentstack entries, with brand rules and model refinement.",
+    },
+    security: [{ apiKey: [] }, { bearer: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        bearer: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          required: ["error", "code", "requestId"],
+          properties: {
+            error: { type: "string" },
+            code: { type: "string" },
+            requestId: { type: "string" },
+            details: {},
+          },
+        },
+      },
+    },
+  };
+}
+
+let document = null;
+
+// GET /openapi.json
+router.get("/openapi.json", (req, res) => {
+  document = document || buildOpenApiDocument();
+  res.json(document);
+});
+
+module.exports = router;
@@ -2,7 +2,29 @@
 const express = require("express");
 const router = express.Router();
 const previewController = require("../controllers/previewController");
+const {
+  requireRole,
+  requireContentTypeAccess,
+  requireAssetAccess,
+} = require("../middlewares/auth");
+const { validateRequest } = require("../middlewares/validate");
+const schemas = require("./schemas");
 
-router.get("/", previewController.preview);
+router.get(
+  "/",
+  requireRole("editor"),
+  validateRequest({ query: schemas.previewQuery }),
+  requireContentTypeAccess,
+  previewController.preview
+);
+
+// GET /preview/assets?query=Gemini&replaceWith=Claude&folder=blt123
+router.get(
+  "/assets",
+  requireRole("editor"),
+  validateRequest({ query: schemas.assetPreviewQuery }),
+  requireAssetAccess,
+  previewController.previewAssets
+);
 
 module.exports = router;
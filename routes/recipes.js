@@ -0,0 +1,65 @@
+// routes/recipes.js
+const express = require("express");
+const router = express.Router();
+const recipeController = require("../controllers/recipeController");
+const {
+  requireRole,
+  requireContentTypeAccess,
+} = require("../middlewares/auth");
+const { validateRequest } = require("../middlewares/validate");
+const schemas = require("./schemas");
+
+// GET /recipes
+router.get("/", requireRole("viewer"), recipeController.listRecipes);
+
+// POST /recipes  { name, contentTypeUids, query, replaceWith, schedule?, ... }
+router.post(
+  "/",
+  requireRole("editor"),
+  validateRequest({ body: schemas.recipeBody }),
+  requireContentTypeAccess,
+  recipeController.createRecipe
+);
+
+// GET /recipes/:recipeId
+router.get("/:recipeId", requireRole("viewer"), recipeController.getRecipe);
+
+// PUT /recipes/:recipeId  (same body as POST /recipes)
+router.put(
+  "/:recipeId",
+  requireRole("editor"),
+  validateRequest({ body: schemas.recipeBody }),
+  requireContentTypeAccess,
+  recipeController.updateRecipe
+);
+
+// DELETE /recipes/:recipeId
+router.delete(
+  "/:recipeId",
+  requireRole("editor"),
+  recipeController.deleteRecipe
+);
+
+// POST /recipes/:recipeId/run
+router.post(
+  "/:recipeId/run",
+  requireRole("editor"),
+  recipeController.runRecipe
+);
+
+// POST /recipes/:recipeId/runs/:runId/approve  { changes? }
+router.post(
+  "/:recipeId/runs/:runId/approve",
+  requireRole("editor"),
+  validateRequest({ body: schemas.recipeApprovalBody }),
+  recipeController.approveRun
+);
+
+// POST /recipes/:recipeId/runs/:runId/dismiss
+router.post(
+  "/:recipeId/runs/:runId/dismiss",
+  requireRole("editor"),
+  recipeController.dismissRun
+);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// routes/rewrite.js
+const express = require("express");
+const router = express.Router();
+const rewriteController = require("../controllers/rewriteController");
+const {
+  requireRole,
+  requireContentTypeAccess,
+} = require("../middlewares/auth");
+const { validateRequest } = require("../middlewares/validate");
+const schemas = require("./schemas");
+
+// GET /rewrite?contentTypeUid=blog_post&entryUids=uid1&tone=marketing
+router.get(
+  "/",
+  requireRole("editor"),
+  validateRequest({ query: schemas.rewriteQuery }),
+  requireContentTypeAccess,
+  rewriteController.rewrite
+);
+
+module.exports = router;
@@ -1,8 +1,39 @@
 const express = require("express");
 const router = express.Router();
 const scanController = require("../controllers/scanController");
+const {
+  requireRole,
+  requireContentTypeAccess,
+  requireAssetAccess,
+} = require("../middlewares/auth");
+const { validateRequest } = require("../middlewares/validate");
+const schemas = require("./schemas");
 
 // GET /scan?contentTypeUid=blog_post&query=Gemini
-router.get("/", scanController.scan);
+router.get(
+  "/",
+  requireRole("viewer"),
+  validateRequest({ query: schemas.scanQuery }),
+  requireContentTypeAccess,
+  scanController.scan
+);
+
+// GET /scan/stack?query=Gemini&contentTypeUids=blog_post&stream=true
+router.get(
+  "/stack",
+  requireRole("viewer"),
+  validateRequest({ query: schemas.scanStackQuery }),
+  requireContentTypeAccess,
+  scanController.scanStack
+);
+
+// GET /scan/assets?query=Gemini&folder=blt123
+router.get(
+  "/assets",
+  requireRole("viewer"),
+  validateRequest({ query: schemas.assetScanQuery }),
+  requireAssetAccess,
+  scanController.scanAssets
+);
 
 module.exports = router;
@@ -0,0 +1,433 @@
+/**
+ * @fileoverview Request schemas for the routes that take parameters. They are
+ * checked by middlewares/validate before the controller runs and published
+ * in the OpenAPI document (GET /openapi.json). The services still check what
+ * the schemas cannot, e.g. unsafe regular expressions or unknown tones.
+ */
+
+const { MAX_QUERY_LENGTH } = require("../utils/matcher");
+const { MAX_SUGGESTIONS } = require("../services/previewService");
+const { MAX_INSTRUCTIONS_LENGTH } = require("../services/rewriteService");
+const { MAX_REFERENCE_DEPTH } = require("../services/referenceService");
+
+// Most entries a request may name. Background tasks take more, since they
+// are not bound by the request timeout.
+const MAX_ENTRY_UIDS = 100;
+const MAX_TASK_ENTRY_UIDS = 1000;
+// Most changes one /apply request may carry.
+const MAX_CHANGES = 500;
+const MAX_TASK_CHANGES = 5000;
+const MAX_REPLACEMENT_LENGTH = 5000;
+
+const uid = (description) => ({
+  type: "string",
+  pattern: "^[A-Za-z0-9_-]+$",
+  patternMessage: "must only contain letters, digits, '_' and '-'",
+  maxLength: 64,
+  description,
+});
+
+const uidList = (description, maxItems) => ({
+  type: "array",
+  items: uid(),
+  maxItems,
+  description,
+});
+
+const flag = (description) => ({ type: "boolean", description });
+
+const stackOptions = {
+  locale: uid("Locale code, e.g. fr-fr. Defaults to the master locale."),
+  branch: uid("Branch uid. Defaults to CONTENTSTACK_BRANCH."),
+};
+
+const matchOptions = {
+  query: {
+    type: "string",
+    minLength: 1,
+    maxLength: MAX_QUERY_LENGTH,
+    description: "Text, or a regular expression with regex=true, to find.",
+  },
+  regex: flag("Treat query as a regular expression."),
+  wholeWord: flag("Only match whole words."),
+  caseSensitive: flag("Match letter case exactly."),
+};
+
+const referenceOptions = {
+  includeReferences: flag(
+    "Also cover the entries these entries reference; fields and excludeFields only apply to the named content type."
+  ),
+  referenceDepth: {
+    type: "integer",
+    minimum: 1,
+    maximum: MAX_REFERENCE_DEPTH,
+    default: 1,
+    description: "How many references away to follow with includeReferences.",
+  },
+};
+
+const fieldFilters = {
+  fields: {
+    type: "array",
+    items: { type: "string", maxLength: 200 },
+    maxItems: 100,
+    description: "Only these field uids or paths.",
+  },
+  excludeFields: {
+    type: "array",
+    items: { type: "string", maxLength: 200 },
+    maxItems: 100,
+    description: "Leave these field uids or paths out.",
+  },
+};
+
+const entriesQuery = {
+  type: "object",
+  required: ["contentTypeUid"],
+  properties: {
+    contentTypeUid: uid("Content type uid."),
+    ...stackOptions,
+  },
+};
+
+const contentTypesQuery = {
+  type: "object",
+  properties: { branch: stackOptions.branch },
+};
+
+const scanQuery = {
+  type: "object",
+  required: ["contentTypeUid", "query", "entryUids"],
+  properties: {
+    contentTypeUid: uid("Content type uid."),
+    entryUids: {
+      ...uidList("Entries to scan.", MAX_ENTRY_UIDS),
+      minItems: 1,
+    },
+    ...matchOptions,
+    ...fieldFilters,
+    ...stackOptions,
+    allLocales: flag("Scan every localized version of the entries."),
+    ...referenceOptions,
+  },
+};
+
+const scanStackQuery = {
+  type: "object",
+  required: ["query"],
+  properties: {
+    ...matchOptions,
+    contentTypeUids: uidList(
+      "Content types to scan. Defaults to all of them.",
+      100
+    ),
+    ...fieldFilters,
+    ...stackOptions,
+    allLocales: flag("Scan every localized version of the entries."),
+    stream: flag("Send progress as Server-Sent Events."),
+  },
+};
+
+const replacement = {
+  type: "string",
+  minLength: 1,
+  maxLength: MAX_REPLACEMENT_LENGTH,
+  description: "Replacement text; may use $1 or $<name> with regex=true.",
+};
+
+const assetSelection = {
+  folder: uid("Folder uid; only the assets directly inside it."),
+  assetUids: uidList(
+    "Assets to cover. Defaults to every asset (of the folder).",
+    MAX_ENTRY_UIDS
+  ),
+  branch: stackOptions.branch,
+};
+
+const assetScanQuery = {
+  type: "object",
+  required: ["query"],
+  properties: {
+    ...matchOptions,
+    ...assetSelection,
+    ...fieldFilters,
+  },
+};
+
+const assetPreviewQuery = {
+  type: "object",
+  required: ["query", "replaceWith"],
+  properties: {
+    ...matchOptions,
+    replaceWith: replacement,
+    preserveCase: flag("Shape each replacement after the matched casing."),
+    ...assetSelection,
+    ...fieldFilters,
+  },
+};
+
+const previewParams = (maxEntries) => ({
+  type: "object",
+  required: ["contentTypeUid", "query", "replaceWith", "entryUids"],
+  properties: {
+    contentTypeUid: uid("Content type uid."),
+    entryUids: {
+      ...uidList("Entries to preview.", maxEntries),
+      minItems: 1,
+    },
+    ...matchOptions,
+    replaceWith: replacement,
+    preserveCase: flag("Shape each replacement after the matched casing."),
+    smart: flag("Let the model refine each replacement in context."),
+    suggestions: {
+      type: "integer",
+      minimum: 0,
+      maximum: MAX_SUGGESTIONS,
+      default: 0,
+      description: "Alternative rewrites to add to every change.",
+    },
+    ...referenceOptions,
+    ...fieldFilters,
+    ...stackOptions,
+  },
+});
+
+const rewriteParams = (maxEntries) => ({
+  type: "object",
+  required: ["contentTypeUid", "entryUids"],
+  properties: {
+    contentTypeUid: uid("Content type uid."),
+    entryUids: {
+      ...uidList("Entries to rewrite.", maxEntries),
+      minItems: 1,
+    },
+    tone: {
+      type: "string",
+      minLength: 1,
+      maxLength: 100,
+      description: "Name of a brandkit tone. Defaults to the brand voice.",
+    },
+    maxLength: {
+      type: "integer",
+      minimum: 1,
+      description: "Longest rewrite, in characters.",
+    },
+    instructions: {
+      type: "string",
+      maxLength: MAX_INSTRUCTIONS_LENGTH,
+      description: "Extra guidance for the model.",
+    },
+    ...fieldFilters,
+    ...stackOptions,
+  },
+});
+
+const change = {
+  type: "object",
+  required: ["entryUid", "field", "newValue"],
+  properties: {
+    entryUid: uid("Entry uid."),
+    contentTypeUid: uid(
+      "Content type of the entry, for a linked entry reported by /preview. Defaults to the body's."
+    ),
+    field: {
+      type: "string",
+      minLength: 1,
+      maxLength: 200,
+      description: "Field path, as reported by /preview.",
+    },
+    newValue: { description: "The new field value, as reported by /preview." },
+    originalValue: {
+      description: "The value the change was built from, to detect edits.",
+    },
+    version: {
+      type: "integer",
+      minimum: 1,
+      description: "Entry version the change was built from.",
+    },
+    locale: uid("Locale to write. Defaults to the body's locale."),
+  },
+};
+
+const postApplyAction = {
+  publish: {
+    type: "object",
+    required: ["environments"],
+    properties: {
+      environments: {
+        type: "array",
+        items: { type: "string", minLength: 1 },
+        minItems: 1,
+      },
+      locales: { type: "array", items: uid() },
+    },
+    description: "Publish each saved entry.",
+  },
+  workflow: {
+    type: "object",
+    properties: {
+      stage: { type: "string" },
+      comment: { type: "string", maxLength: 1000 },
+      notify: { type: "boolean" },
+    },
+    description: "Move each saved entry to a workflow stage.",
+  },
+  publishRequest: {
+    type: "object",
+    properties: {
+      ruleUid: { type: "string" },
+      comment: { type: "string", maxLength: 1000 },
+      notify: { type: "boolean" },
+    },
+    description: "Submit each saved entry for publish approval.",
+  },
+};
+
+// What /apply and /apply/assets take besides the changes.
+const appliedPreview = {
+  ...matchOptions,
+  query: {
+    ...matchOptions.query,
+    description:
+      "The preview's query; changes to fields that no longer match are skipped.",
+  },
+  replaceWith: {
+    type: "string",
+    maxLength: MAX_REPLACEMENT_LENGTH,
+    description: "The preview's replacement, recorded with the job.",
+  },
+  preserveCase: flag("The preview's preserveCase option."),
+};
+
+const applyBody = (maxChanges) => ({
+  type: "object",
+  required: ["contentTypeUid", "changes"],
+  properties: {
+    contentTypeUid: uid("Content type uid."),
+    changes: {
+      type: "array",
+      items: change,
+      minItems: 1,
+      maxItems: maxChanges,
+      description: "Changes from /preview or /rewrite to save.",
+    },
+    ...appliedPreview,
+    strictVersion: flag("Refuse every change to an entry saved since."),
+    ...postApplyAction,
+    ...fieldFilters,
+    ...stackOptions,
+  },
+});
+
+const assetChange = {
+  type: "object",
+  required: ["assetUid", "field", "newValue"],
+  properties: {
+    assetUid: uid("Asset uid."),
+    field: {
+      type: "string",
+      minLength: 1,
+      maxLength: 200,
+      description: "Field path, as reported by /preview/assets.",
+    },
+    newValue: {
+      description: "The new field value, as reported by /preview/assets.",
+    },
+    originalValue: {
+      description: "The value the change was built from, to detect edits.",
+    },
+    version: {
+      type: "integer",
+      minimum: 1,
+      description: "Asset version the change was built from.",
+    },
+  },
+};
+
+const assetApplyBody = {
+  type: "object",
+  required: ["changes"],
+  properties: {
+    changes: {
+      type: "array",
+      items: assetChange,
+      minItems: 1,
+      maxItems: MAX_CHANGES,
+      description: "Changes from /preview/assets to save.",
+    },
+    ...appliedPreview,
+    strictVersion: flag("Refuse every change to an asset saved since."),
+    ...fieldFilters,
+    branch: stackOptions.branch,
+  },
+};
+
+const recipeBody = {
+  type: "object",
+  required: ["name", "contentTypeUids", "query", "replaceWith"],
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    description: { type: "string", maxLength: 1000 },
+    contentTypeUids: {
+      ...uidList("Content types the recipe runs on.", 100),
+      minItems: 1,
+    },
+    ...matchOptions,
+    replaceWith: replacement,
+    preserveCase: flag("Shape each replacement after the matched casing."),
+    smart: flag("Let the model refine each replacement in context."),
+    ...fieldFilters,
+    ...stackOptions,
+    schedule: {
+      type: "object",
+      required: ["cron"],
+      properties: {
+        cron: {
+          type: "string",
+          minLength: 1,
+          maxLength: 100,
+          description:
+            'Cron expression in UTC, e.g. "0 6 * * 1" (Mondays at 06:00) or "@daily".',
+        },
+        enabled: flag("Whether the schedule runs. Defaults to true."),
+      },
+      description: "Run the recipe on a schedule; each run waits for approval.",
+    },
+  },
+};
+
+const recipeApprovalBody = {
+  type: "object",
+  properties: {
+    changes: {
+      type: "array",
+      items: change,
+      minItems: 1,
+      maxItems: MAX_TASK_CHANGES,
+      description:
+        "The changes to apply. Defaults to every change the run previewed.",
+    },
+  },
+};
+
+module.exports = {
+  MAX_ENTRY_UIDS,
+  MAX_TASK_ENTRY_UIDS,
+  MAX_CHANGES,
+  MAX_TASK_CHANGES,
+  contentTypesQuery,
+  entriesQuery,
+  scanQuery,
+  scanStackQuery,
+  assetScanQuery,
+  assetPreviewQuery,
+  assetApplyBody,
+  previewQuery: previewParams(MAX_ENTRY_UIDS),
+  previewTaskBody: previewParams(MAX_TASK_ENTRY_UIDS),
+  rewriteQuery: rewriteParams(MAX_ENTRY_UIDS),
+  rewriteTaskBody: rewriteParams(MAX_TASK_ENTRY_UIDS),
+  applyBody: applyBody(MAX_CHANGES),
+  applyTaskBody: applyBody(MAX_TASK_CHANGES),
+  recipeBody,
+  recipeApprovalBody,
+};
@@ -0,0 +1,66 @@
+// routes/tasks.js
+const express = require("express");
+const router = express.Router();
+const taskController = require("../controllers/taskController");
+const {
+  requireRole,
+  requireContentTypeAccess,
+} = require("../middlewares/auth");
+const { validateRequest } = require("../middlewares/validate");
+const schemas = require("./schemas");
+
+// POST /tasks/preview  (same parameters as GET /preview, in the body)
+router.post(
+  "/preview",
+  requireRole("editor"),
+  validateRequest({ body: schemas.previewTaskBody }),
+  requireContentTypeAccess,
+  taskController.createPreviewTask
+);
+
+// POST /tasks/rewrite  (same parameters as GET /rewrite, in the body)
+router.post(
+  "/rewrite",
+  requireRole("editor"),
+  validateRequest({ body: schemas.rewriteTaskBody }),
+  requireContentTypeAccess,
+  taskController.createRewriteTask
+);
+
+// POST /tasks/apply  (same body as POST /apply)
+router.post(
+  "/apply",
+  requireRole("editor"),
+  validateRequest({ body: schemas.applyTaskBody }),
+  requireContentTypeAccess,
+  taskController.createApplyTask
+);
+
+// GET /tasks
+router.get("/", requireRole("viewer"), taskController.listTasks);
+
+// GET /tasks/:taskId
+router.get("/:taskId", requireRole("viewer"), taskController.getTask);
+
+// GET /tasks/:taskId/events  (Server-Sent Events)
+router.get(
+  "/:taskId/events",
+  requireRole("viewer"),
+  taskController.streamTaskEvents
+);
+
+// POST /tasks/:taskId/cancel
+router.post(
+  "/:taskId/cancel",
+  requireRole("editor"),
+  taskController.cancelTask
+);
+
+// POST /tasks/:taskId/resume
+router.post(
+  "/:taskId/resume",
+  requireRole("editor"),
+  taskController.resumeTask
+);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const usageController = require("../controllers/usageController");
+const { requireRole } = require("../middlewares/auth");
+
+// GET /usage?from=2025-01-01&to=2025-01-31
+router.get("/", requireRole("viewer"), usageController.getUsage);
+
+module.exports = router;
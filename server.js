@@ -1,32 +1,19 @@
-const express = require("express");
-const app = express();
-const config = require("./config");
-const cors = require("cors");
 const dotenv = require("dotenv");
 
 dotenv.config();
-// Middleware
-app.use(express.json());
-
-app.use(cors());
-
-// Health check route
-app.get("/health", (req, res) => {
-  res.json({ status: "ok" });
-});
-
-// Import routes
+const config = require("./config");
+const app = require("./app");
 
-const contentRoutes = require("./routes/content");
-const scanRoutes = require("./routes/scan");
-const previewRoutes = require("./routes/preview");
-const applyRoutes = require("./routes/apply");
+// Background tasks: pick up tasks left over from the last run.
+const taskQueue = require("./services/taskQueue");
+taskQueue
+  .recoverTasks()
+  .catch((error) =>
+    console.error("❌ Failed to recover background tasks:", error.message)
+  );
 
-// Mount routes
-app.use("/", contentRoutes);
-app.use("/scan", scanRoutes);
-app.use("/preview", previewRoutes);
-app.use("/apply", applyRoutes);
+// Scheduled recipes: queue their previews when they come due.
+require("./services/recipeScheduler").startScheduler();
 
 // Start server
 const PORT = config.PORT || 3000;
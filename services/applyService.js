@@ -0,0 +1,479 @@
+/**
+ * @fileoverview Applies approved preview changes to entries. Shared by the
+ * /apply route and background apply tasks, which apply one entry at a time.
+ */
+
+const contentstackService = require("./contentstackService");
+const brandkitService = require("./brandkitService");
+const publishService = require("./publishService");
+const { getNestedValue, setNestedValue } = require("../utils/objectPath");
+const {
+  parseMatchOptions,
+  createMatcher,
+  createTermMatchers,
+} = require("../utils/matcher");
+const {
+  parseFieldFilters,
+  collectTextFields,
+  isTargetedPath,
+} = require("../utils/fieldTargets");
+const { fieldMatches, toPlainText } = require("../utils/richText");
+const { parseStackOptions } = require("../utils/stackOptions");
+const {
+  NotFoundError,
+  ValidationError,
+  errorFields,
+} = require("../utils/errors");
+
+/**
+ * The 'value' from the frontend might be a stringified object/array from the diff.
+ * We try to parse it; if it fails, we assume it's a regular string.
+ */
+function parseChangeValue(value) {
+  if (typeof value !== "string" || !/^\s*[[{]/.test(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check a change against the entry as it is now, using the `version` and
+ * `originalValue` the preview recorded. Changes without them are not checked.
+ * @returns {string|null} Why the change conflicts, or null if it is safe.
+ */
+function findConflict(change, entryData, currentValue, strictVersion) {
+  if (currentValue === undefined) return "field no longer exists";
+  if (
+    strictVersion &&
+    change.version !== undefined &&
+    entryData._version !== Number(change.version)
+  ) {
+    return `entry was saved since the preview (version ${change.version} -> ${entryData._version})`;
+  }
+  if (
+    change.originalValue !== undefined &&
+    !isSameValue(currentValue, parseChangeValue(change.originalValue))
+  ) {
+    return "field changed since the preview";
+  }
+  return null;
+}
+
+function isChange(change) {
+  return Boolean(
+    change &&
+      typeof change.entryUid === "string" &&
+      change.entryUid &&
+      typeof change.field === "string" &&
+      change.field &&
+      change.newValue !== undefined
+  );
+}
+
+/**
+ * Validate apply parameters from a request body. The result is plain JSON so
+ * it can be stored with a background task.
+ * @param {object} body `req.body`.
+ * @returns {object} The apply parameters.
+ * @throws {ValidationError} When the parameters are invalid.
+ */
+function parseApplyParams(body = {}) {
+  const { contentTypeUid, changes = [], query, replaceWith } = body;
+
+  if (!contentTypeUid || !Array.isArray(changes) || changes.length === 0) {
+    throw new ValidationError(
+      "contentTypeUid and a non-empty 'changes' array are required"
+    );
+  }
+
+  // Refuse the whole request rather than silently skip malformed changes.
+  const malformed = changes
+    .map((change, index) => (isChange(change) ? null : index))
+    .filter((index) => index !== null);
+  if (malformed.length > 0) {
+    const list = malformed.map((index) => `changes[${index}]`).join(", ");
+    throw new ValidationError(
+      `Every change needs entryUid, field and newValue: ${list}`,
+      { details: { malformed } }
+    );
+  }
+
+  let matchOptions = null;
+  if (query !== undefined) {
+    matchOptions = parseMatchOptions(body);
+    createMatcher(matchOptions); // Reject invalid or unsafe patterns up front
+  }
+  changes.forEach((change) => parseStackOptions({ locale: change?.locale }));
+
+  return {
+    contentTypeUid,
+    changes,
+    query,
+    replaceWith,
+    matchOptions,
+    // Refuse every change to an entry saved since the preview, not just
+    // changes to fields that were edited.
+    strictVersion: body.strictVersion === true || body.strictVersion === "true",
+    publish: publishService.parsePublishOptions(body),
+    fieldFilters: parseFieldFilters(body),
+    stackOptions: parseStackOptions(body),
+  };
+}
+
+/**
+ * Group changes by entry UID and locale to minimize API calls and process
+ * one entry version at a time. A change carrying its own `contentTypeUid`
+ * (to an entry linked from the previewed ones) is grouped under it.
+ * @param {object} params From `parseApplyParams`.
+ * @returns {Array<{key: string, contentTypeUid: string, entryUid: string,
+ *   locale?: string, changes: object[]}>}
+ */
+function groupChanges(params) {
+  const changesByEntry = params.changes.reduce((acc, change) => {
+    const locale = change.locale || params.stackOptions.locale;
+    const contentTypeUid = change.contentTypeUid || params.contentTypeUid;
+    let key = locale ? `${change.entryUid}:${locale}` : change.entryUid;
+    if (contentTypeUid !== params.contentTypeUid) {
+      key = `${contentTypeUid}/${key}`;
+    }
+    if (!acc[key]) {
+      acc[key] = {
+        key,
+        contentTypeUid,
+        entryUid: change.entryUid,
+        locale,
+        changes: [],
+      };
+    }
+    acc[key].changes.push(change);
+    return acc;
+  }, {});
+  return Object.values(changesByEntry);
+}
+
+/**
+ * Load everything an apply run needs that is shared between entries.
+ * @param {object} params From `parseApplyParams`.
+ */
+async function createApplyContext(params) {
+  const { branch } = params.stackOptions;
+  const contentTypeUids = [
+    ...new Set([
+      params.contentTypeUid,
+      ...params.changes.map((change) => change.contentTypeUid).filter(Boolean),
+    ]),
+  ];
+  const [brandkit, ...contentTypes] = await Promise.all([
+    brandkitService.getRules(),
+    ...contentTypeUids.map((uid) =>
+      contentstackService.getContentType(uid, { branch })
+    ),
+  ]);
+
+  return {
+    params,
+    brandkit,
+    contentType: contentTypes[0],
+    contentTypes: new Map(contentTypes.map((ct) => [ct.uid, ct])),
+    matcher: params.matchOptions ? createMatcher(params.matchOptions) : null,
+    approvedTermMatchers: createTermMatchers(brandkit.approvedTerms),
+  };
+}
+
+/**
+ * Apply changes to a document (an entry, or an asset's metadata) in memory,
+ * change by change: a change is refused as a conflict if its field was edited
+ * since the preview, and skipped if it is outside `targets`, adds a banned
+ * term, no longer matches the preview's query or its path cannot be written.
+ * @param {object} context From `createApplyContext` (or an asset equivalent).
+ * @param {object} data The document, modified in place.
+ * @param {object[]} targets Its targeted fields, from utils/fieldTargets.
+ * @param {object[]} changes
+ * @param {{label: string, locale?: string}} options `label` names the
+ *   document in logs; `locale` scopes the banned-term check.
+ * @returns {{fieldSnapshots: object[], skipped: object[], conflicts: object[]}}
+ */
+function applyChangesInMemory(context, data, targets, changes, options) {
+  const { params, brandkit, matcher, approvedTermMatchers } = context;
+  const { label, locale } = options;
+  const fieldSnapshots = [];
+  const skipped = [];
+  const conflicts = [];
+
+  for (const change of changes) {
+    if (!isTargetedPath(change.field, targets)) {
+      console.warn(
+        `⚠️ SKIPPING protected or untargeted field ${change.field} for ${label}.`
+      );
+      skipped.push({ field: change.field, reason: "protected field" });
+      continue;
+    }
+
+    const currentValue = getNestedValue(data, change.field);
+    const conflict = findConflict(
+      change,
+      data,
+      currentValue,
+      params.strictVersion
+    );
+    if (conflict) {
+      console.warn(
+        `⚠️ CONFLICT for ${label} at field ${change.field}: ${conflict}.`
+      );
+      conflicts.push({
+        field: change.field,
+        status: "conflict",
+        reason: conflict,
+        currentValue: currentValue ?? null,
+      });
+      continue;
+    }
+
+    const target = targets.find(
+      (t) => t.path === change.field || t.indexPath === change.field
+    );
+    const kind = target ? target.kind : "text";
+    const after = parseChangeValue(change.newValue);
+
+    // Final server-side check for banned terms, on the visible text.
+    const bannedTerms = brandkitService.findBannedTerms(
+      toPlainText(kind, after),
+      brandkit,
+      { locale }
+    );
+    if (bannedTerms.length > 0) {
+      console.warn(
+        `⚠️ SKIPPING banned term for ${label} at field ${change.field}.`
+      );
+      skipped.push({
+        field: change.field,
+        reason: "banned term",
+        terms: bannedTerms,
+      });
+      continue; // Skip this specific change if it contains a banned term.
+    }
+
+    // The field must still contain the query (or an approved-term rewrite)
+    // the preview was built from.
+    if (
+      matcher &&
+      ![matcher, ...approvedTermMatchers].some((m) =>
+        fieldMatches(kind, currentValue, m)
+      )
+    ) {
+      console.warn(
+        `⚠️ SKIPPING ${label} field ${change.field}: it no longer matches the query.`
+      );
+      skipped.push({ field: change.field, reason: "no longer matches" });
+      continue;
+    }
+
+    const before = structuredClone(currentValue);
+    if (!setNestedValue(data, change.field, after)) {
+      skipped.push({ field: change.field, reason: "path not found" });
+      continue;
+    }
+    fieldSnapshots.push({ field: change.field, before, after });
+  }
+
+  return { fieldSnapshots, skipped, conflicts };
+}
+
+/**
+ * Apply one entry's changes and write it back with a single update.
+ * Never throws: failures are reported in the returned result.
+ * @param {object} context From `createApplyContext`.
+ * @param {object} group One element of `groupChanges`.
+ * @returns {Promise<{result: object, jobEntry: object}>} The API result for
+ *   the entry, and the record to store with the replace job.
+ */
+async function applyEntryChanges(context, group) {
+  const { params } = context;
+  const { entryUid, locale, changes: entryChanges } = group;
+  const contentTypeUid = group.contentTypeUid || params.contentTypeUid;
+  const contentType = context.contentTypes.get(contentTypeUid);
+  // Entries linked from the previewed ones are recorded with their type.
+  const linkedType =
+    contentTypeUid !== params.contentTypeUid ? { contentTypeUid } : {};
+  const entryOptions = { locale, branch: params.stackOptions.branch };
+  let entryTitle = "(title unknown)";
+
+  try {
+    console.log(
+      `Processing entry UID: ${entryUid}${locale ? ` (${locale})` : ""}...`
+    );
+    // STEP 1: Fetch the latest version of the entry to avoid conflicts.
+    const [entryData] = await contentstackService.getEntriesByIds(
+      contentTypeUid,
+      [entryUid],
+      entryOptions
+    );
+    if (!entryData) {
+      throw new NotFoundError(
+        `Entry with UID ${entryUid} not found or is inaccessible.`,
+        { code: "ENTRY_NOT_FOUND" }
+      );
+    }
+    entryTitle = entryData.title || "(no title)";
+
+    console.log(
+      `Applying ${entryChanges.length} changes to "${entryTitle}"...`
+    );
+
+    // STEP 2: Apply all approved changes to the entry object in memory,
+    // keeping a snapshot of each field so the job can be rolled back.
+    const targets = collectTextFields(
+      entryData,
+      contentType.schema,
+      params.fieldFilters
+    );
+    const { fieldSnapshots, skipped, conflicts } = applyChangesInMemory(
+      context,
+      entryData,
+      targets,
+      entryChanges,
+      { label: `entry ${entryUid}`, locale: locale || entryData.locale }
+    );
+
+    const entryRecord = (status, extra = {}) => ({
+      result: {
+        entryUid,
+        ...linkedType,
+        locale,
+        title: entryTitle,
+        status,
+        changesApplied: status === "updated" ? fieldSnapshots.length : 0,
+        skipped,
+        conflicts,
+      },
+      jobEntry: {
+        entryUid,
+        ...linkedType,
+        locale,
+        title: entryTitle,
+        status,
+        fields: [],
+        ...extra,
+      },
+    });
+
+    if (fieldSnapshots.length === 0) {
+      console.warn(
+        `⚠️ No applicable changes for entry ${entryUid}; not saved.`
+      );
+      return entryRecord(conflicts.length > 0 ? "conflict" : "skipped");
+    }
+
+    // STEP 3: Perform a single update operation with all modifications applied,
+    // refused if the entry is saved by someone else in the meantime.
+    const versionBefore = entryData._version;
+    let updatedEntry;
+    try {
+      updatedEntry = await contentstackService.updateEntry(
+        contentTypeUid,
+        entryUid,
+        entryData,
+        { ...entryOptions, expectedVersion: versionBefore }
+      );
+    } catch (err) {
+      if (err.code !== "VERSION_CONFLICT") throw err;
+      console.warn(`⚠️ CONFLICT for entry ${entryUid}: ${err.message}.`);
+      fieldSnapshots.forEach(({ field }) =>
+        conflicts.push({
+          field,
+          status: "conflict",
+          reason: "entry was saved while the change was being applied",
+          currentValue: getNestedValue(err.entry, field) ?? null,
+        })
+      );
+      return entryRecord("conflict");
+    }
+
+    console.log(`✅ Successfully updated entry: ${entryUid}`);
+
+    // STEP 4: Publish the saved version, or hand it to workflow, if asked to.
+    const publish = params.publish
+      ? await publishService.runPublishAction(
+          params.publish,
+          {
+            contentTypeUid,
+            entryUid,
+            locale: locale || entryData.locale,
+            version: updatedEntry?._version,
+          },
+          { branch: params.stackOptions.branch }
+        )
+      : undefined;
+
+    return entryRecord("updated", {
+      versionBefore,
+      versionAfter: updatedEntry?._version,
+      fields: fieldSnapshots,
+      publish,
+    });
+  } catch (updateErr) {
+    console.error(`❌ FAILED to update entry ${entryUid}:`, updateErr.message);
+    return {
+      result: {
+        entryUid,
+        ...linkedType,
+        locale,
+        title: entryTitle,
+        status: "failed",
+        ...errorFields(updateErr),
+      },
+      jobEntry: {
+        entryUid,
+        ...linkedType,
+        locale,
+        title: entryTitle,
+        status: "failed",
+        ...errorFields(updateErr),
+        fields: [],
+      },
+    };
+  }
+}
+
+/**
+ * Assemble the apply response from the per-entry results.
+ * @param {object} job The replace job the run was recorded in.
+ * @param {object[]} results The `result` half of `applyEntryChanges`.
+ */
+function summarizeApply(job, results) {
+  const publishResults = job.entries
+    .filter((entry) => entry.publish)
+    .map((entry) => ({
+      entryUid: entry.entryUid,
+      ...(entry.contentTypeUid ? { contentTypeUid: entry.contentTypeUid } : {}),
+      locale: entry.locale,
+      ...entry.publish,
+    }));
+
+  return {
+    message: "Apply operation completed.",
+    jobId: job.id,
+    totalProcessed: results.length,
+    totalUpdated: results.filter((r) => r.status === "updated").length,
+    totalSkipped: results.filter((r) => r.status === "skipped").length,
+    totalConflicts: results.filter((r) => r.status === "conflict").length,
+    totalFailed: results.filter((r) => r.status === "failed").length,
+    results,
+    ...(job.publish ? { publishResults } : {}),
+  };
+}
+
+module.exports = {
+  parseApplyParams,
+  groupChanges,
+  createApplyContext,
+  applyChangesInMemory,
+  applyEntryChanges,
+  summarizeApply,
+};
@@ -0,0 +1,423 @@
+/**
+ * @fileoverview Find-and-replace over asset metadata: titles, descriptions,
+ * alt text and tags. Assets are read a folder at a time (or by uid) through
+ * the content store, and scanned, previewed and applied like entries, with
+ * the same banned-term checks and change format; `assetUid` takes the place
+ * of `entryUid`. Assets are not localized.
+ */
+
+const config = require("../config");
+const contentstackService = require("./contentstackService");
+const brandkitService = require("./brandkitService");
+const { flagChanges, replaceInTargets } = require("./previewService");
+const { applyChangesInMemory } = require("./applyService");
+const {
+  parseMatchOptions,
+  createMatcher,
+  createTermMatchers,
+} = require("../utils/matcher");
+const {
+  parseFieldFilters,
+  collectTextFields,
+} = require("../utils/fieldTargets");
+const { getDifferences, sanitizeObject } = require("../utils/entryDiff");
+const { fieldMatches, toPlainText } = require("../utils/richText");
+const { parseStackOptions } = require("../utils/stackOptions");
+const {
+  NotFoundError,
+  ValidationError,
+  errorFields,
+} = require("../utils/errors");
+
+// The metadata find-and-replace may touch, described like a content type
+// schema so it is targeted (and filtered with `fields`) like entry fields.
+const ASSET_SCHEMA = [
+  {
+    display_name: "Title",
+    uid: "title",
+    data_type: "text",
+    field_metadata: {},
+  },
+  {
+    display_name: "Description",
+    uid: "description",
+    data_type: "text",
+    field_metadata: { multiline: true },
+  },
+  {
+    display_name: "Alt text",
+    uid: config.ASSET_ALT_TEXT_FIELD,
+    data_type: "text",
+    field_metadata: {},
+  },
+  {
+    display_name: "Tags",
+    uid: "tags",
+    data_type: "text",
+    multiple: true,
+    field_metadata: {},
+  },
+];
+
+// Every field of ASSET_SCHEMA may be targeted, tags included.
+const NO_SYSTEM_FIELDS = new Set();
+
+/**
+ * List the metadata fields of an asset that a replace may touch.
+ * @param {object} asset
+ * @param {{include?: string[], exclude?: string[]}} [filters]
+ * @returns {object[]} Targets, as from utils/fieldTargets.
+ */
+function collectAssetFields(asset, filters = {}) {
+  return collectTextFields(asset, ASSET_SCHEMA, filters, {
+    systemFields: NO_SYSTEM_FIELDS,
+  });
+}
+
+/**
+ * The metadata of an asset that find-and-replace writes back.
+ * @param {object} asset
+ * @returns {object}
+ */
+function assetMetadata(asset) {
+  return Object.fromEntries(
+    ASSET_SCHEMA.filter((field) => asset[field.uid] !== undefined).map(
+      (field) => [field.uid, asset[field.uid]]
+    )
+  );
+}
+
+function assetTitle(asset) {
+  return asset.title || asset.filename || "(no title)";
+}
+
+/**
+ * Read which assets a request covers: `assetUids`, `folder` (the assets
+ * directly inside it) or both; neither means every asset of the stack.
+ * @param {object} source `req.query` or `req.body`.
+ * @returns {{folder: string|null, assetUids: string[]|null, branch?: string}}
+ */
+function parseAssetSelection(source = {}) {
+  const assetUids = []
+    .concat(source.assetUids || [])
+    .flatMap((uid) => String(uid).split(","))
+    .map((uid) => uid.trim())
+    .filter(Boolean);
+  return {
+    folder: source.folder || null,
+    assetUids: assetUids.length > 0 ? assetUids : null,
+    branch: parseStackOptions(source).branch,
+  };
+}
+
+/**
+ * Page through the selected assets.
+ * @param {ReturnType<typeof parseAssetSelection>} selection
+ * @returns {AsyncGenerator<{items: object[], skip: number, count: number}>}
+ */
+async function* iterateSelectedAssets({ folder, assetUids, branch }) {
+  if (!assetUids) {
+    yield* contentstackService.iterateAssetPages({ folder, branch });
+    return;
+  }
+  const assets = await contentstackService.getAssetsByIds(assetUids, {
+    branch,
+  });
+  const items = folder
+    ? assets.filter((asset) => asset.parent_uid === folder)
+    : assets;
+  yield { items, skip: 0, count: items.length };
+}
+
+/**
+ * Find the metadata fields of an asset whose text matches.
+ * @returns {object[]} One match per field, tagged with the asset's details.
+ */
+function scanAsset(asset, matcher, fieldFilters) {
+  return collectAssetFields(asset, fieldFilters)
+    .filter((target) => fieldMatches(target.kind, target.value, matcher))
+    .map((target) => ({
+      assetUid: asset.uid,
+      field: target.path,
+      fieldName: target.displayName,
+      fieldLabel: target.label,
+      before: toPlainText(target.kind, target.value),
+      title: assetTitle(asset),
+      filename: asset.filename,
+      folder: asset.parent_uid || null,
+      updated_at: asset.updated_at,
+    }));
+}
+
+/**
+ * Validate asset preview parameters from a request query.
+ * @param {object} source `req.query`.
+ * @returns {object} The preview parameters.
+ * @throws {ValidationError} When the parameters are invalid.
+ */
+function parseAssetPreviewParams(source = {}) {
+  const { query, replaceWith } = source;
+  if (!query || !replaceWith) {
+    throw new ValidationError("query and replaceWith are required");
+  }
+
+  const matchOptions = parseMatchOptions(source);
+  createMatcher(matchOptions); // Reject invalid or unsafe patterns up front
+
+  return {
+    matchOptions,
+    selection: parseAssetSelection(source),
+    fieldFilters: parseFieldFilters(source),
+  };
+}
+
+/**
+ * Load what an asset preview or apply needs that is shared between assets.
+ * @param {object} params From `parseAssetPreviewParams` or
+ *   `parseAssetApplyParams`.
+ */
+async function createAssetContext(params) {
+  const brandkit = await brandkitService.getRules();
+  const matcher = params.matchOptions
+    ? createMatcher(params.matchOptions)
+    : null;
+  const approvedTermMatchers = createTermMatchers(brandkit.approvedTerms);
+
+  return {
+    params,
+    brandkit,
+    matcher,
+    approvedTermMatchers,
+    // Approved brandkit terms are rewritten first, then the user's query.
+    matchers: matcher ? [...approvedTermMatchers, matcher] : [],
+  };
+}
+
+/**
+ * Preview the replacement in the metadata of one asset.
+ * @param {object} context From `createAssetContext`.
+ * @param {object} asset
+ * @returns {object|null} The asset's preview, or null if nothing changes.
+ */
+function previewAsset(context, asset) {
+  const original = sanitizeObject(asset);
+  const targets = collectAssetFields(original, context.params.fieldFilters);
+  const updated = replaceInTargets(original, targets, context.matchers);
+  const differences = getDifferences(targets, updated, updated);
+  if (differences.length === 0) return null;
+
+  return {
+    assetUid: original.uid,
+    title: assetTitle(original),
+    filename: original.filename,
+    folder: original.parent_uid || null,
+    version: original._version,
+    changes: flagChanges(context.brandkit, differences, {
+      version: original._version,
+    }),
+  };
+}
+
+/**
+ * Assemble the asset preview response.
+ * @param {object} params From `parseAssetPreviewParams`.
+ * @param {object[]} previewResults Non-null results of `previewAsset`.
+ * @param {number} scannedAssets
+ */
+function summarizeAssetPreview(params, previewResults, scannedAssets) {
+  const { query, replaceWith } = params.matchOptions;
+  const { folder, branch } = params.selection;
+  return {
+    query,
+    replaceWith,
+    options: params.matchOptions,
+    ...(folder ? { folder } : {}),
+    ...(branch ? { branch } : {}),
+    mode: "traditional",
+    scannedAssets,
+    totalChanges: previewResults.reduce((n, a) => n + a.changes.length, 0),
+    preview: previewResults,
+  };
+}
+
+function isAssetChange(change) {
+  return Boolean(
+    change &&
+      typeof change.assetUid === "string" &&
+      change.assetUid &&
+      typeof change.field === "string" &&
+      change.field &&
+      change.newValue !== undefined
+  );
+}
+
+/**
+ * Validate asset apply parameters from a request body.
+ * @param {object} body `req.body`.
+ * @returns {object} The apply parameters.
+ * @throws {ValidationError} When the parameters are invalid.
+ */
+function parseAssetApplyParams(body = {}) {
+  const { changes = [], query, replaceWith } = body;
+
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw new ValidationError("A non-empty 'changes' array is required");
+  }
+  const malformed = changes
+    .map((change, index) => (isAssetChange(change) ? null : index))
+    .filter((index) => index !== null);
+  if (malformed.length > 0) {
+    const list = malformed.map((index) => `changes[${index}]`).join(", ");
+    throw new ValidationError(
+      `Every change needs assetUid, field and newValue: ${list}`,
+      { details: { malformed } }
+    );
+  }
+
+  let matchOptions = null;
+  if (query !== undefined) {
+    matchOptions = parseMatchOptions(body);
+    createMatcher(matchOptions); // Reject invalid or unsafe patterns up front
+  }
+
+  return {
+    changes,
+    query,
+    replaceWith,
+    matchOptions,
+    strictVersion: body.strictVersion === true || body.strictVersion === "true",
+    fieldFilters: parseFieldFilters(body),
+    stackOptions: { branch: parseStackOptions(body).branch },
+  };
+}
+
+/**
+ * Group changes by asset, to write each asset once.
+ * @param {object} params From `parseAssetApplyParams`.
+ * @returns {Array<{key: string, assetUid: string, changes: object[]}>}
+ */
+function groupAssetChanges(params) {
+  const groups = new Map();
+  params.changes.forEach((change) => {
+    if (!groups.has(change.assetUid)) {
+      groups.set(change.assetUid, {
+        key: change.assetUid,
+        assetUid: change.assetUid,
+        changes: [],
+      });
+    }
+    groups.get(change.assetUid).changes.push(change);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Apply one asset's changes and write its metadata back with one update.
+ * Never throws: failures are reported in the returned result.
+ * @param {object} context From `createAssetContext`.
+ * @param {object} group One element of `groupAssetChanges`.
+ * @returns {Promise<{result: object, jobEntry: object}>}
+ */
+async function applyAssetChanges(context, group) {
+  const { params } = context;
+  const { assetUid, changes } = group;
+  const options = { branch: params.stackOptions.branch };
+  let title = "(title unknown)";
+
+  const record = (status, extra = {}) => ({
+    result: { assetUid, title, status, ...extra.result },
+    jobEntry: { assetUid, title, status, fields: [], ...extra.jobEntry },
+  });
+
+  try {
+    const [asset] = await contentstackService.getAssetsByIds(
+      [assetUid],
+      options
+    );
+    if (!asset) {
+      throw new NotFoundError(
+        `Asset with UID ${assetUid} not found or is inaccessible.`,
+        { code: "ASSET_NOT_FOUND" }
+      );
+    }
+    title = assetTitle(asset);
+
+    const data = sanitizeObject(asset);
+    const { fieldSnapshots, skipped, conflicts } = applyChangesInMemory(
+      context,
+      data,
+      collectAssetFields(data, params.fieldFilters),
+      changes,
+      { label: `asset ${assetUid}` }
+    );
+    const outcome = (status) => ({
+      result: {
+        changesApplied: status === "updated" ? fieldSnapshots.length : 0,
+        skipped,
+        conflicts,
+      },
+    });
+
+    if (fieldSnapshots.length === 0) {
+      console.warn(
+        `⚠️ No applicable changes for asset ${assetUid}; not saved.`
+      );
+      const status = conflicts.length > 0 ? "conflict" : "skipped";
+      return record(status, outcome(status));
+    }
+
+    const versionBefore = asset._version;
+    let updatedAsset;
+    try {
+      updatedAsset = await contentstackService.updateAsset(
+        assetUid,
+        assetMetadata(data),
+        { ...options, expectedVersion: versionBefore }
+      );
+    } catch (err) {
+      if (err.code !== "VERSION_CONFLICT") throw err;
+      console.warn(`⚠️ CONFLICT for asset ${assetUid}: ${err.message}.`);
+      fieldSnapshots.forEach(({ field }) =>
+        conflicts.push({
+          field,
+          status: "conflict",
+          reason: "asset was saved while the change was being applied",
+          currentValue: err.asset?.[field] ?? null,
+        })
+      );
+      return record("conflict", outcome("conflict"));
+    }
+
+    console.log(`✅ Successfully updated asset: ${assetUid}`);
+    return record("updated", {
+      ...outcome("updated"),
+      jobEntry: {
+        versionBefore,
+        versionAfter: updatedAsset?._version,
+        fields: fieldSnapshots,
+      },
+    });
+  } catch (updateErr) {
+    console.error(`❌ FAILED to update asset ${assetUid}:`, updateErr.message);
+    return record("failed", {
+      result: errorFields(updateErr),
+      jobEntry: errorFields(updateErr),
+    });
+  }
+}
+
+module.exports = {
+  ASSET_SCHEMA,
+  collectAssetFields,
+  assetMetadata,
+  parseAssetSelection,
+  iterateSelectedAssets,
+  scanAsset,
+  parseAssetPreviewParams,
+  createAssetContext,
+  previewAsset,
+  summarizeAssetPreview,
+  parseAssetApplyParams,
+  groupAssetChanges,
+  applyAssetChanges,
+};
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Brand compliance audit. Scans the text fields of entries
+ * against every checkable brandkit rule: banned terms, spellings that have an
+ * approved replacement, and voice-and-tone donts that list terms or a pattern.
+ */
+
+const contentstackService = require("./contentstackService");
+const brandkitService = require("./brandkitService");
+const { createMatcher, escapeRegExp } = require("../utils/matcher");
+const { collectTextFields } = require("../utils/fieldTargets");
+const { getTextRuns } = require("../utils/richText");
+const { ValidationError, errorFields } = require("../utils/errors");
+
+const SEVERITIES = ["high", "medium", "low"];
+
+// Characters of surrounding text shown with each violation.
+const CONTEXT_LENGTH = 40;
+
+/**
+ * Compile the brand rules into checks the audit runs over each field.
+ * @param {object} rules From brandkitService.getRules.
+ * @returns {Array<{type: string, ruleId: string, severity: string,
+ *   matcher: object, locales: string[], describe: Function}>}
+ */
+function buildChecks(rules) {
+  const checks = [];
+
+  rules.bannedTerms.forEach((rule) => {
+    checks.push({
+      type: "banned_term",
+      ruleId: rule.term,
+      severity: "high",
+      locales: rule.locales,
+      matcher: createMatcher({ query: rule.term, regex: rule.regex }),
+      describe: (match) => ({
+        message: `Banned term "${match.text}"${
+          rule.reason ? ` (${rule.reason})` : ""
+        }`,
+        suggestion: `Remove or rephrase "${match.text}".`,
+      }),
+    });
+  });
+
+  rules.approvedTerms.forEach((rule) => {
+    checks.push({
+      type: "unapproved_term",
+      ruleId: rule.term,
+      severity: "medium",
+      locales: [],
+      matcher: createMatcher({
+        query: rule.term,
+        replaceWith: rule.replaceWith,
+        wholeWord: true,
+        preserveCase: true,
+      }),
+      describe: (match) => ({
+        message: `"${match.text}" is not the approved spelling`,
+        suggestion: `Use "${match.replacement}" instead of "${match.text}".`,
+        fix: { find: match.text, replaceWith: match.replacement },
+      }),
+    });
+  });
+
+  rules.voiceAndTone.dontChecks.forEach((dont) => {
+    const matchers = [];
+    if (dont.terms.length > 0) {
+      matchers.push(
+        createMatcher({
+          query: dont.terms.map(escapeRegExp).join("|"),
+          regex: true,
+          wholeWord: true,
+        })
+      );
+    }
+    if (dont.pattern) {
+      matchers.push(createMatcher({ query: dont.pattern, regex: true }));
+    }
+    matchers.forEach((matcher) => {
+      checks.push({
+        type: "voice_and_tone",
+        ruleId: dont.text,
+        severity: "low",
+        locales: [],
+        matcher,
+        describe: (match) => ({
+          message: `"${match.text}" goes against the brand voice: ${dont.text}`,
+          suggestion: `Rephrase "${match.text}" (${dont.text}).`,
+        }),
+      });
+    });
+  });
+
+  return checks;
+}
+
+function excerpt(text, match) {
+  const start = Math.max(0, match.index - CONTEXT_LENGTH);
+  const end = Math.min(
+    text.length,
+    match.index + match.length + CONTEXT_LENGTH
+  );
+  return `${start > 0 ? "…" : ""}${text.slice(start, end)}${
+    end < text.length ? "…" : ""
+  }`;
+}
+
+/**
+ * Run the checks over one piece of text.
+ * @param {string} text
+ * @param {object[]} checks From `buildChecks`.
+ * @param {{locale?: string}} [options] Skips banned terms limited to other
+ *   locales.
+ * @returns {Array<{type: string, ruleId: string, severity: string,
+ *   match: string, context: string, message: string, suggestion: string}>}
+ */
+function checkText(text, checks, { locale } = {}) {
+  const violations = [];
+  checks.forEach((check) => {
+    if (locale && check.locales.length > 0 && !check.locales.includes(locale)) {
+      return;
+    }
+    check.matcher.findMatches(text).forEach((match) => {
+      violations.push({
+        type: check.type,
+        ruleId: check.ruleId,
+        severity: check.severity,
+        match: match.text,
+        context: excerpt(text, match),
+        ...check.describe(match),
+      });
+    });
+  });
+  return violations;
+}
+
+/**
+ * Run the checks over the targeted text fields of one entry.
+ * @param {object} entry
+ * @param {object[]} schema The content type schema.
+ * @param {object[]} checks From `buildChecks`.
+ * @param {{fieldFilters?: object, locale?: string}} [options]
+ * @returns {object[]} The entry's violations.
+ */
+function auditEntry(entry, schema, checks, { fieldFilters, locale } = {}) {
+  const entryLocale = locale || entry.locale;
+  const violations = [];
+
+  collectTextFields(entry, schema, fieldFilters).forEach((target) => {
+    getTextRuns(target.kind, target.value).forEach((text) => {
+      checkText(text, checks, { locale: entryLocale }).forEach((violation) =>
+        violations.push({
+          field: target.path,
+          fieldName: target.displayName,
+          fieldLabel: target.label,
+          ...violation,
+        })
+      );
+    });
+  });
+
+  return violations;
+}
+
+function countBy(items, key, keys = []) {
+  const counts = Object.fromEntries(keys.map((k) => [k, 0]));
+  items.forEach((item) => {
+    counts[item[key]] = (counts[item[key]] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Audit every entry of the given content types (default: the whole stack).
+ * Content types that fail to load are reported with an `error` and skipped.
+ * @param {object} params
+ * @param {string[]} [params.contentTypeUids]
+ * @param {{locale?: string, branch?: string, allLocales: boolean}} params.stackOptions
+ * @param {object} [params.fieldFilters]
+ * @returns {Promise<object>} The compliance report.
+ * @throws {ValidationError} With code UNKNOWN_CONTENT_TYPES (and `details`) if a
+ *   requested content type does not exist.
+ */
+async function runAudit({ contentTypeUids = [], stackOptions, fieldFilters }) {
+  const { allLocales, branch } = stackOptions;
+  const rules = await brandkitService.getRules();
+  const checks = buildChecks(rules);
+
+  const allContentTypes = await contentstackService.getContentTypes({
+    branch,
+  });
+  const contentTypes =
+    contentTypeUids.length > 0
+      ? allContentTypes.filter((ct) => contentTypeUids.includes(ct.uid))
+      : allContentTypes;
+  const unknownUids = contentTypeUids.filter(
+    (uid) => !contentTypes.some((ct) => ct.uid === uid)
+  );
+  if (unknownUids.length > 0) {
+    throw new ValidationError(
+      `Unknown content types: ${unknownUids.join(", ")}`,
+      { code: "UNKNOWN_CONTENT_TYPES", details: unknownUids }
+    );
+  }
+
+  const locales = allLocales
+    ? (await contentstackService.getLocales({ branch })).map((l) => l.code)
+    : [stackOptions.locale];
+
+  const groups = [];
+  const entries = [];
+
+  for (const contentType of contentTypes) {
+    const group = {
+      contentTypeUid: contentType.uid,
+      title: contentType.title,
+      scannedEntries: 0,
+      totalViolations: 0,
+    };
+
+    try {
+      for (const locale of locales) {
+        const pages = contentstackService.iterateEntryPages(contentType.uid, {
+          locale,
+          branch,
+        });
+        for await (const page of pages) {
+          page.items.forEach((entry) => {
+            // Fallback content is audited under the locale it belongs to.
+            if (allLocales && entry.locale !== locale) return;
+            const violations = auditEntry(entry, contentType.schema, checks, {
+              fieldFilters,
+              locale,
+            });
+            if (violations.length === 0) return;
+            group.totalViolations += violations.length;
+            entries.push({
+              contentTypeUid: contentType.uid,
+              entryUid: entry.uid,
+              title: entry.title || "(no title)",
+              locale: entry.locale,
+              updated_at: entry.updated_at,
+              violations,
+            });
+          });
+          group.scannedEntries += page.items.length;
+        }
+      }
+    } catch (error) {
+      console.error(
+        `❌ Audit failed for content type ${contentType.uid}:`,
+        error.message
+      );
+      Object.assign(group, errorFields(error));
+    }
+
+    groups.push(group);
+  }
+
+  const violations = entries.flatMap((entry) => entry.violations);
+  return {
+    generatedAt: new Date().toISOString(),
+    brandkit: {
+      name: rules.meta.name || null,
+      revision: rules.meta.revision ?? null,
+      source: rules.source,
+    },
+    ...(branch ? { branch } : {}),
+    locales: allLocales ? locales : undefined,
+    summary: {
+      totalContentTypes: groups.length,
+      totalEntries: groups.reduce((sum, g) => sum + g.scannedEntries, 0),
+      entriesWithViolations: entries.length,
+      totalViolations: violations.length,
+      bySeverity: countBy(violations, "severity", SEVERITIES),
+      byType: countBy(violations, "type", [
+        "banned_term",
+        "unapproved_term",
+        "voice_and_tone",
+      ]),
+    },
+    // Guidance that cannot be checked mechanically, for a human reviewer.
+    uncheckedGuidelines: [
+      ...rules.voiceAndTone.donts.filter(
+        (text) =>
+          !rules.voiceAndTone.dontChecks.some((check) => check.text === text)
+      ),
+      ...rules.rules.map((rule) => rule.title),
+    ],
+    contentTypes: groups,
+    entries,
+  };
+}
+
+module.exports = {
+  buildChecks,
+  checkText,
+  auditEntry,
+  runAudit,
+  SEVERITIES,
+};
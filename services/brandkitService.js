@@ -1,61 +1,141 @@
 const axios = require("axios");
 const fs = require("fs").promises;
-const path = require("path");
+const config = require("../config");
+const { createMatcher } = require("../utils/matcher");
+const { AppError } = require("../utils/errors");
+const {
+  validateBrandkit,
+  resolveTokenReferences,
+} = require("../utils/brandkitSchema");
 
 const BRANDKIT_URL = process.env.BRANDKIT_API_URL;
 const BRANDKIT_KEY = process.env.BRANDKIT_API_KEY;
 const BRANDKIT_ID = process.env.BRANDKIT_ID;
 
+// Loaded rules are reused until brandkit.json changes, `invalidateRulesCache`
+// is called, or (for rules from the API) BRANDKIT_CACHE_TTL_MS passes.
+let rulesCache = null;
+
+function brandkitLoadError(source, details) {
+  return new AppError(`Brand rules could not be loaded from ${source}`, {
+    code: "BRANDKIT_INVALID",
+    details,
+  });
+}
+
+/**
+ * Validate a brandkit document and shape it into the rules the checks use.
+ * See utils/brandkitSchema for the document format.
+ * @private
+ * @param {object} data The parsed brandkit document.
+ * @param {string} source Where it came from, for error messages.
+ * @returns {object} The brand rules.
+ * @throws {AppError} With code BRANDKIT_INVALID and a `details` list of problems.
+ */
+function _normalizeRules(data, source) {
+  const schemaErrors = validateBrandkit(data);
+  if (schemaErrors.length > 0) throw brandkitLoadError(source, schemaErrors);
+
+  const { data: resolved, errors } = resolveTokenReferences(data);
+  if (errors.length > 0) throw brandkitLoadError(source, errors);
+
+  const brandVoice = resolved.voiceAndTone?.brandVoice || {};
+  return {
+    source,
+    meta: resolved.meta || {},
+    approvedTerms: (resolved.approvedTerms || []).map(
+      ({ term, replaceWith }) => ({ term, replaceWith })
+    ),
+    bannedTerms: (resolved.bannedTerms || []).map((item) => {
+      const rule = typeof item === "string" ? { term: item } : item;
+      return {
+        term: rule.term,
+        regex: Boolean(rule.regex),
+        locales: rule.locales || [],
+        reason: rule.reason || "",
+      };
+    }),
+    voiceAndTone: {
+      personality: brandVoice.personality || "",
+      tone: brandVoice.tone || {},
+      dos: brandVoice.dos || [],
+      donts: (brandVoice.donts || []).map((item) =>
+        typeof item === "string" ? item : item.text
+      ),
+      lengthLimits: brandVoice.lengthLimits || {},
+      // The donts that list terms or a pattern the audit can look for
+      dontChecks: (brandVoice.donts || [])
+        .filter((item) => typeof item === "object")
+        .map((item) => ({
+          text: item.text,
+          terms: item.terms || [],
+          pattern: item.pattern || null,
+        })),
+    },
+    rules: resolved.rules || [],
+    // The full document with token references resolved
+    document: resolved,
+  };
+}
+
 /**
  * Reads the brandkit rules from the local brandkit.json file.
  * This is our fallback function.
  * @private
  * @returns {Promise<object>} The brandkit rules object.
+ * @throws {AppError} With code BRANDKIT_INVALID if the file is missing or invalid.
  */
 async function _getRulesFromFile() {
+  let data;
   try {
-    const filePath = path.join(__dirname, "..", "brandkit.json");
-    const data = await fs.readFile(filePath, "utf8");
-    const rules = JSON.parse(data);
-    return {
-      approvedTerms: rules.approvedTerms || [],
-      bannedTerms: rules.bannedTerms || [],
-    };
+    data = JSON.parse(await fs.readFile(config.BRANDKIT_FILE, "utf8"));
   } catch (error) {
     console.error(
-      "❌ Fallback failed: Could not read or parse local brandkit.json.",
-      error
+      "❌ Could not read or parse local brandkit.json:",
+      error.message
     );
-    // Final safety net if both API and file fail
-    return { approvedTerms: [], bannedTerms: [] };
+    throw brandkitLoadError("brandkit.json", [error.message]);
+  }
+  try {
+    return _normalizeRules(data, "brandkit.json");
+  } catch (error) {
+    console.error(`❌ ${error.message}:`, error.details);
+    throw error;
   }
 }
 
+/**
+ * Whether the rules come from the Brandkit API (brandkit.json is then only
+ * the fallback when the API fails).
+ * @returns {boolean}
+ */
+function usesApi() {
+  return Boolean(BRANDKIT_URL && BRANDKIT_KEY && BRANDKIT_ID);
+}
+
 /**
  * Fetches the complete set of brand rules.
  * It first tries the Brandkit API and falls back to a local JSON file on failure.
- * @returns {Promise<{approvedTerms: Array, bannedTerms: Array}>}
+ * @private
  */
-async function getRules() {
+async function _loadRules() {
   // Only attempt API call if credentials are provided
-  if (BRANDKIT_URL && BRANDKIT_KEY && BRANDKIT_ID) {
+  if (usesApi()) {
     try {
       console.log("ℹ️ Attempting to fetch rules from Brandkit API...");
       const response = await axios.get(`${BRANDKIT_URL}/rules/${BRANDKIT_ID}`, {
         headers: { Authorization: `Bearer ${BRANDKIT_KEY}` },
         timeout: 7000, // 7s timeout
       });
+      const rules = _normalizeRules(response.data, "the Brandkit API");
       console.log("✅ Successfully fetched rules from API.");
-      return {
-        approvedTerms: response.data.approvedTerms || [],
-        bannedTerms: response.data.bannedTerms || [],
-      };
+      return rules;
     } catch (error) {
       // --- Fallback Logic ---
       console.warn(
         "⚠️ Brandkit API failed. Falling back to local brandkit.json file."
       );
-      console.error("API Error Details:", error.message);
+      console.error("API Error Details:", error.message, error.details || "");
       return await _getRulesFromFile();
     }
   } else {
@@ -67,6 +147,99 @@ async function getRules() {
   }
 }
 
+async function _fileModifiedAt() {
+  try {
+    return (await fs.stat(config.BRANDKIT_FILE)).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the complete set of brand rules, from the cache when it is still fresh.
+ * @returns {Promise<{approvedTerms: Array<{term: string, replaceWith: string}>,
+ *   bannedTerms: Array<{term: string, regex: boolean, locales: string[],
+ *   reason: string}>, voiceAndTone: object (with `dontChecks`, the donts that
+ *   list terms or a pattern), rules: Array, meta: object,
+ *   document: object, source: string}>}
+ * @throws {AppError} With code BRANDKIT_INVALID if no valid rules could be loaded.
+ */
+async function getRules() {
+  const modifiedAt = await _fileModifiedAt();
+  if (
+    rulesCache &&
+    rulesCache.modifiedAt === modifiedAt &&
+    Date.now() < rulesCache.expiresAt
+  ) {
+    return rulesCache.rules;
+  }
+
+  const rules = await _loadRules();
+  rulesCache = {
+    rules,
+    modifiedAt,
+    expiresAt: usesApi() ? Date.now() + config.BRANDKIT_CACHE_TTL_MS : Infinity,
+  };
+  return rules;
+}
+
+/**
+ * Drop the cached rules so the next `getRules` call reloads them.
+ */
+function invalidateRulesCache() {
+  rulesCache = null;
+}
+
+/**
+ * List the banned terms that occur in a piece of text. Terms match
+ * case-insensitively; regex terms are matched as patterns, and terms scoped
+ * to locales are only checked for those locales (or when no locale is known).
+ * @param {string} text
+ * @param {object} rules From `getRules`.
+ * @param {{locale?: string}} [options]
+ * @returns {string[]} The matching terms.
+ */
+function findBannedTerms(text, rules, { locale } = {}) {
+  const value = String(text || "");
+  const lowerCaseText = value.toLowerCase();
+  return rules.bannedTerms
+    .filter(
+      (rule) =>
+        !locale || rule.locales.length === 0 || rule.locales.includes(locale)
+    )
+    .filter((rule) =>
+      rule.regex
+        ? createMatcher({ query: rule.term, regex: true }).test(value)
+        : lowerCaseText.includes(rule.term.toLowerCase())
+    )
+    .map((rule) => rule.term);
+}
+
+/**
+ * Summarise the voice-and-tone guidance and brand rules as plain text, for
+ * prompts that rewrite content. Returns "" when there is nothing to say.
+ * @param {object} rules From `getRules`.
+ * @returns {string}
+ */
+function describeGuidelines(rules) {
+  const { personality, tone, dos, donts } = rules.voiceAndTone;
+  const lines = [];
+  if (personality) lines.push(`Brand personality: ${personality}`);
+  if (tone.default) lines.push(`Default tone: ${tone.default}`);
+  dos.forEach((item) => lines.push(`Do: ${item}`));
+  donts.forEach((item) => lines.push(`Don't: ${item}`));
+  rules.rules.forEach((rule) =>
+    lines.push(
+      `Rule "${rule.title}"${rule.description ? `: ${rule.description}` : ""}`
+    )
+  );
+  const plainTerms = rules.bannedTerms.filter((rule) => !rule.regex);
+  if (plainTerms.length > 0) {
+    lines.push(`Never use: ${plainTerms.map((rule) => rule.term).join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
 /**
  * Validate a single replacement term using the Brandkit API.
  * NOTE: This function does not have a fallback and will fail if the API is down.
@@ -102,6 +275,10 @@ async function validateReplacement(query, replaceWith) {
 }
 
 module.exports = {
+  usesApi,
   getRules,
+  invalidateRulesCache,
+  findBannedTerms,
+  describeGuidelines,
   validateReplacement,
 };
@@ -0,0 +1,417 @@
+/**
+ * @fileoverview Edits the local brand rules file. Every save is validated
+ * against utils/brandkitSchema, bumps `meta.revision`, keeps a copy of each
+ * revision under DATA_DIR/brandkit-versions and invalidates the rules cache.
+ *
+ * The editable lists ("sections") are approved terms, banned terms and rules.
+ * While the rules come from the Brandkit API the file is not served, so
+ * edits are refused (BRANDKIT_READ_ONLY) rather than silently ignored.
+ */
+
+const path = require("path");
+const config = require("../config");
+const brandkitService = require("./brandkitService");
+const { readJson, writeJson, listJson } = require("../utils/jsonStore");
+const {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const {
+  validateBrandkit,
+  resolveTokenReferences,
+} = require("../utils/brandkitSchema");
+
+const VERSIONS_DIR = path.join(config.DATA_DIR, "brandkit-versions");
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(/[;,]/);
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function toBooleanValue(value) {
+  if (value === undefined || value === "") return undefined;
+  return value === true || value === "true";
+}
+
+function withoutUndefined(item) {
+  return Object.fromEntries(
+    Object.entries(item).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * The editable sections, keyed by their URL name. `fromInput` shapes a
+ * request body or CSV row into a stored item.
+ */
+const SECTIONS = {
+  "approved-terms": {
+    key: "approvedTerms",
+    idField: "term",
+    columns: ["term", "replaceWith"],
+    fromInput: (input) => ({
+      term: typeof input.term === "string" ? input.term.trim() : input.term,
+      replaceWith: input.replaceWith,
+    }),
+  },
+  "banned-terms": {
+    key: "bannedTerms",
+    idField: "term",
+    columns: ["term", "regex", "locales", "reason"],
+    fromInput: (input) =>
+      withoutUndefined({
+        term: typeof input.term === "string" ? input.term.trim() : input.term,
+        regex: toBooleanValue(input.regex),
+        locales: toList(input.locales),
+        reason: input.reason || undefined,
+      }),
+  },
+  rules: {
+    key: "rules",
+    idField: "id",
+    columns: ["id", "title", "description"],
+    // Rules may carry extra metadata (e.g. examples), which is kept as-is.
+    fromInput: (input) =>
+      withoutUndefined({
+        ...input,
+        description: input.description || undefined,
+      }),
+  },
+};
+
+const STORE_ERRORS = {
+  BRANDKIT_INVALID: ValidationError,
+  NOT_FOUND: NotFoundError,
+  DUPLICATE: ConflictError,
+  BRANDKIT_READ_ONLY: ConflictError,
+};
+
+function storeError(code, message, details) {
+  const ErrorType = STORE_ERRORS[code];
+  return new ErrorType(message, { code, details });
+}
+
+function getSection(name) {
+  const section = SECTIONS[name];
+  if (!section) {
+    throw storeError("NOT_FOUND", `Unknown brandkit section: ${name}`);
+  }
+  return section;
+}
+
+// Banned terms may be stored as bare strings; present them as objects.
+function toItem(section, item) {
+  return typeof item === "string" ? { [section.idField]: item } : item;
+}
+
+function sameId(section, a, b) {
+  return section.idField === "term"
+    ? String(a).toLowerCase() === String(b).toLowerCase()
+    : a === b;
+}
+
+/**
+ * Read the raw (unresolved) rules document.
+ * @returns {Promise<object>}
+ */
+async function readDocument() {
+  try {
+    return (await readJson(config.BRANDKIT_FILE, {})) || {};
+  } catch (error) {
+    // A broken rules file is the server's problem, not the request's.
+    throw new AppError("brandkit.json could not be read", {
+      code: "BRANDKIT_INVALID",
+      details: [error.message],
+    });
+  }
+}
+
+function checkDocument(doc) {
+  const errors = validateBrandkit(doc);
+  if (errors.length > 0) return errors;
+  return resolveTokenReferences(doc).errors;
+}
+
+// Saves run one at a time so concurrent edits never overwrite each other.
+let saveQueue = Promise.resolve();
+function serialize(operation) {
+  const run = saveQueue.then(operation, operation);
+  saveQueue = run.catch(() => {});
+  return run;
+}
+
+function _versionPath(revision) {
+  return path.join(VERSIONS_DIR, `${revision}.json`);
+}
+
+async function _writeRevision(previous, next, { updatedBy, note }) {
+  const previousRevision = previous.meta?.revision || 0;
+  // Keep the revision being replaced, e.g. the file as originally shipped.
+  if (!(await readJson(_versionPath(previousRevision), null))) {
+    await writeJson(_versionPath(previousRevision), previous);
+  }
+
+  next.meta = {
+    ...next.meta,
+    revision: previousRevision + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy,
+    note: note || undefined,
+  };
+  await writeJson(_versionPath(next.meta.revision), next);
+  await writeJson(config.BRANDKIT_FILE, next);
+  brandkitService.invalidateRulesCache();
+  console.log(`✅ Saved brandkit revision ${next.meta.revision}.`);
+  return next;
+}
+
+/**
+ * Change the rules document and save it as a new revision.
+ * @param {(doc: object) => void} mutate Edits the document in place; may
+ *   throw errors from this module.
+ * @param {{updatedBy: string, note?: string}} details
+ * @returns {Promise<object>} The saved document.
+ * @throws {ValidationError} With code BRANDKIT_INVALID (and `details`) if the result
+ *   does not pass validation.
+ * @throws {ConflictError} With code BRANDKIT_READ_ONLY if the rules come from
+ *   the Brandkit API.
+ */
+function updateDocument(mutate, details) {
+  return serialize(async () => {
+    if (brandkitService.usesApi()) {
+      throw storeError(
+        "BRANDKIT_READ_ONLY",
+        "The brand rules come from the Brandkit API; edit them there"
+      );
+    }
+    const previous = await readDocument();
+    const next = structuredClone(previous);
+    mutate(next);
+
+    const errors = checkDocument(next);
+    if (errors.length > 0) {
+      throw storeError(
+        "BRANDKIT_INVALID",
+        "The brand rules are invalid",
+        errors
+      );
+    }
+    return _writeRevision(previous, next, details);
+  });
+}
+
+/**
+ * List the items of a section.
+ * @param {string} sectionName e.g. "banned-terms".
+ * @returns {Promise<object[]>}
+ */
+async function listItems(sectionName) {
+  const section = getSection(sectionName);
+  const doc = await readDocument();
+  return (doc[section.key] || []).map((item) => toItem(section, item));
+}
+
+/**
+ * Add an item to a section.
+ * @throws {ConflictError} With code DUPLICATE if an item with the same id exists.
+ */
+async function createItem(sectionName, input, details) {
+  const section = getSection(sectionName);
+  const item = section.fromInput(input || {});
+  await updateDocument((doc) => {
+    const items = doc[section.key] || [];
+    if (
+      items.some((existing) =>
+        sameId(
+          section,
+          toItem(section, existing)[section.idField],
+          item[section.idField]
+        )
+      )
+    ) {
+      throw storeError(
+        "DUPLICATE",
+        `${section.idField} "${item[section.idField]}" already exists`
+      );
+    }
+    doc[section.key] = [...items, item];
+  }, details);
+  return item;
+}
+
+/**
+ * Replace an item in a section. The body may rename the item.
+ * @throws {NotFoundError} With code NOT_FOUND if there is no such item.
+ */
+async function updateItem(sectionName, itemId, input, details) {
+  const section = getSection(sectionName);
+  let item;
+  await updateDocument((doc) => {
+    const items = doc[section.key] || [];
+    const index = items.findIndex((existing) =>
+      sameId(section, toItem(section, existing)[section.idField], itemId)
+    );
+    if (index === -1) {
+      throw storeError("NOT_FOUND", `${section.idField} "${itemId}" not found`);
+    }
+    const currentId = toItem(section, items[index])[section.idField];
+    item = section.fromInput({ [section.idField]: currentId, ...input });
+    doc[section.key] = items.map((existing, i) =>
+      i === index ? item : existing
+    );
+  }, details);
+  return item;
+}
+
+/**
+ * Remove an item from a section.
+ * @throws {NotFoundError} With code NOT_FOUND if there is no such item.
+ */
+async function deleteItem(sectionName, itemId, details) {
+  const section = getSection(sectionName);
+  await updateDocument((doc) => {
+    const items = doc[section.key] || [];
+    const remaining = items.filter(
+      (existing) =>
+        !sameId(section, toItem(section, existing)[section.idField], itemId)
+    );
+    if (remaining.length === items.length) {
+      throw storeError("NOT_FOUND", `${section.idField} "${itemId}" not found`);
+    }
+    doc[section.key] = remaining;
+  }, details);
+}
+
+function mergeItems(section, doc, imported, mode) {
+  if (mode === "replace") {
+    doc[section.key] = imported;
+    return;
+  }
+  const items = [...(doc[section.key] || [])];
+  imported.forEach((item) => {
+    const index = items.findIndex((existing) =>
+      sameId(
+        section,
+        toItem(section, existing)[section.idField],
+        item[section.idField]
+      )
+    );
+    if (index === -1) items.push(item);
+    else items[index] = item;
+  });
+  doc[section.key] = items;
+}
+
+/**
+ * Import items into a section. "merge" adds new items and replaces items
+ * with the same id; "replace" swaps the whole section.
+ * @param {string} sectionName
+ * @param {object[]} inputs Request items or CSV rows.
+ * @param {"merge"|"replace"} mode
+ * @param {object} details
+ * @returns {Promise<number>} How many items were imported.
+ */
+async function importItems(sectionName, inputs, mode, details) {
+  return importSections({ [sectionName]: inputs }, mode, details);
+}
+
+/**
+ * Import items into several sections as a single revision.
+ * @param {Object<string, object[]>} inputsBySection Keyed by section name.
+ * @param {"merge"|"replace"} mode
+ * @param {object} details
+ * @returns {Promise<number>} How many items were imported.
+ */
+async function importSections(inputsBySection, mode, details) {
+  const imports = Object.entries(inputsBySection).map(([name, inputs]) => {
+    const section = getSection(name);
+    return {
+      section,
+      items: inputs.map((input) =>
+        section.fromInput(toItem(section, input) || {})
+      ),
+    };
+  });
+  await updateDocument((doc) => {
+    imports.forEach(({ section, items }) =>
+      mergeItems(section, doc, items, mode)
+    );
+  }, details);
+  return imports.reduce((sum, { items }) => sum + items.length, 0);
+}
+
+/**
+ * Replace the whole rules document (keeping its revision history).
+ */
+function replaceDocument(doc, details) {
+  return updateDocument((current) => {
+    Object.keys(current).forEach((key) => delete current[key]);
+    Object.assign(current, structuredClone(doc));
+  }, details);
+}
+
+/**
+ * List saved revisions, newest first.
+ * @returns {Promise<Array<{revision: number, updatedAt?: string,
+ *   updatedBy?: string, note?: string}>>}
+ */
+async function listVersions() {
+  const names = await listJson(VERSIONS_DIR);
+  const versions = await Promise.all(
+    names
+      .filter((name) => /^\d+$/.test(name))
+      .map(async (name) => {
+        const doc = await readJson(_versionPath(name), {});
+        return {
+          revision: Number(name),
+          updatedAt: doc.meta?.updatedAt,
+          updatedBy: doc.meta?.updatedBy,
+          note: doc.meta?.note,
+        };
+      })
+  );
+  return versions.sort((a, b) => b.revision - a.revision);
+}
+
+/**
+ * Load a saved revision.
+ * @param {number|string} revision
+ * @returns {Promise<object|null>}
+ */
+async function getVersion(revision) {
+  if (!/^\d+$/.test(String(revision))) return null;
+  return readJson(_versionPath(Number(revision)), null);
+}
+
+/**
+ * Save an earlier revision as the newest one.
+ * @throws {NotFoundError} With code NOT_FOUND if the revision does not exist.
+ */
+async function restoreVersion(revision, details) {
+  const doc = await getVersion(revision);
+  if (!doc) {
+    throw storeError("NOT_FOUND", `Revision ${revision} not found`);
+  }
+  return replaceDocument(doc, {
+    ...details,
+    note: details.note || `Restored revision ${revision}`,
+  });
+}
+
+module.exports = {
+  SECTIONS,
+  getSection,
+  readDocument,
+  listItems,
+  createItem,
+  updateItem,
+  deleteItem,
+  importItems,
+  importSections,
+  replaceDocument,
+  listVersions,
+  getVersion,
+  restoreVersion,
+};
@@ -0,0 +1,382 @@
+const contentstack = require("@contentstack/management");
+const {
+  AppError,
+  ConflictError,
+  ContentstackError,
+  NotFoundError,
+  RateLimitedError,
+} = require("../../utils/errors");
+
+// Contentstack error codes for a content type (118) or entry (141) that does
+// not exist; the API reports these with status 422 rather than 404.
+const NOT_FOUND_ERROR_CODES = [118, 141];
+
+// Largest page size the Content Management API allows.
+const PAGE_SIZE = 100;
+
+/**
+ * Turn an error from the Management SDK into a typed error that keeps
+ * Contentstack's own status, error code and field errors as `details`.
+ * @param {Error} err
+ * @param {string} action What was being done, e.g. "update entry blt123".
+ * @returns {Error}
+ */
+function contentstackError(err, action) {
+  // Bugs (a TypeError, say) are not Contentstack's and stay internal errors.
+  const fromApi =
+    err.status || err.errorMessage || err.errors || err.code || err.request;
+  if (err instanceof AppError || !fromApi) return err;
+  const details = {
+    status: err.status ?? null,
+    errorCode: err.errorCode ?? null,
+    ...(err.errors ? { errors: err.errors } : {}),
+  };
+  const reason = err.errorMessage || err.message;
+  const message = `Contentstack could not ${action}: ${reason}`;
+
+  if (err.status === 404 || NOT_FOUND_ERROR_CODES.includes(err.errorCode)) {
+    return new NotFoundError(message, {
+      code: "CONTENTSTACK_NOT_FOUND",
+      details,
+    });
+  }
+  if (err.status === 429) {
+    return new RateLimitedError(message, {
+      code: "CONTENTSTACK_RATE_LIMITED",
+      details,
+      cause: err,
+    });
+  }
+  return new ContentstackError(message, { details, cause: err });
+}
+
+function localeParams({ locale } = {}) {
+  return locale ? { locale } : {};
+}
+
+/**
+ * The stack behind CONTENTSTACK_API_KEY, through the Content Management API.
+ * @param {{apiKey: string, managementToken: string, branch?: string}} options
+ *   `branch` is used when a call does not name one (empty = the stack's main
+ *   branch).
+ * @returns {import("./index").ContentStore}
+ */
+function createContentstackStore({ apiKey, managementToken, branch }) {
+  const client = contentstack.client({});
+
+  async function getStack(options = {}) {
+    const branchUid = options.branch || branch;
+    return client.stack({
+      api_key: apiKey,
+      management_token: managementToken,
+      ...(branchUid ? { branch_uid: branchUid } : {}),
+    });
+  }
+
+  async function fetchEntryInstance(contentTypeUid, entryUid, options) {
+    const stack = await getStack(options);
+    return stack
+      .contentType(contentTypeUid)
+      .entry(entryUid)
+      .fetch(localeParams(options));
+  }
+
+  return {
+    name: "contentstack",
+
+    async getLocales(options = {}) {
+      try {
+        const stack = await getStack(options);
+        const response = await stack.locale().query().find();
+        return response.items || [];
+      } catch (err) {
+        console.error("❌ Contentstack getLocales error:", err);
+        throw contentstackError(err, "list locales");
+      }
+    },
+
+    async getContentTypes(options = {}) {
+      try {
+        const stack = await getStack(options);
+        const response = await stack
+          .contentType()
+          .query({ include_global_field_schema: true })
+          .find();
+        return response.items || [];
+      } catch (err) {
+        console.error("❌ Contentstack getContentTypes error:", err);
+        throw contentstackError(err, "list content types");
+      }
+    },
+
+    async getContentType(contentTypeUid, options = {}) {
+      try {
+        const stack = await getStack(options);
+        return await stack
+          .contentType(contentTypeUid)
+          .fetch({ include_global_field_schema: true });
+      } catch (err) {
+        console.error("❌ Contentstack getContentType error:", err);
+        throw contentstackError(err, `fetch content type ${contentTypeUid}`);
+      }
+    },
+
+    async *iterateEntryPages(contentTypeUid, options = {}) {
+      const stack = await getStack(options);
+      let skip = 0;
+
+      while (true) {
+        let response;
+        try {
+          response = await stack
+            .contentType(contentTypeUid)
+            .entry()
+            .query({
+              ...localeParams(options),
+              skip,
+              limit: PAGE_SIZE,
+              include_count: true,
+            })
+            .find();
+        } catch (err) {
+          console.error("❌ Contentstack iterateEntryPages error:", err);
+          throw contentstackError(err, `list entries of ${contentTypeUid}`);
+        }
+
+        const items = response.items || [];
+        const count = response.count ?? skip + items.length;
+        yield { items, skip, count };
+
+        skip += items.length;
+        if (items.length < PAGE_SIZE || skip >= count) return;
+      }
+    },
+
+    async getEntriesByIds(contentTypeUid, entryUids, options = {}) {
+      try {
+        if (!entryUids || entryUids.length === 0) {
+          return [];
+        }
+        const stack = await getStack(options);
+        const query = { uid: { $in: entryUids }, ...localeParams(options) };
+        const response = await stack
+          .contentType(contentTypeUid)
+          .entry()
+          .query(query)
+          .find();
+
+        return response.items || [];
+      } catch (err) {
+        console.error("❌ Contentstack getEntriesByIds error:", err);
+        throw contentstackError(err, `fetch entries of ${contentTypeUid}`);
+      }
+    },
+
+    async updateEntry(contentTypeUid, entryUid, updatedData, options = {}) {
+      try {
+        const entryInstance = await fetchEntryInstance(
+          contentTypeUid,
+          entryUid,
+          options
+        );
+
+        if (
+          options.expectedVersion !== undefined &&
+          entryInstance._version !== options.expectedVersion
+        ) {
+          const conflict = new ConflictError(
+            `Entry ${entryUid} is at version ${entryInstance._version}, expected ${options.expectedVersion}`,
+            {
+              code: "VERSION_CONFLICT",
+              details: {
+                currentVersion: entryInstance._version,
+                expectedVersion: options.expectedVersion,
+              },
+            }
+          );
+          conflict.entry = entryInstance;
+          throw conflict;
+        }
+
+        for (const key in updatedData) {
+          if (
+            Object.prototype.hasOwnProperty.call(updatedData, key) &&
+            key !== "uid" &&
+            key !== "locale"
+          ) {
+            entryInstance[key] = updatedData[key];
+          }
+        }
+        return await entryInstance.update(localeParams(options));
+      } catch (err) {
+        if (err.code === "VERSION_CONFLICT") throw err;
+        console.error(`❌ Failed to update entry ${entryUid}:`, err);
+        throw contentstackError(err, `update entry ${entryUid}`);
+      }
+    },
+
+    async publishEntry(contentTypeUid, entryUid, details, options = {}) {
+      try {
+        const entryInstance = await fetchEntryInstance(
+          contentTypeUid,
+          entryUid,
+          options
+        );
+        return await entryInstance.publish({
+          publishDetails: {
+            environments: details.environments,
+            locales: details.locales,
+          },
+          ...localeParams(options),
+          ...(details.version ? { version: details.version } : {}),
+        });
+      } catch (err) {
+        console.error(`❌ Failed to publish entry ${entryUid}:`, err);
+        throw contentstackError(err, `publish entry ${entryUid}`);
+      }
+    },
+
+    async setEntryWorkflowStage(contentTypeUid, entryUid, stage, options = {}) {
+      try {
+        const entryInstance = await fetchEntryInstance(
+          contentTypeUid,
+          entryUid,
+          options
+        );
+        return await entryInstance.setWorkflowStage({
+          workflow_stage: {
+            uid: stage.uid,
+            comment: stage.comment || "",
+            notify: Boolean(stage.notify),
+          },
+          ...localeParams(options),
+        });
+      } catch (err) {
+        console.error(
+          `❌ Failed to set workflow stage of entry ${entryUid}:`,
+          err
+        );
+        throw contentstackError(
+          err,
+          `move entry ${entryUid} to a workflow stage`
+        );
+      }
+    },
+
+    async *iterateAssetPages(options = {}) {
+      const stack = await getStack(options);
+      let skip = 0;
+
+      while (true) {
+        let response;
+        try {
+          response = await stack
+            .asset()
+            .query({
+              // Only the assets directly inside the folder, never subfolders.
+              ...(options.folder ? { folder: options.folder } : {}),
+              query: { is_dir: false },
+              skip,
+              limit: PAGE_SIZE,
+              include_count: true,
+            })
+            .find();
+        } catch (err) {
+          console.error("❌ Contentstack iterateAssetPages error:", err);
+          throw contentstackError(err, "list assets");
+        }
+
+        const items = response.items || [];
+        const count = response.count ?? skip + items.length;
+        yield { items, skip, count };
+
+        skip += items.length;
+        if (items.length < PAGE_SIZE || skip >= count) return;
+      }
+    },
+
+    async getAssetsByIds(assetUids, options = {}) {
+      try {
+        if (!assetUids || assetUids.length === 0) {
+          return [];
+        }
+        const stack = await getStack(options);
+        const response = await stack
+          .asset()
+          .query({ query: { uid: { $in: assetUids }, is_dir: false } })
+          .find();
+        return response.items || [];
+      } catch (err) {
+        console.error("❌ Contentstack getAssetsByIds error:", err);
+        throw contentstackError(err, "fetch assets");
+      }
+    },
+
+    async updateAsset(assetUid, updatedData, options = {}) {
+      try {
+        const stack = await getStack(options);
+        const assetInstance = await stack.asset(assetUid).fetch();
+
+        if (
+          options.expectedVersion !== undefined &&
+          assetInstance._version !== options.expectedVersion
+        ) {
+          const conflict = new ConflictError(
+            `Asset ${assetUid} is at version ${assetInstance._version}, expected ${options.expectedVersion}`,
+            {
+              code: "VERSION_CONFLICT",
+              details: {
+                currentVersion: assetInstance._version,
+                expectedVersion: options.expectedVersion,
+              },
+            }
+          );
+          conflict.asset = assetInstance;
+          throw conflict;
+        }
+
+        for (const key in updatedData) {
+          if (
+            Object.prototype.hasOwnProperty.call(updatedData, key) &&
+            key !== "uid"
+          ) {
+            assetInstance[key] = updatedData[key];
+          }
+        }
+        return await assetInstance.update();
+      } catch (err) {
+        if (err.code === "VERSION_CONFLICT") throw err;
+        console.error(`❌ Failed to update asset ${assetUid}:`, err);
+        throw contentstackError(err, `update asset ${assetUid}`);
+      }
+    },
+
+    async requestEntryPublish(contentTypeUid, entryUid, request, options = {}) {
+      try {
+        const entryInstance = await fetchEntryInstance(
+          contentTypeUid,
+          entryUid,
+          options
+        );
+        return await entryInstance.publishRequest({
+          publishing_rule: {
+            uid: request.ruleUid,
+            action: "publish",
+            status: 0, // Approval requested
+            notify: Boolean(request.notify),
+            comment: request.comment || "",
+          },
+          locale: options.locale,
+        });
+      } catch (err) {
+        console.error(
+          `❌ Failed to request publish of entry ${entryUid}:`,
+          err
+        );
+        throw contentstackError(err, `request publishing of entry ${entryUid}`);
+      }
+    },
+  };
+}
+
+module.exports = { createContentstackStore, contentstackError };
@@ -0,0 +1,370 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { readJson, writeJson, listJson } = require("../../utils/jsonStore");
+const { ConflictError, NotFoundError } = require("../../utils/errors");
+
+// Same page size as the Content Management API, so paging behaves alike.
+const PAGE_SIZE = 100;
+const SAFE_UID = /^[\w-]+$/;
+const ACTOR = "file-store";
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function notFound(message, details) {
+  return new NotFoundError(message, {
+    code: "CONTENTSTACK_NOT_FOUND",
+    details,
+  });
+}
+
+/**
+ * A local stand-in for a stack, for offline development, demos and tests.
+ * The fixtures directory holds:
+ *   locales.json                          [{code, name, fallback_locale}],
+ *                                         the master locale first
+ *   content_types/<uid>.json              {uid, title, description, schema}
+ *   entries/<content_type>/<uid>.json     {uid, locales: {<code>: entry},
+ *                                          versions?: {<code>: [entry, ...]}}
+ *   assets/<uid>.json                     the asset as the API returns it,
+ *                                         plus versions?: [asset, ...];
+ *                                         folders have is_dir: true
+ * It is copied to `dataDir` on first use and all edits are saved there, so
+ * the fixtures stay untouched; delete `dataDir` to start over. Only the main
+ * branch exists.
+ * @param {{fixturesDir: string, dataDir: string}} options
+ * @returns {import("./index").ContentStore}
+ */
+function createFileStore({ fixturesDir, dataDir }) {
+  let ready = null;
+
+  // Copy the fixtures the first time the store is used.
+  function prepare() {
+    ready =
+      ready ||
+      (async () => {
+        const existing = await readJson(path.join(dataDir, "locales.json"));
+        if (existing) return;
+        await fs.cp(fixturesDir, dataDir, { recursive: true });
+        console.log(`ℹ️ Copied content fixtures from ${fixturesDir}`);
+      })().catch((error) => {
+        ready = null;
+        throw error;
+      });
+    return ready;
+  }
+
+  function checkBranch({ branch } = {}) {
+    if (branch && branch !== "main") {
+      throw notFound(`Branch ${branch} does not exist in the file store`, {
+        branch,
+      });
+    }
+  }
+
+  function entryPath(contentTypeUid, entryUid) {
+    return path.join(dataDir, "entries", contentTypeUid, `${entryUid}.json`);
+  }
+
+  function assetPath(assetUid) {
+    return path.join(dataDir, "assets", `${assetUid}.json`);
+  }
+
+  function assetOf(record) {
+    const asset = clone(record);
+    delete asset.versions;
+    return asset;
+  }
+
+  async function readAssets(assetUids) {
+    const records = await Promise.all(
+      assetUids.map((assetUid) =>
+        SAFE_UID.test(assetUid) ? readJson(assetPath(assetUid)) : null
+      )
+    );
+    return records
+      .filter((record) => record && !record.is_dir)
+      .map((record) => assetOf(record));
+  }
+
+  async function getLocales(options = {}) {
+    checkBranch(options);
+    await prepare();
+    return readJson(path.join(dataDir, "locales.json"), []);
+  }
+
+  async function masterLocale() {
+    const [master] = await getLocales();
+    return master ? master.code : "en-us";
+  }
+
+  async function getContentType(contentTypeUid, options = {}) {
+    checkBranch(options);
+    await prepare();
+    const contentType = SAFE_UID.test(contentTypeUid)
+      ? await readJson(
+          path.join(dataDir, "content_types", `${contentTypeUid}.json`)
+        )
+      : null;
+    if (!contentType) {
+      throw notFound(`Content type ${contentTypeUid} was not found`, {
+        contentTypeUid,
+      });
+    }
+    return contentType;
+  }
+
+  async function readRecord(contentTypeUid, entryUid) {
+    if (!SAFE_UID.test(entryUid)) return null;
+    return readJson(entryPath(contentTypeUid, entryUid));
+  }
+
+  /**
+   * The entry in `locale`, or its master content (tagged with the master
+   * locale) when it is not localized, as the Management API returns it.
+   */
+  function entryIn(record, locale, master) {
+    const entry = record.locales[locale] || record.locales[master];
+    if (!entry) return null;
+    return {
+      ...clone(entry),
+      uid: record.uid,
+      locale: record.locales[locale] ? locale : master,
+    };
+  }
+
+  async function readEntries(contentTypeUid, entryUids, options) {
+    await getContentType(contentTypeUid, options);
+    const master = await masterLocale();
+    const records = await Promise.all(
+      entryUids.map((entryUid) => readRecord(contentTypeUid, entryUid))
+    );
+    return records
+      .filter(Boolean)
+      .map((record) => entryIn(record, options.locale || master, master))
+      .filter(Boolean);
+  }
+
+  async function updateRecord(contentTypeUid, entryUid, options, update) {
+    await getContentType(contentTypeUid, options);
+    const record = await readRecord(contentTypeUid, entryUid);
+    if (!record) {
+      throw notFound(`Entry ${entryUid} was not found`, { entryUid });
+    }
+    const master = await masterLocale();
+    const result = await update(record, options.locale || master, master);
+    await writeJson(entryPath(contentTypeUid, entryUid), record);
+    return result;
+  }
+
+  return {
+    name: "file",
+
+    getLocales,
+
+    async getContentTypes(options = {}) {
+      checkBranch(options);
+      await prepare();
+      const uids = await listJson(path.join(dataDir, "content_types"));
+      return Promise.all(
+        uids.sort().map((uid) => getContentType(uid, options))
+      );
+    },
+
+    getContentType,
+
+    async *iterateEntryPages(contentTypeUid, options = {}) {
+      await getContentType(contentTypeUid, options);
+      const uids = (
+        await listJson(path.join(dataDir, "entries", contentTypeUid))
+      ).sort();
+      let skip = 0;
+      do {
+        const items = await readEntries(
+          contentTypeUid,
+          uids.slice(skip, skip + PAGE_SIZE),
+          options
+        );
+        yield { items, skip, count: uids.length };
+        skip += PAGE_SIZE;
+      } while (skip < uids.length);
+    },
+
+    async getEntriesByIds(contentTypeUid, entryUids, options = {}) {
+      if (!entryUids || entryUids.length === 0) return [];
+      return readEntries(contentTypeUid, entryUids, options);
+    },
+
+    async updateEntry(contentTypeUid, entryUid, updatedData, options = {}) {
+      return updateRecord(
+        contentTypeUid,
+        entryUid,
+        options,
+        (record, locale, master) => {
+          const current = entryIn(record, locale, master);
+          if (
+            options.expectedVersion !== undefined &&
+            current._version !== options.expectedVersion
+          ) {
+            const conflict = new ConflictError(
+              `Entry ${entryUid} is at version ${current._version}, expected ${options.expectedVersion}`,
+              {
+                code: "VERSION_CONFLICT",
+                details: {
+                  currentVersion: current._version,
+                  expectedVersion: options.expectedVersion,
+                },
+              }
+            );
+            conflict.entry = current;
+            throw conflict;
+          }
+
+          // Writing a locale the entry falls back in creates its localized
+          // version, leaving the master content alone.
+          const previous = record.locales[locale];
+          if (previous) {
+            record.versions = record.versions || {};
+            record.versions[locale] = record.versions[locale] || [];
+            record.versions[locale].push(previous);
+          }
+          const fields = clone(updatedData);
+          delete fields.uid;
+          delete fields.locale;
+          record.locales[locale] = {
+            ...fields,
+            _version: previous ? (previous._version || 1) + 1 : 1,
+            updated_at: new Date().toISOString(),
+            updated_by: ACTOR,
+          };
+          return entryIn(record, locale, master);
+        }
+      );
+    },
+
+    async *iterateAssetPages(options = {}) {
+      checkBranch(options);
+      await prepare();
+      const uids = (await listJson(path.join(dataDir, "assets"))).sort();
+      const assets = (await readAssets(uids)).filter(
+        // Only the assets directly inside the folder, never subfolders.
+        (asset) => !options.folder || asset.parent_uid === options.folder
+      );
+      let skip = 0;
+      do {
+        const items = assets.slice(skip, skip + PAGE_SIZE);
+        yield { items, skip, count: assets.length };
+        skip += PAGE_SIZE;
+      } while (skip < assets.length);
+    },
+
+    async getAssetsByIds(assetUids, options = {}) {
+      checkBranch(options);
+      await prepare();
+      if (!assetUids || assetUids.length === 0) return [];
+      return readAssets(assetUids);
+    },
+
+    async updateAsset(assetUid, updatedData, options = {}) {
+      checkBranch(options);
+      await prepare();
+      const record = SAFE_UID.test(assetUid)
+        ? await readJson(assetPath(assetUid))
+        : null;
+      if (!record || record.is_dir) {
+        throw notFound(`Asset ${assetUid} was not found`, { assetUid });
+      }
+      if (
+        options.expectedVersion !== undefined &&
+        record._version !== options.expectedVersion
+      ) {
+        const conflict = new ConflictError(
+          `Asset ${assetUid} is at version ${record._version}, expected ${options.expectedVersion}`,
+          {
+            code: "VERSION_CONFLICT",
+            details: {
+              currentVersion: record._version,
+              expectedVersion: options.expectedVersion,
+            },
+          }
+        );
+        conflict.asset = assetOf(record);
+        throw conflict;
+      }
+
+      const fields = clone(updatedData);
+      delete fields.uid;
+      const updated = {
+        ...assetOf(record),
+        ...fields,
+        _version: (record._version || 1) + 1,
+        updated_at: new Date().toISOString(),
+        updated_by: ACTOR,
+        versions: [...(record.versions || []), assetOf(record)],
+      };
+      await writeJson(assetPath(assetUid), updated);
+      return assetOf(updated);
+    },
+
+    async publishEntry(contentTypeUid, entryUid, details, options = {}) {
+      return updateRecord(
+        contentTypeUid,
+        entryUid,
+        options,
+        (record, locale, master) => {
+          const entry = record.locales[locale] || record.locales[master];
+          const time = new Date().toISOString();
+          entry.publish_details = [
+            ...(entry.publish_details || []),
+            ...details.environments.flatMap((environment) =>
+              details.locales.map((publishLocale) => ({
+                environment,
+                locale: publishLocale,
+                version: details.version || entry._version,
+                time,
+                user: ACTOR,
+              }))
+            ),
+          ];
+          return { notice: "The requested action has been performed." };
+        }
+      );
+    },
+
+    async setEntryWorkflowStage(contentTypeUid, entryUid, stage, options = {}) {
+      return updateRecord(
+        contentTypeUid,
+        entryUid,
+        options,
+        (record, locale, master) => {
+          const entry = record.locales[locale] || record.locales[master];
+          entry._workflow = {
+            uid: stage.uid,
+            comment: stage.comment || "",
+            updated_at: new Date().toISOString(),
+            updated_by: ACTOR,
+          };
+          return { notice: "Workflow stage updated successfully." };
+        }
+      );
+    },
+
+    async requestEntryPublish(contentTypeUid, entryUid, request, options = {}) {
+      return updateRecord(contentTypeUid, entryUid, options, (record) => {
+        record.publishRequests = [
+          ...(record.publishRequests || []),
+          {
+            ruleUid: request.ruleUid,
+            locale: options.locale || null,
+            comment: request.comment || "",
+            requestedAt: new Date().toISOString(),
+          },
+        ];
+        return { notice: "Publish request submitted successfully." };
+      });
+    },
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Where content types, entries and locales come from. The store
+ * is chosen with CONTENT_STORE: "contentstack" (the Management API) or
+ * "file", a local stand-in loaded from CONTENT_FIXTURES_DIR so the whole API
+ * runs offline. It is created on first use.
+ */
+
+const path = require("path");
+const config = require("../../config");
+const { createContentstackStore } = require("./contentstackStore");
+const { createFileStore } = require("./fileStore");
+
+/**
+ * What every store implements. `options` takes `branch` (defaults to
+ * CONTENTSTACK_BRANCH, then the main branch) and `locale` (defaults to the
+ * master locale); entries not localized in `locale` come back with their
+ * master content and the master `locale`.
+ * @typedef {object} ContentStore
+ * @property {string} name
+ * @property {(options?: object) => Promise<object[]>} getLocales
+ * @property {(options?: object) => Promise<object[]>} getContentTypes
+ * @property {(contentTypeUid: string, options?: object) => Promise<object>}
+ *   getContentType
+ * @property {(contentTypeUid: string, options?: object) =>
+ *   AsyncGenerator<{items: object[], skip: number, count: number}>}
+ *   iterateEntryPages
+ * @property {(contentTypeUid: string, entryUids: string[], options?: object)
+ *   => Promise<object[]>} getEntriesByIds
+ * @property {(contentTypeUid: string, entryUid: string, data: object,
+ *   options?: {expectedVersion?: number}) => Promise<object>} updateEntry
+ *   Refused with a VERSION_CONFLICT ConflictError (carrying the current
+ *   `entry`) if the entry is no longer at `expectedVersion`.
+ * @property {(options?: {folder?: string, branch?: string}) =>
+ *   AsyncGenerator<{items: object[], skip: number, count: number}>}
+ *   iterateAssetPages Assets (never folders), directly inside `folder` if set.
+ * @property {(assetUids: string[], options?: object) => Promise<object[]>}
+ *   getAssetsByIds
+ * @property {(assetUid: string, data: object, options?: {expectedVersion?:
+ *   number}) => Promise<object>} updateAsset Writes the metadata in `data`;
+ *   refused like updateEntry, with the current `asset` on the error.
+ * @property {Function} publishEntry
+ * @property {Function} setEntryWorkflowStage
+ * @property {Function} requestEntryPublish
+ */
+
+const STORES = {
+  contentstack: () =>
+    createContentstackStore({
+      apiKey: config.CONTENTSTACK_API_KEY,
+      managementToken: config.CONTENTSTACK_MANAGEMENT_TOKEN,
+      branch: config.CONTENTSTACK_BRANCH,
+    }),
+  file: () =>
+    createFileStore({
+      fixturesDir: config.CONTENT_FIXTURES_DIR,
+      dataDir: path.join(config.DATA_DIR, "content"),
+    }),
+};
+
+let store = null;
+
+/**
+ * The configured store, created on first use.
+ * @returns {ContentStore}
+ * @throws {Error} If CONTENT_STORE names an unknown store.
+ */
+function getStore() {
+  if (store) return store;
+  const factory = STORES[config.CONTENT_STORE];
+  if (!factory) {
+    throw new Error(
+      `Unknown CONTENT_STORE "${
+        config.CONTENT_STORE
+      }" (expected one of ${Object.keys(STORES).join(", ")})`
+    );
+  }
+  store = factory();
+  if (store.name !== "contentstack") {
+    console.log(`🌍 Using the ${store.name} content store`);
+  }
+  return store;
+}
+
+module.exports = { getStore };
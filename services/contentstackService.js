@@ -1,95 +1,142 @@
-const contentstack = require("@contentstack/management");
-const config = require("../config");
+/**
+ * @fileoverview Content access for the controllers and services. Every call
+ * goes to the content store chosen with CONTENT_STORE (see
+ * services/contentStore): the Contentstack Management API, or local fixtures.
+ *
+ * Every function accepts an optional `options` object: `branch` selects the
+ * stack branch (defaults to CONTENTSTACK_BRANCH, then the stack's main
+ * branch) and `locale` the entry locale (defaults to the master locale).
+ */
 
-const client = contentstack.client({});
+const { getStore } = require("./contentStore");
 
-async function getStack() {
-  return client.stack({
-    api_key: config.CONTENTSTACK_API_KEY,
-    management_token: config.CONTENTSTACK_MANAGEMENT_TOKEN,
-  });
+async function getLocales(options = {}) {
+  return getStore().getLocales(options);
 }
 
-async function getContentTypes() {
-  try {
-    const stack = await getStack();
-    const response = await stack.contentType().query().find();
-    return response.items || [];
-  } catch (err) {
-    console.error("❌ Contentstack getContentTypes error:", err);
-    throw err;
-  }
+async function getContentTypes(options = {}) {
+  return getStore().getContentTypes(options);
+}
+
+async function getContentType(contentTypeUid, options = {}) {
+  return getStore().getContentType(contentTypeUid, options);
+}
+
+/**
+ * Page through every entry of a content type until exhausted. Yields one page
+ * at a time so callers can report progress as they go.
+ * @returns {AsyncGenerator<{items: object[], skip: number, count: number}>}
+ */
+function iterateEntryPages(contentTypeUid, options = {}) {
+  return getStore().iterateEntryPages(contentTypeUid, options);
 }
 
-async function getEntries(contentTypeUid) {
-  try {
-    const stack = await getStack();
-    const response = await stack
-      .contentType(contentTypeUid)
-      .entry()
-      .query()
-      .find();
-    return response.items || [];
-  } catch (err) {
-    console.error("❌ Contentstack getEntries error:", err);
-    throw err;
+async function getEntries(contentTypeUid, options = {}) {
+  const entries = [];
+  for await (const page of iterateEntryPages(contentTypeUid, options)) {
+    entries.push(...page.items);
   }
+  return entries;
 }
 
-async function getEntriesByIds(contentTypeUid, entryUids) {
-  try {
-    // --- DEBUG MESSAGE ADDED HERE ---
-    console.log(
-      "✅ --- RUNNING THE CORRECTED getEntriesByIds function! --- ✅"
-    );
+async function getEntriesByIds(contentTypeUid, entryUids, options = {}) {
+  return getStore().getEntriesByIds(contentTypeUid, entryUids, options);
+}
 
-    if (!entryUids || entryUids.length === 0) {
-      return [];
-    }
-    const stack = await getStack();
-    const query = { uid: { $in: entryUids } };
+/**
+ * Update an entry. With a `locale` the localized version is written (and
+ * created if the entry was still falling back to the master locale), so a
+ * localized edit never overwrites the master content.
+ * With `expectedVersion`, the update is refused with a VERSION_CONFLICT
+ * ConflictError (carrying the current `entry`) if the entry has been saved
+ * since.
+ */
+async function updateEntry(
+  contentTypeUid,
+  entryUid,
+  updatedData,
+  options = {}
+) {
+  return getStore().updateEntry(contentTypeUid, entryUid, updatedData, options);
+}
 
-    // This is the corrected line
-    const response = await stack
-      .contentType(contentTypeUid)
-      .entry()
-      .query(query)
-      .find();
+/**
+ * Page through the assets of the stack, or of one folder (`options.folder`,
+ * not including its subfolders). Folders themselves are never returned.
+ * @returns {AsyncGenerator<{items: object[], skip: number, count: number}>}
+ */
+function iterateAssetPages(options = {}) {
+  return getStore().iterateAssetPages(options);
+}
 
-    return response.items || [];
-  } catch (err) {
-    console.error("❌ Contentstack getEntriesByIds error:", err);
-    throw err;
-  }
+async function getAssetsByIds(assetUids, options = {}) {
+  return getStore().getAssetsByIds(assetUids, options);
 }
 
-async function updateEntry(contentTypeUid, entryUid, updatedData) {
-  try {
-    const stack = await getStack();
-    const entryInstance = await stack
-      .contentType(contentTypeUid)
-      .entry(entryUid)
-      .fetch();
+/**
+ * Update the metadata of an asset (title, description, tags, ...); the file
+ * itself is left alone. With `expectedVersion`, refused like `updateEntry`.
+ */
+async function updateAsset(assetUid, updatedData, options = {}) {
+  return getStore().updateAsset(assetUid, updatedData, options);
+}
 
-    for (const key in updatedData) {
-      if (
-        Object.prototype.hasOwnProperty.call(updatedData, key) &&
-        key !== "uid"
-      ) {
-        entryInstance[key] = updatedData[key];
-      }
-    }
-    return await entryInstance.update();
-  } catch (err) {
-    console.error(`❌ Failed to update entry ${entryUid}:`, err);
-    const errorMessage = err.errors ? JSON.stringify(err.errors) : err.message;
-    throw new Error(errorMessage);
-  }
+/**
+ * Publish an entry version to environments and locales.
+ * @param {{environments: string[], locales: string[], version?: number}} details
+ */
+async function publishEntry(contentTypeUid, entryUid, details, options = {}) {
+  return getStore().publishEntry(contentTypeUid, entryUid, details, options);
+}
+
+/**
+ * Move an entry to a workflow stage.
+ * @param {{uid: string, comment?: string, notify?: boolean}} stage
+ */
+async function setEntryWorkflowStage(
+  contentTypeUid,
+  entryUid,
+  stage,
+  options = {}
+) {
+  return getStore().setEntryWorkflowStage(
+    contentTypeUid,
+    entryUid,
+    stage,
+    options
+  );
+}
+
+/**
+ * Submit an entry for publish approval under a publish rule.
+ * @param {{ruleUid: string, comment?: string, notify?: boolean}} request
+ */
+async function requestEntryPublish(
+  contentTypeUid,
+  entryUid,
+  request,
+  options = {}
+) {
+  return getStore().requestEntryPublish(
+    contentTypeUid,
+    entryUid,
+    request,
+    options
+  );
 }
 
 module.exports = {
+  getLocales,
   getContentTypes,
+  getContentType,
   getEntries,
+  iterateEntryPages,
   getEntriesByIds,
   updateEntry,
+  publishEntry,
+  setEntryWorkflowStage,
+  requestEntryPublish,
+  iterateAssetPages,
+  getAssetsByIds,
+  updateAsset,
 };
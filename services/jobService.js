@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Persists replace jobs to local disk. Every apply run is recorded
+ * as a job holding per-field before/after snapshots so it can be rolled back.
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const config = require("../config");
+const { readJson, writeJson, listJson } = require("../utils/jsonStore");
+
+const JOBS_DIR = path.join(config.DATA_DIR, "jobs");
+
+function _jobPath(jobId) {
+  return path.join(JOBS_DIR, `${jobId}.json`);
+}
+
+/**
+ * Create a new job record in memory. Call `saveJob` to persist it.
+ * @param {object} details
+ * @param {string} details.createdBy
+ * @param {string} [details.contentTypeUid] Unset for asset jobs.
+ * @param {string} [details.target] "assets" for a job that changed asset
+ *   metadata; its entries name an `assetUid` instead of an `entryUid`.
+ * @param {string} [details.branch]
+ * @param {string} [details.query]
+ * @param {string} [details.replaceWith]
+ * @param {object} [details.publish] The post-apply action, if any.
+ * @returns {object} The job record.
+ */
+function createJob({
+  createdBy,
+  target,
+  contentTypeUid,
+  branch,
+  query,
+  replaceWith,
+  publish,
+}) {
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    createdBy,
+    ...(target ? { target } : {}),
+    contentTypeUid: contentTypeUid || null,
+    branch: branch || null,
+    query: query || null,
+    replaceWith: replaceWith || null,
+    publish: publish || null,
+    status: "applied",
+    entries: [],
+  };
+}
+
+/**
+ * Derive the overall job status from the state of its entries.
+ * @param {object} job
+ * @returns {string}
+ */
+function computeJobStatus(job) {
+  const updated = job.entries.filter((e) => e.status === "updated");
+  const rolledBack = updated.filter((e) => e.rolledBack);
+  if (updated.length > 0 && rolledBack.length === updated.length) {
+    return "rolled_back";
+  }
+  if (rolledBack.length > 0) return "partially_rolled_back";
+  return "applied";
+}
+
+/**
+ * Persist a job record to disk.
+ * @param {object} job
+ * @returns {Promise<object>}
+ */
+async function saveJob(job) {
+  job.status = computeJobStatus(job);
+  await writeJson(_jobPath(job.id), job);
+  return job;
+}
+
+/**
+ * Load a single job by id.
+ * @param {string} jobId
+ * @returns {Promise<object|null>} The job, or null if it does not exist.
+ */
+async function getJob(jobId) {
+  // Job ids are UUIDs; refuse anything that could escape the jobs directory.
+  if (!/^[\w-]+$/.test(jobId)) return null;
+  return readJson(_jobPath(jobId), null);
+}
+
+/**
+ * List stored jobs, newest first.
+ * @returns {Promise<object[]>}
+ */
+async function listJobs() {
+  const ids = await listJson(JOBS_DIR);
+  const jobs = await Promise.all(ids.map((id) => getJob(id)));
+  return jobs
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  createJob,
+  saveJob,
+  getJob,
+  listJobs,
+};
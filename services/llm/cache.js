@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Caches model responses on disk, keyed by a hash of the
+ * provider, model and prompt, so previewing the same content again does not
+ * call the model again.
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const config = require("../../config");
+const { readJson, writeJson } = require("../../utils/jsonStore");
+
+const CACHE_DIR = path.join(config.DATA_DIR, "llm-cache");
+
+/**
+ * @param {{name: string, model: string}} provider
+ * @param {{systemPrompt: string, userPrompt: string}} prompt
+ * @returns {string}
+ */
+function cacheKey(provider, { systemPrompt, userPrompt }) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([provider.name, provider.model, systemPrompt, userPrompt])
+    )
+    .digest("hex");
+}
+
+function _cachePath(key) {
+  return path.join(CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * A cached response that has not expired, or null.
+ * @param {string} key
+ * @returns {Promise<{text: string, usage: object}|null>}
+ */
+async function getCached(key) {
+  if (config.LLM_CACHE_TTL_MS <= 0) return null;
+  try {
+    const cached = await readJson(_cachePath(key), null);
+    if (!cached || Date.now() - cached.cachedAt > config.LLM_CACHE_TTL_MS) {
+      return null;
+    }
+    return { text: cached.text, usage: cached.usage };
+  } catch (error) {
+    // A damaged cache file is a miss; it is overwritten on the next call.
+    return null;
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {{text: string, usage: object}} result
+ */
+async function setCached(key, { text, usage }) {
+  if (config.LLM_CACHE_TTL_MS <= 0) return;
+  try {
+    await writeJson(_cachePath(key), { cachedAt: Date.now(), text, usage });
+  } catch (error) {
+    console.error("❌ Failed to cache LLM response:", error.message);
+  }
+}
+
+module.exports = { cacheKey, getCached, setCached };
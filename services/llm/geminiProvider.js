@@ -0,0 +1,43 @@
+const DEFAULT_MODEL = "gemini-2.5-flash";
+
+/**
+ * Google Gemini via the Generative AI SDK.
+ * @param {{apiKey: string, model?: string}} options
+ * @returns {{name: string, model: string,
+ *   generate: (prompt: {systemPrompt: string, userPrompt: string}) =>
+ *     Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}}
+ * @throws {Error} If no API key is configured.
+ */
+function createGeminiProvider({ apiKey, model = DEFAULT_MODEL }) {
+  if (!apiKey) {
+    throw new Error("GEMINI_API_KEY is not set");
+  }
+
+  const { GoogleGenerativeAI } = require("@google/generative-ai");
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({
+    model,
+    generationConfig: { responseMimeType: "application/json" },
+  });
+
+  return {
+    name: "gemini",
+    model,
+    async generate({ systemPrompt, userPrompt }) {
+      const result = await generativeModel.generateContent([
+        systemPrompt,
+        userPrompt,
+      ]);
+      const usage = result.response.usageMetadata || {};
+      return {
+        text: result.response.text(),
+        usage: {
+          inputTokens: usage.promptTokenCount || 0,
+          outputTokens: usage.candidatesTokenCount || 0,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createGeminiProvider, DEFAULT_MODEL };
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview The language model behind smart mode. The provider is chosen
+ * with LLM_PROVIDER and only created on first use, so everything that does
+ * not call a model runs without any provider credentials. Calls go through a
+ * response cache, a rate limiter with retries, and usage accounting.
+ */
+
+const config = require("../../config");
+const { cacheKey, getCached, setCached } = require("./cache");
+const { createLimiter, withRetry } = require("./limiter");
+const { costOf, addUsage, recordUsage } = require("./usage");
+const { AppError, LlmError, RateLimitedError } = require("../../utils/errors");
+const { createGeminiProvider } = require("./geminiProvider");
+const { createOpenAiProvider } = require("./openaiProvider");
+const { createMockProvider } = require("./mockProvider");
+
+const PROVIDERS = {
+  gemini: () =>
+    createGeminiProvider({
+      apiKey: config.GEMINI_API_KEY,
+      model: config.LLM_MODEL || undefined,
+    }),
+  openai: () =>
+    createOpenAiProvider({
+      baseUrl: config.OPENAI_BASE_URL,
+      apiKey: config.OPENAI_API_KEY,
+      model: config.LLM_MODEL || undefined,
+    }),
+  mock: () =>
+    createMockProvider({
+      mode: config.LLM_MOCK_MODE,
+      recordingsFile: config.LLM_RECORDINGS_FILE,
+      recordProvider:
+        config.LLM_MOCK_MODE === "record"
+          ? createProvider(config.LLM_RECORD_PROVIDER)
+          : undefined,
+    }),
+};
+
+/**
+ * Create a provider by name.
+ * @param {string} name "gemini", "openai" or "mock".
+ * @returns {{name: string, model: string,
+ *   generate: (prompt: {systemPrompt: string, userPrompt: string}) =>
+ *     Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}}
+ * @throws {Error} If the provider is unknown or not configured.
+ */
+function createProvider(name) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}" (expected one of ${Object.keys(
+        PROVIDERS
+      ).join(", ")})`
+    );
+  }
+  return factory();
+}
+
+let provider = null;
+
+/**
+ * The configured provider, created on first use.
+ * @throws {AppError} With code LLM_NOT_CONFIGURED (status 503) if it cannot
+ *   be created.
+ */
+function getProvider() {
+  if (provider) return provider;
+  try {
+    provider = createProvider(config.LLM_PROVIDER);
+  } catch (error) {
+    throw new AppError(`Smart mode is unavailable: ${error.message}`, {
+      code: "LLM_NOT_CONFIGURED",
+      status: 503,
+    });
+  }
+  console.log(`🌍 Using LLM provider ${provider.name} (${provider.model})`);
+  return provider;
+}
+
+let limiter = null;
+
+function getLimiter() {
+  if (!limiter) {
+    limiter = createLimiter({
+      concurrency: config.LLM_CONCURRENCY,
+      requestsPerMinute: config.LLM_REQUESTS_PER_MINUTE,
+    });
+  }
+  return limiter;
+}
+
+/**
+ * A typed error for a provider call that failed (after any retries), keeping
+ * the provider's HTTP status and message as `details`.
+ */
+function providerError(activeProvider, error) {
+  if (error instanceof AppError) return error;
+  const status = error.status || error.response?.status || null;
+  const details = {
+    provider: activeProvider.name,
+    model: activeProvider.model,
+    status,
+    ...(error.response?.data ? { response: error.response.data } : {}),
+  };
+  const message = `The ${activeProvider.name} model call failed: ${error.message}`;
+  if (status === 429) {
+    return new RateLimitedError(message, {
+      code: "LLM_RATE_LIMITED",
+      details,
+      cause: error,
+    });
+  }
+  return new LlmError(message, { details, cause: error });
+}
+
+/**
+ * Send a prompt to the configured model, or answer it from the cache.
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {{usage?: object, cacheable?: (text: string) => boolean}} [options]
+ *   `usage` totals (from ./usage createUsageTotals) to add this call to;
+ *   `cacheable` decides whether a response is worth caching (default: all).
+ * @returns {Promise<string>} The raw model output.
+ * @throws {LlmError|RateLimitedError} If the provider call fails.
+ */
+async function generate(
+  systemPrompt,
+  userPrompt,
+  { usage, cacheable = () => true } = {}
+) {
+  const activeProvider = getProvider();
+  const prompt = { systemPrompt, userPrompt };
+  const key = cacheKey(activeProvider, prompt);
+
+  const cached = await getCached(key);
+  if (cached) {
+    const call = { cached: true, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    if (usage) addUsage(usage, call);
+    recordUsage(activeProvider, call);
+    return cached.text;
+  }
+
+  let result;
+  try {
+    result = await getLimiter().schedule(() =>
+      withRetry(() => activeProvider.generate(prompt), {
+        retries: config.LLM_MAX_RETRIES,
+        baseDelayMs: config.LLM_RETRY_BASE_MS,
+      })
+    );
+  } catch (error) {
+    throw providerError(activeProvider, error);
+  }
+  const call = {
+    cached: false,
+    ...result.usage,
+    costUsd: costOf(activeProvider, result.usage),
+  };
+  if (usage) addUsage(usage, call);
+  recordUsage(activeProvider, call);
+  if (cacheable(result.text)) await setCached(key, result);
+  return result.text;
+}
+
+/**
+ * Use a specific provider instead of the configured one (for tests), or pass
+ * null to go back to the configured provider.
+ * @param {object|null} override
+ */
+function setProvider(override) {
+  provider = override;
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  generate,
+  setProvider,
+};
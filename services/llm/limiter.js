@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Keeps model calls within the provider's limits: a limiter
+ * that bounds concurrent calls and calls per minute, and a retry helper that
+ * backs off on rate limiting (429) and server errors (5xx).
+ */
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run tasks with at most `concurrency` at a time and, when
+ * `requestsPerMinute` is set, no more than that many started per minute.
+ * @param {{concurrency: number, requestsPerMinute?: number}} options
+ * @returns {{schedule: <T>(task: () => Promise<T>) => Promise<T>}}
+ */
+function createLimiter({ concurrency, requestsPerMinute = 0 }) {
+  const waiting = [];
+  const startedAt = [];
+  let running = 0;
+  let timer = null;
+
+  const next = () => {
+    if (timer || running >= concurrency || waiting.length === 0) return;
+
+    if (requestsPerMinute > 0) {
+      const now = Date.now();
+      while (startedAt.length > 0 && now - startedAt[0] >= 60000) {
+        startedAt.shift();
+      }
+      if (startedAt.length >= requestsPerMinute) {
+        timer = setTimeout(() => {
+          timer = null;
+          next();
+        }, 60000 - (now - startedAt[0]));
+        return;
+      }
+      startedAt.push(now);
+    }
+
+    const { task, resolve, reject } = waiting.shift();
+    running++;
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+    next();
+  };
+
+  return {
+    schedule(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    },
+  };
+}
+
+/**
+ * The HTTP status of a failed provider call, from the Gemini SDK or axios.
+ */
+function errorStatus(error) {
+  return error.status || error.response?.status || null;
+}
+
+function isRetryable(error) {
+  const status = errorStatus(error);
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+// Seconds from a Retry-After header, when the provider sent one.
+function retryAfterMs(error) {
+  const header = error.response?.headers?.["retry-after"];
+  const seconds = Number(header);
+  return header && Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Call `task`, retrying rate-limited and server errors with exponential
+ * backoff (plus jitter). Other errors are thrown straight away.
+ * @param {() => Promise<*>} task
+ * @param {{retries: number, baseDelayMs: number, maxDelayMs?: number}} options
+ * @returns {Promise<*>}
+ */
+async function withRetry(task, { retries, baseDelayMs, maxDelayMs = 30000 }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      const backoff = Math.min(
+        maxDelayMs,
+        retryAfterMs(error) ?? baseDelayMs * 2 ** attempt
+      );
+      const delay = backoff + Math.floor(Math.random() * baseDelayMs);
+      console.warn(
+        `⚠️ LLM call failed with status ${errorStatus(
+          error
+        )}; retrying in ${delay}ms (${attempt + 1}/${retries}).`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { createLimiter, withRetry };
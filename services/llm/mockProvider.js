@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const { readJson, writeJson } = require("../../utils/jsonStore");
+
+/**
+ * The JSON document a prompt ends with (smart mode prompts end with the text
+ * to refine), or the whole prompt if it does not end with one.
+ */
+function extractJson(text) {
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== "{" && text[i] !== "[") continue;
+    try {
+      JSON.parse(text.slice(i));
+      return text.slice(i).trim();
+    } catch (error) {
+      // Not the start of the final document; keep looking
+    }
+  }
+  return text;
+}
+
+// A rough token count (about four characters per token) for usage reports.
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function recordingKey({ systemPrompt, userPrompt }) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([systemPrompt, userPrompt]))
+    .digest("hex");
+}
+
+/**
+ * A deterministic provider for tests and offline development.
+ * - "echo" answers with the JSON the prompt ends with, unchanged.
+ * - "record" forwards prompts to `recordProvider` and saves each answer in
+ *   `recordingsFile`, keyed by a hash of the prompt.
+ * - "replay" answers from `recordingsFile` and fails on unknown prompts.
+ * @param {{mode?: "echo"|"record"|"replay", recordingsFile?: string,
+ *   recordProvider?: object}} options
+ * @throws {Error} On an unknown mode, or "record" without a provider.
+ */
+function createMockProvider({ mode = "echo", recordingsFile, recordProvider }) {
+  if (!["echo", "record", "replay"].includes(mode)) {
+    throw new Error(`Unknown LLM_MOCK_MODE "${mode}"`);
+  }
+  if (mode === "record" && !recordProvider) {
+    throw new Error("Recording needs a provider to record from");
+  }
+
+  // Recordings are saved one at a time so concurrent calls keep every answer.
+  let saveQueue = Promise.resolve();
+  const saveRecording = (key, recording) => {
+    saveQueue = saveQueue
+      .then(async () => {
+        const recordings = (await readJson(recordingsFile, {})) || {};
+        recordings[key] = recording;
+        await writeJson(recordingsFile, recordings);
+      })
+      .catch((error) =>
+        console.error("❌ Failed to save LLM recording:", error.message)
+      );
+    return saveQueue;
+  };
+
+  return {
+    name: "mock",
+    model: mode === "record" ? recordProvider.model : `mock-${mode}`,
+    async generate(prompt) {
+      if (mode === "echo") {
+        const text = extractJson(prompt.userPrompt);
+        return {
+          text,
+          usage: {
+            inputTokens: estimateTokens(
+              prompt.systemPrompt + prompt.userPrompt
+            ),
+            outputTokens: estimateTokens(text),
+          },
+        };
+      }
+
+      const key = recordingKey(prompt);
+      if (mode === "replay") {
+        const recordings = (await readJson(recordingsFile, {})) || {};
+        if (!recordings[key]) {
+          throw new Error(`No recorded LLM response for prompt ${key}`);
+        }
+        const { response, usage } = recordings[key];
+        return {
+          text: response,
+          usage: usage || {
+            inputTokens: estimateTokens(
+              prompt.systemPrompt + prompt.userPrompt
+            ),
+            outputTokens: estimateTokens(response),
+          },
+        };
+      }
+
+      const result = await recordProvider.generate(prompt);
+      await saveRecording(key, {
+        provider: recordProvider.name,
+        model: recordProvider.model,
+        recordedAt: new Date().toISOString(),
+        response: result.text,
+        usage: result.usage,
+      });
+      return result;
+    },
+  };
+}
+
+module.exports = { createMockProvider, recordingKey };
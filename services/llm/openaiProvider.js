@@ -0,0 +1,56 @@
+const axios = require("axios");
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+const REQUEST_TIMEOUT_MS = 120000;
+
+/**
+ * Any OpenAI-compatible chat completions API: OpenAI itself, or a local
+ * model server (Ollama, LM Studio, vLLM, llama.cpp) via its base URL.
+ * @param {{baseUrl: string, apiKey?: string, model?: string}} options
+ * @returns {{name: string, model: string,
+ *   generate: (prompt: {systemPrompt: string, userPrompt: string}) =>
+ *     Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}}
+ * @throws {Error} If no base URL is configured.
+ */
+function createOpenAiProvider({ baseUrl, apiKey, model = DEFAULT_MODEL }) {
+  if (!baseUrl) {
+    throw new Error("OPENAI_BASE_URL is not set");
+  }
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    model,
+    async generate({ systemPrompt, userPrompt }) {
+      const response = await axios.post(
+        url,
+        {
+          model,
+          messages: [
+            { role: "system", content: systemPrompt },
+            { role: "user", content: userPrompt },
+          ],
+          temperature: 0,
+        },
+        {
+          // Local servers usually accept requests without a key
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+          timeout: REQUEST_TIMEOUT_MS,
+        }
+      );
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (typeof content !== "string") {
+        throw new Error("The model response has no message content");
+      }
+      return {
+        text: content,
+        usage: {
+          inputTokens: response.data.usage?.prompt_tokens || 0,
+          outputTokens: response.data.usage?.completion_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAiProvider, DEFAULT_MODEL };
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Token and cost accounting for model calls. Each request that
+ * uses the model keeps its own totals (see `createUsageTotals`), and every
+ * call is also added to daily totals under DATA_DIR/llm-usage for GET /usage.
+ */
+
+const path = require("path");
+const config = require("../../config");
+const { readJson, writeJson, listJson } = require("../../utils/jsonStore");
+
+const USAGE_DIR = path.join(config.DATA_DIR, "llm-usage");
+
+// USD per million tokens (list prices when this was written). Set
+// LLM_INPUT_COST_PER_MTOK / LLM_OUTPUT_COST_PER_MTOK for other models.
+const PRICES = {
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+};
+
+/**
+ * Empty usage totals.
+ * @returns {{calls: number, cachedCalls: number, inputTokens: number,
+ *   outputTokens: number, costUsd: number}}
+ */
+function createUsageTotals() {
+  return {
+    calls: 0,
+    cachedCalls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+  };
+}
+
+/**
+ * The cost of a call in USD, or 0 when the model's price is unknown.
+ * @param {{name: string, model: string}} provider
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @returns {number}
+ */
+function costOf(provider, { inputTokens, outputTokens }) {
+  if (provider.name === "mock") return 0;
+  const price = {
+    ...PRICES[provider.model],
+    ...(config.LLM_INPUT_COST_PER_MTOK !== null
+      ? { input: config.LLM_INPUT_COST_PER_MTOK }
+      : {}),
+    ...(config.LLM_OUTPUT_COST_PER_MTOK !== null
+      ? { output: config.LLM_OUTPUT_COST_PER_MTOK }
+      : {}),
+  };
+  return (
+    (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) /
+    1e6
+  );
+}
+
+/**
+ * Add one call to usage totals (in place). Cached calls cost nothing.
+ * @param {object} totals From `createUsageTotals`.
+ * @param {{cached: boolean, inputTokens: number, outputTokens: number,
+ *   costUsd: number}} call
+ * @returns {object} The same totals.
+ */
+function addUsage(totals, call) {
+  if (call.cached) {
+    totals.cachedCalls++;
+    return totals;
+  }
+  totals.calls++;
+  totals.inputTokens += call.inputTokens;
+  totals.outputTokens += call.outputTokens;
+  // Rounded to avoid floating point noise in reports
+  totals.costUsd = Math.round((totals.costUsd + call.costUsd) * 1e6) / 1e6;
+  return totals;
+}
+
+function _dayPath(date) {
+  return path.join(USAGE_DIR, `${date}.json`);
+}
+
+// Daily totals are updated one call at a time so no call is lost.
+let saveQueue = Promise.resolve();
+
+/**
+ * Add a call to today's totals on disk.
+ * @param {{name: string, model: string}} provider
+ * @param {object} call As for `addUsage`.
+ * @returns {Promise<void>}
+ */
+function recordUsage(provider, call) {
+  const date = new Date().toISOString().slice(0, 10);
+  const modelKey = `${provider.name}/${provider.model}`;
+  saveQueue = saveQueue
+    .then(async () => {
+      const day = await readJson(_dayPath(date), {
+        date,
+        totals: createUsageTotals(),
+        byModel: {},
+      });
+      addUsage(day.totals, call);
+      day.byModel[modelKey] = addUsage(
+        day.byModel[modelKey] || createUsageTotals(),
+        call
+      );
+      await writeJson(_dayPath(date), day);
+    })
+    .catch((error) =>
+      console.error("❌ Failed to record LLM usage:", error.message)
+    );
+  return saveQueue;
+}
+
+/**
+ * Usage per day and in total, optionally limited to a date range.
+ * @param {{from?: string, to?: string}} [range] Dates as YYYY-MM-DD.
+ * @returns {Promise<{totals: object, byModel: object, days: object[]}>}
+ */
+async function getUsage({ from, to } = {}) {
+  const dates = (await listJson(USAGE_DIR))
+    .filter((date) => (!from || date >= from) && (!to || date <= to))
+    .sort();
+  const days = await Promise.all(
+    dates.map((date) => readJson(_dayPath(date), null))
+  );
+
+  const totals = createUsageTotals();
+  const byModel = {};
+  const merge = (target, source) => {
+    target.calls += source.calls;
+    target.cachedCalls += source.cachedCalls;
+    target.inputTokens += source.inputTokens;
+    target.outputTokens += source.outputTokens;
+    target.costUsd = Math.round((target.costUsd + source.costUsd) * 1e6) / 1e6;
+  };
+  days.filter(Boolean).forEach((day) => {
+    merge(totals, day.totals);
+    Object.entries(day.byModel).forEach(([modelKey, modelTotals]) => {
+      byModel[modelKey] = byModel[modelKey] || createUsageTotals();
+      merge(byModel[modelKey], modelTotals);
+    });
+  });
+
+  return { totals, byModel, days: days.filter(Boolean) };
+}
+
+module.exports = {
+  createUsageTotals,
+  costOf,
+  addUsage,
+  recordUsage,
+  getUsage,
+};
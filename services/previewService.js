@@ -0,0 +1,520 @@
+/**
+ * @fileoverview Builds find-and-replace previews. Shared by the /preview route
+ * and background preview tasks, which preview one entry at a time.
+ */
+
+const contentstackService = require("./contentstackService");
+const brandkitService = require("./brandkitService");
+const refinementService = require("./refinementService");
+const llm = require("./llm");
+const { createUsageTotals } = require("./llm/usage");
+const auditService = require("./auditService");
+const referenceService = require("./referenceService");
+const {
+  parseMatchOptions,
+  createMatcher,
+  createTermMatchers,
+} = require("../utils/matcher");
+const {
+  parseFieldFilters,
+  collectTextFields,
+} = require("../utils/fieldTargets");
+const { getNestedValue, setNestedValue } = require("../utils/objectPath");
+const {
+  sanitizeObject,
+  formatValueForDiff,
+  getDifferences,
+} = require("../utils/entryDiff");
+const {
+  replaceInField,
+  rewriteTextRuns,
+  getTextRuns,
+  toPlainText,
+} = require("../utils/richText");
+const { parseStackOptions } = require("../utils/stackOptions");
+const { ValidationError } = require("../utils/errors");
+
+// Characters of neighbouring text sent to the model with each segment.
+const SEGMENT_CONTEXT_LENGTH = 200;
+
+// Most alternative rewrites a preview may ask for per field.
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Apply the matchers to the targeted text fields of an entry only.
+ * Returns a modified copy; every other field is left untouched.
+ */
+function replaceInTargets(entry, targets, matchers) {
+  const updated = structuredClone(entry);
+  targets.forEach((target) => {
+    setNestedValue(
+      updated,
+      target.path,
+      replaceInField(target.kind, target.value, matchers)
+    );
+  });
+  return updated;
+}
+
+/**
+ * List the runs of text the literal replace changed, as segments for the
+ * model, each with the neighbouring runs of its field as context.
+ * @returns {Array<{segment: object, target: object, runIndex: number}>}
+ */
+function collectChangedSegments(targets, literalEntry) {
+  const changed = [];
+  targets.forEach((target) => {
+    const originalRuns = getTextRuns(target.kind, target.value);
+    const replacedRuns = getTextRuns(
+      target.kind,
+      getNestedValue(literalEntry, target.path)
+    );
+    replacedRuns.forEach((replaced, runIndex) => {
+      const original = originalRuns[runIndex];
+      if (replaced === original) return;
+      const before = replacedRuns[runIndex - 1];
+      const after = replacedRuns[runIndex + 1];
+      changed.push({
+        target,
+        runIndex,
+        segment: {
+          id: `s${changed.length + 1}`,
+          field: target.path,
+          original,
+          replaced,
+          ...(before
+            ? { contextBefore: before.slice(-SEGMENT_CONTEXT_LENGTH) }
+            : {}),
+          ...(after
+            ? { contextAfter: after.slice(0, SEGMENT_CONTEXT_LENGTH) }
+            : {}),
+        },
+      });
+    });
+  });
+  return changed;
+}
+
+/**
+ * Write the model's refined segments back into the literal result. Only the
+ * changed runs are rewritten; the rest of every field, and every other field,
+ * stays as the literal replace left it.
+ */
+function applyRefinedSegments(literalEntry, changed, refinedById) {
+  const updated = structuredClone(literalEntry);
+  const runsByPath = new Map();
+  changed.forEach(({ target, runIndex, segment }) => {
+    if (!runsByPath.has(target.path)) {
+      runsByPath.set(target.path, { target, runs: new Map() });
+    }
+    runsByPath.get(target.path).runs.set(runIndex, refinedById[segment.id]);
+  });
+
+  runsByPath.forEach(({ target, runs }) => {
+    setNestedValue(
+      updated,
+      target.path,
+      rewriteTextRuns(
+        target.kind,
+        getNestedValue(literalEntry, target.path),
+        (text, runIndex) => (runs.has(runIndex) ? runs.get(runIndex) : text)
+      )
+    );
+  });
+  return updated;
+}
+
+/**
+ * Ask the model for alternative rewrites of each changed field and rank them
+ * by brand fit: suggestions without banned terms first, then those with the
+ * fewest other brand violations, then by the model's own score. Every
+ * suggestion carries the `newValue` to send to /apply in place of the
+ * change's own.
+ * @param {object} context From `createPreviewContext`.
+ * @param {object[]} targets The entry's targeted fields.
+ * @param {object} updatedEntry The previewed result.
+ * @param {object[]} changes The entry's changes, updated in place.
+ * @param {string} [locale] The entry's locale, for locale-scoped rules.
+ */
+async function addSuggestions(context, targets, updatedEntry, changes, locale) {
+  const { params, brandkit, brandChecks } = context;
+  const { query, replaceWith } = params.matchOptions;
+
+  const changedRuns = collectChangedSegments(targets, updatedEntry);
+  const fields = changes.map((change, i) => {
+    const runs = changedRuns.filter(
+      ({ target }) => target.path === change.field
+    );
+    return {
+      id: `f${i + 1}`,
+      change,
+      runs,
+      prompt: {
+        id: `f${i + 1}`,
+        field: change.fieldName,
+        before: change.before,
+        after: change.after,
+        segments: Object.fromEntries(
+          runs.map(({ segment }) => [segment.id, segment.replaced])
+        ),
+      },
+    };
+  });
+
+  const alternatives = await refinementService.suggestAlternatives(
+    fields.map((field) => field.prompt),
+    query,
+    replaceWith,
+    brandkitService.describeGuidelines(brandkit),
+    params.suggestions,
+    { usage: context.usage }
+  );
+  if (!alternatives) return;
+
+  fields.forEach(({ id, change, runs }) => {
+    const suggestions = (alternatives[id] || []).map((alternative) => {
+      const byRun = new Map(
+        runs.map(({ runIndex, segment }) => [
+          runIndex,
+          alternative.segments[segment.id],
+        ])
+      );
+      const newValue = rewriteTextRuns(
+        change.kind,
+        change.newValue,
+        (text, runIndex) => (byRun.has(runIndex) ? byRun.get(runIndex) : text)
+      );
+      const after = toPlainText(change.kind, newValue);
+      const bannedTerms = brandkitService.findBannedTerms(after, brandkit, {
+        locale,
+      });
+      const violations = auditService
+        .checkText(after, brandChecks, { locale })
+        .filter((violation) => violation.type !== "banned_term")
+        .map(({ type, match, message }) => ({ type, match, message }));
+      return {
+        after: formatValueForDiff(after),
+        rationale: alternative.rationale,
+        score: alternative.score,
+        newValue,
+        brandkit_approved: bannedTerms.length === 0,
+        ...(bannedTerms.length > 0 ? { bannedTerms } : {}),
+        ...(violations.length > 0 ? { violations } : {}),
+      };
+    });
+
+    suggestions.sort(
+      (a, b) =>
+        (a.bannedTerms?.length || 0) - (b.bannedTerms?.length || 0) ||
+        (a.violations?.length || 0) - (b.violations?.length || 0) ||
+        (b.score ?? 0) - (a.score ?? 0)
+    );
+    change.suggestions = suggestions.map((suggestion, i) => ({
+      rank: i + 1,
+      ...suggestion,
+    }));
+  });
+}
+
+/**
+ * Validate preview parameters from a request query or body. The result is
+ * plain JSON so it can be stored with a background task.
+ * @param {object} source `req.query` or `req.body`.
+ * @param {object} [principal] `req.principal`, whose content type allowlist
+ *   limits the linked entries previewed with `includeReferences`.
+ * @returns {object} The preview parameters.
+ * @throws {ValidationError} When the parameters are invalid.
+ */
+function parsePreviewParams(source = {}, principal) {
+  const { contentTypeUid, query, replaceWith, smart, suggestions } = source;
+  let { entryUids } = source;
+
+  if (entryUids && !Array.isArray(entryUids)) {
+    entryUids = [entryUids];
+  }
+
+  if (!contentTypeUid || !query || !replaceWith || !entryUids) {
+    throw new ValidationError(
+      "contentTypeUid, query, replaceWith, and entryUids are required"
+    );
+  }
+
+  const matchOptions = parseMatchOptions(source);
+  createMatcher(matchOptions); // Reject invalid or unsafe patterns up front
+
+  const suggestionCount =
+    suggestions === undefined || suggestions === "" ? 0 : Number(suggestions);
+  if (
+    !Number.isInteger(suggestionCount) ||
+    suggestionCount < 0 ||
+    suggestionCount > MAX_SUGGESTIONS
+  ) {
+    throw new ValidationError(
+      `suggestions must be a whole number from 0 to ${MAX_SUGGESTIONS}`
+    );
+  }
+
+  const isSmart = smart === true || smart === "true";
+  // Fails early, with LLM_NOT_CONFIGURED, when no model is available.
+  if (isSmart || suggestionCount > 0) llm.getProvider();
+
+  return {
+    contentTypeUid,
+    entryUids,
+    smart: isSmart,
+    suggestions: suggestionCount,
+    matchOptions,
+    references: referenceService.parseReferenceOptions(source, principal),
+    fieldFilters: parseFieldFilters(source),
+    stackOptions: parseStackOptions(source),
+  };
+}
+
+/**
+ * Load everything a preview needs that is shared between entries.
+ * @param {object} params From `parsePreviewParams`.
+ */
+async function createPreviewContext(params) {
+  const { locale, branch } = params.stackOptions;
+  const [brandkit, contentType] = await Promise.all([
+    brandkitService.getRules(),
+    contentstackService.getContentType(params.contentTypeUid, { branch }),
+  ]);
+  const matcher = createMatcher(params.matchOptions);
+
+  return {
+    params,
+    brandkit,
+    contentType,
+    matcher,
+    // Approved brandkit terms are rewritten first, then the user's query.
+    matchers: [...createTermMatchers(brandkit.approvedTerms), matcher],
+    entryOptions: { locale, branch },
+    // Model calls and their cost, reported with the preview.
+    usage: createUsageTotals(),
+    // Brand checks that rank suggestions (only needed when asked for).
+    brandChecks: params.suggestions ? auditService.buildChecks(brandkit) : [],
+  };
+}
+
+/**
+ * Fetch the entries a preview covers (or a subset of them).
+ * @param {object} context From `createPreviewContext`.
+ * @param {string[]} [entryUids] Defaults to all of the preview's entries.
+ */
+async function fetchPreviewEntries(context, entryUids) {
+  const entries = await contentstackService.getEntriesByIds(
+    context.params.contentTypeUid,
+    entryUids || context.params.entryUids,
+    context.entryOptions
+  );
+  return entries.map((e) => sanitizeObject(e));
+}
+
+/**
+ * Fetch the entries referenced by the preview's entries, when the preview
+ * includes references. Pass each to `previewEntry` as its `link`.
+ * @param {object} context From `createPreviewContext`.
+ * @param {object[]} entries From `fetchPreviewEntries`.
+ * @returns {Promise<object[]>} See referenceService.followReferences.
+ */
+async function fetchLinkedEntries(context, entries) {
+  const { references } = context.params;
+  if (!references) return [];
+  const linked = await referenceService.followReferences(
+    entries,
+    context.contentType,
+    { ...references, ...context.entryOptions }
+  );
+  return linked.map((link) => ({ ...link, entry: sanitizeObject(link.entry) }));
+}
+
+/**
+ * Turn differences into preview changes: each records the version it was
+ * previewed at and is flagged for banned terms.
+ * @param {object} brandkit
+ * @param {object[]} differences From `getDifferences`.
+ * @param {{version: number, locale?: string}} options
+ * @returns {object[]}
+ */
+function flagChanges(brandkit, differences, { version, locale }) {
+  return differences.map((d) => {
+    const bannedTerms = brandkitService.findBannedTerms(d.after, brandkit, {
+      locale,
+    });
+    return {
+      ...d,
+      version,
+      brandkit_approved: bannedTerms.length === 0,
+      ...(bannedTerms.length > 0 ? { bannedTerms } : {}),
+    };
+  });
+}
+
+/**
+ * Describe how an entry would change: one change per targeted field that
+ * differs, each flagged for banned terms. Shared by /preview and /rewrite.
+ * @param {object} context A preview or rewrite context.
+ * @param {object} originalEntry
+ * @param {object[]} targets The entry's targeted fields.
+ * @param {object} updatedEntry The entry after the operation.
+ * @param {object} literalEntry The entry after the literal replace only;
+ *   fields where `updatedEntry` differs from it are reported as the model's.
+ * @returns {object|null} The entry's preview, or null if nothing changes.
+ */
+function describeEntryPreview(
+  context,
+  originalEntry,
+  targets,
+  updatedEntry,
+  literalEntry
+) {
+  const { brandkit, params } = context;
+  const { locale } = params.stackOptions;
+  const differences = getDifferences(targets, updatedEntry, literalEntry);
+  if (differences.length === 0) return null;
+
+  const changes = flagChanges(brandkit, differences, {
+    version: originalEntry._version,
+    locale: locale || originalEntry.locale,
+  });
+
+  return {
+    entryUid: originalEntry.uid,
+    title: originalEntry.title || "(no title)",
+    version: originalEntry._version,
+    // Applying a preview of fallback content creates the localized version.
+    locale: locale || originalEntry.locale,
+    localized: !locale || originalEntry.locale === locale,
+    changes,
+  };
+}
+
+/**
+ * Preview the replacement for a single entry.
+ * @param {object} context From `createPreviewContext`.
+ * @param {object} originalEntry A sanitized entry.
+ * @param {object} [link] Set for a linked entry, from `fetchLinkedEntries`;
+ *   its preview carries its `contentTypeUid` and `referencedFrom`.
+ * @returns {Promise<object|null>} The entry's preview, or null if nothing changes.
+ */
+async function previewEntry(context, originalEntry, link) {
+  const { params, brandkit, matchers } = context;
+  const { query, replaceWith } = params.matchOptions;
+  const contentType = link ? link.contentType : context.contentType;
+  const targets = collectTextFields(
+    originalEntry,
+    contentType.schema,
+    // Field filters name fields of the previewed content type only.
+    link ? {} : params.fieldFilters
+  );
+
+  // Step 1: Perform the traditional replacement first to get a baseline
+  const traditionallyUpdatedEntry = replaceInTargets(
+    originalEntry,
+    targets,
+    matchers
+  );
+  let updatedEntry = traditionallyUpdatedEntry;
+
+  let smartFallback = null;
+
+  // --- LOGIC FOR SMART CONTEXTUAL ENHANCEMENT ---
+  // Step 2: Send only the changed text, with its context, to the model
+  const changed = params.smart
+    ? collectChangedSegments(targets, traditionallyUpdatedEntry)
+    : [];
+  if (changed.length > 0) {
+    const refinement = await refinementService.makeReplacementContextual(
+      changed.map(({ segment }) => segment),
+      query,
+      replaceWith,
+      brandkitService.describeGuidelines(brandkit),
+      { usage: context.usage }
+    );
+    if (refinement.segments) {
+      updatedEntry = applyRefinedSegments(
+        traditionallyUpdatedEntry,
+        changed,
+        refinement.segments
+      );
+    } else {
+      // Fall back to the traditional result if the model fails or its
+      // response does not answer exactly the segments it was sent.
+      console.warn(
+        `⚠️ Smart enhancement failed for entry ${originalEntry.uid}. Falling back to traditional replace. Error: ${refinement.error}`
+      );
+      smartFallback = refinement.error;
+    }
+  }
+
+  const described = describeEntryPreview(
+    context,
+    originalEntry,
+    targets,
+    updatedEntry,
+    traditionallyUpdatedEntry
+  );
+  if (!described) return null;
+  // Changes to a linked entry are applied with its own content type.
+  const preview = link
+    ? {
+        ...described,
+        contentTypeUid: contentType.uid,
+        referencedFrom: link.referencedFrom,
+      }
+    : described;
+
+  if (params.suggestions > 0) {
+    await addSuggestions(
+      context,
+      targets,
+      updatedEntry,
+      preview.changes,
+      preview.locale
+    );
+  }
+
+  return smartFallback ? { ...preview, smartFallback } : preview;
+}
+
+/**
+ * Assemble the preview response from the per-entry previews.
+ * @param {object} params From `parsePreviewParams`.
+ * @param {object[]} previewResults Non-null results of `previewEntry`.
+ * @param {object} [usage] The context's model usage, reported whenever the
+ *   preview used the model.
+ */
+function summarizePreview(params, previewResults, usage) {
+  const { query, replaceWith } = params.matchOptions;
+  const { locale, branch } = params.stackOptions;
+  const changes = previewResults.flatMap((entry) => entry.changes);
+  return {
+    query,
+    replaceWith,
+    options: params.matchOptions,
+    ...(locale ? { locale } : {}),
+    ...(branch ? { branch } : {}),
+    mode: params.smart ? "smart" : "traditional", // Mode reflects the path taken
+    totalChanges: changes.length,
+    ...(params.smart
+      ? { modelChanges: changes.filter((c) => c.source === "model").length }
+      : {}),
+    ...(params.suggestions > 0 ? { suggestions: params.suggestions } : {}),
+    ...(usage && (params.smart || params.suggestions > 0) ? { usage } : {}),
+    preview: previewResults,
+  };
+}
+
+module.exports = {
+  MAX_SUGGESTIONS,
+  replaceInTargets,
+  flagChanges,
+  describeEntryPreview,
+  parsePreviewParams,
+  createPreviewContext,
+  fetchPreviewEntries,
+  fetchLinkedEntries,
+  previewEntry,
+  summarizePreview,
+};
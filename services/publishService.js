@@ -0,0 +1,166 @@
+/**
+ * @fileoverview What happens to an entry after /apply saves it: publish it,
+ * move it to a workflow stage, or submit it for publish approval.
+ */
+
+const config = require("../config");
+const contentstackService = require("./contentstackService");
+const { parseStackOptions } = require("../utils/stackOptions");
+const { ValidationError, errorFields } = require("../utils/errors");
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Read the post-apply action from an /apply body. At most one of these may be
+ * given:
+ * - `publish: { environments, locales? }` publishes the saved version
+ *   (locales default to the locale that was written);
+ * - `workflow: { stage?, comment?, notify? }` moves the entry to a workflow
+ *   stage (defaults to CONTENTSTACK_WORKFLOW_STAGE);
+ * - `publishRequest: { ruleUid?, comment?, notify? }` submits it for publish
+ *   approval (defaults to CONTENTSTACK_PUBLISH_RULE).
+ * @param {object} body `req.body`.
+ * @returns {object|null} The action, or null if none was requested.
+ * @throws {ValidationError} When the options are invalid.
+ */
+function parsePublishOptions(body = {}) {
+  const requested = ["publish", "workflow", "publishRequest"].filter(
+    (key) => body[key]
+  );
+  if (requested.length > 1) {
+    throw new ValidationError(
+      "Use only one of publish, workflow or publishRequest"
+    );
+  }
+
+  if (body.publish) {
+    const environments = toList(body.publish.environments);
+    if (environments.length === 0) {
+      throw new ValidationError(
+        "publish.environments must list at least one environment"
+      );
+    }
+    const locales = toList(body.publish.locales);
+    locales.forEach((locale) => parseStackOptions({ locale }));
+    return { action: "publish", environments, locales };
+  }
+
+  if (body.workflow) {
+    const stage = body.workflow.stage || config.CONTENTSTACK_WORKFLOW_STAGE;
+    if (!stage) {
+      throw new ValidationError(
+        "workflow.stage is required when CONTENTSTACK_WORKFLOW_STAGE is not set"
+      );
+    }
+    return {
+      action: "workflow",
+      stage,
+      comment: body.workflow.comment || "",
+      notify: body.workflow.notify === true,
+    };
+  }
+
+  if (body.publishRequest) {
+    const ruleUid =
+      body.publishRequest.ruleUid || config.CONTENTSTACK_PUBLISH_RULE;
+    if (!ruleUid) {
+      throw new ValidationError(
+        "publishRequest.ruleUid is required when CONTENTSTACK_PUBLISH_RULE is not set"
+      );
+    }
+    return {
+      action: "publish_request",
+      ruleUid,
+      comment: body.publishRequest.comment || "",
+      notify: body.publishRequest.notify === true,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Run the post-apply action for one updated entry. Never throws: failures
+ * are reported in the returned result.
+ * @param {object} publish From `parsePublishOptions`.
+ * @param {object} entry
+ * @param {string} entry.contentTypeUid
+ * @param {string} entry.entryUid
+ * @param {string} entry.locale The locale that was written.
+ * @param {number} [entry.version] The version that was saved.
+ * @param {{branch?: string}} [options]
+ * @returns {Promise<object>} `{action, status, ...details}` where status is
+ *   "published", "moved", "requested" or "failed".
+ */
+async function runPublishAction(publish, entry, options = {}) {
+  const { contentTypeUid, entryUid, locale, version } = entry;
+  const entryOptions = { ...options, locale };
+
+  try {
+    if (publish.action === "publish") {
+      const locales = publish.locales.length > 0 ? publish.locales : [locale];
+      await contentstackService.publishEntry(
+        contentTypeUid,
+        entryUid,
+        { environments: publish.environments, locales, version },
+        entryOptions
+      );
+      console.log(
+        `✅ Published entry ${entryUid} to ${publish.environments.join(", ")}`
+      );
+      return {
+        action: publish.action,
+        status: "published",
+        environments: publish.environments,
+        locales,
+        version,
+      };
+    }
+
+    if (publish.action === "workflow") {
+      await contentstackService.setEntryWorkflowStage(
+        contentTypeUid,
+        entryUid,
+        {
+          uid: publish.stage,
+          comment: publish.comment,
+          notify: publish.notify,
+        },
+        entryOptions
+      );
+      console.log(
+        `✅ Moved entry ${entryUid} to workflow stage ${publish.stage}`
+      );
+      return { action: publish.action, status: "moved", stage: publish.stage };
+    }
+
+    await contentstackService.requestEntryPublish(
+      contentTypeUid,
+      entryUid,
+      {
+        ruleUid: publish.ruleUid,
+        comment: publish.comment,
+        notify: publish.notify,
+      },
+      entryOptions
+    );
+    console.log(`✅ Requested publish approval for entry ${entryUid}`);
+    return {
+      action: publish.action,
+      status: "requested",
+      ruleUid: publish.ruleUid,
+    };
+  } catch (error) {
+    console.error(
+      `❌ ${publish.action} failed for entry ${entryUid}:`,
+      error.message
+    );
+    return { action: publish.action, status: "failed", ...errorFields(error) };
+  }
+}
+
+module.exports = { parsePublishOptions, runPublishAction };
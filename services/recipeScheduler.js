@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Runs scheduled recipes. Every RECIPE_SCHEDULER_INTERVAL_MS the
+ * recipes whose `nextRunAt` has passed are run (see recipeService.runRecipe):
+ * each run produces a preview that waits for approval, nothing is applied.
+ * A recipe that came due while the server was down runs once when it is
+ * back, not once per missed time, and a recipe whose last run is still
+ * previewing is not run again until it finishes.
+ */
+
+const config = require("../config");
+const recipeService = require("./recipeService");
+const taskQueue = require("./taskQueue");
+
+let timer = null;
+
+async function isStillRunning(recipe) {
+  const [latest] = recipe.runs;
+  const task = latest && (await taskQueue.getTask(latest.id));
+  return Boolean(task && !taskQueue.isFinished(task));
+}
+
+function isDue(recipe, now) {
+  return Boolean(recipe.nextRunAt) && new Date(recipe.nextRunAt) <= now;
+}
+
+/**
+ * Run every scheduled recipe that is due. Only `nextRunAt` and the runs are
+ * changed, on the stored recipe, so edits and decisions made meanwhile stand.
+ * @param {Date} [now]
+ * @returns {Promise<object[]>} The queued run tasks.
+ */
+async function runDueRecipes(now = new Date()) {
+  const started = [];
+  for (const listed of await recipeService.listRecipes()) {
+    if (!isDue(listed, now)) continue;
+
+    try {
+      // Claim this due time first: an edit may have changed the schedule
+      // since the recipe was listed.
+      let claimed = false;
+      const recipe = await recipeService.updateStoredRecipe(
+        listed.id,
+        (stored) => {
+          if (!isDue(stored, now)) return false;
+          stored.nextRunAt = recipeService.nextRunAtOf(stored.schedule, now);
+          claimed = true;
+        }
+      );
+      if (!claimed) continue;
+
+      if (await isStillRunning(recipe)) {
+        console.log(
+          `ℹ️ Skipping scheduled run of recipe "${recipe.name}": the last run is still going.`
+        );
+        continue;
+      }
+      started.push(
+        await recipeService.runRecipe(recipe, {
+          trigger: "schedule",
+          createdBy: "scheduler",
+        })
+      );
+      console.log(`⏰ Started scheduled run of recipe "${recipe.name}".`);
+    } catch (error) {
+      console.error(
+        `❌ Scheduled run of recipe "${listed.name}" failed:`,
+        error.message
+      );
+    }
+  }
+  return started;
+}
+
+/**
+ * Check for due recipes every RECIPE_SCHEDULER_INTERVAL_MS (0 turns
+ * scheduling off). The timer does not keep the process alive.
+ */
+function startScheduler() {
+  if (timer || !config.RECIPE_SCHEDULER_INTERVAL_MS) return;
+  timer = setInterval(() => {
+    runDueRecipes().catch((error) =>
+      console.error("❌ Recipe scheduler error:", error.message)
+    );
+  }, config.RECIPE_SCHEDULER_INTERVAL_MS);
+  timer.unref();
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { runDueRecipes, startScheduler, stopScheduler };
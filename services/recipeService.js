@@ -0,0 +1,556 @@
+/**
+ * @fileoverview Saved find-and-replace recipes: named bundles of a query and
+ * its match options, a replacement, the mode (traditional or smart) and the
+ * content types and fields to run on, stored under DATA_DIR/recipes.
+ *
+ * Running a recipe queues a background preview (task type "recipe") of every
+ * entry of its content types that matches. Nothing is applied until the run
+ * is approved, which queues an apply task with the previewed changes; a run
+ * can also be dismissed. Recipes with a `schedule` are run by
+ * services/recipeScheduler.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const config = require("../config");
+const contentstackService = require("./contentstackService");
+const previewService = require("./previewService");
+const applyService = require("./applyService");
+const taskQueue = require("./taskQueue");
+const { createUsageTotals } = require("./llm/usage");
+const { readJson, writeJson, listJson } = require("../utils/jsonStore");
+const { parseMatchOptions, createMatcher } = require("../utils/matcher");
+const {
+  parseFieldFilters,
+  collectTextFields,
+} = require("../utils/fieldTargets");
+const { fieldMatches } = require("../utils/richText");
+const { sanitizeObject } = require("../utils/entryDiff");
+const { parseStackOptions } = require("../utils/stackOptions");
+const { parseSchedule, nextRun } = require("../utils/cron");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  errorFields,
+} = require("../utils/errors");
+
+const RECIPES_DIR = path.join(config.DATA_DIR, "recipes");
+
+// Runs kept with each recipe, newest first.
+const MAX_RECIPE_RUNS = 50;
+
+// The recipe fields that are preview parameters, as GET /preview names them.
+const PREVIEW_FIELDS = [
+  "query",
+  "regex",
+  "wholeWord",
+  "caseSensitive",
+  "replaceWith",
+  "preserveCase",
+  "smart",
+  "fields",
+  "excludeFields",
+  "locale",
+  "branch",
+];
+
+function _recipePath(recipeId) {
+  return path.join(RECIPES_DIR, `${recipeId}.json`);
+}
+
+function previewSource(recipe) {
+  return Object.fromEntries(
+    PREVIEW_FIELDS.filter((field) => recipe[field] !== undefined).map(
+      (field) => [field, recipe[field]]
+    )
+  );
+}
+
+/**
+ * The /preview parameters of a recipe, for one content type.
+ * @param {object} source The recipe's preview fields.
+ * @param {string} contentTypeUid
+ * @param {string[]} entryUids
+ * @throws {ValidationError} When the recipe's options are invalid.
+ */
+function previewParamsFor(source, contentTypeUid, entryUids) {
+  return previewService.parsePreviewParams({
+    ...source,
+    contentTypeUid,
+    entryUids,
+  });
+}
+
+/**
+ * When a recipe's schedule next runs after `from`.
+ * @param {{cron: string, enabled?: boolean}|null} schedule
+ * @param {Date} [from]
+ * @returns {string|null} An ISO date, or null when it is not scheduled.
+ */
+function nextRunAtOf(schedule, from = new Date()) {
+  if (!schedule || schedule.enabled === false) return null;
+  return nextRun(parseSchedule(schedule.cron), from).toISOString();
+}
+
+/**
+ * Validate the fields of a recipe from a request body.
+ * @param {object} body `req.body`, checked against routes/schemas.recipeBody.
+ * @returns {object} The recipe's fields.
+ * @throws {ValidationError} When the options or the schedule are invalid.
+ */
+function parseRecipe(body = {}) {
+  const { name, contentTypeUids, schedule } = body;
+  if (!name || !Array.isArray(contentTypeUids) || !contentTypeUids.length) {
+    throw new ValidationError("name and contentTypeUids are required");
+  }
+
+  const fields = {
+    name: name.trim(),
+    description: body.description || "",
+    contentTypeUids: [...new Set(contentTypeUids)],
+    ...previewSource(body),
+    schedule: schedule
+      ? { cron: schedule.cron.trim(), enabled: schedule.enabled !== false }
+      : null,
+  };
+  // Reject what a run would fail on: unsafe patterns, smart mode without a
+  // model, a schedule that never runs.
+  previewParamsFor(previewSource(fields), contentTypeUids[0], []);
+  if (fields.schedule) parseSchedule(fields.schedule.cron);
+  return fields;
+}
+
+/**
+ * Load a single recipe by id.
+ * @param {string} recipeId
+ * @returns {Promise<object|null>} The recipe, or null if it does not exist.
+ */
+async function getRecipe(recipeId) {
+  // Recipe ids are UUIDs; refuse anything that could escape the directory.
+  if (!/^[\w-]+$/.test(recipeId)) return null;
+  return readJson(_recipePath(recipeId), null);
+}
+
+/**
+ * Load a recipe, or fail with RECIPE_NOT_FOUND.
+ * @param {string} recipeId
+ * @returns {Promise<object>}
+ */
+async function findRecipe(recipeId) {
+  const recipe = await getRecipe(recipeId);
+  if (!recipe) {
+    throw new NotFoundError("Recipe not found", { code: "RECIPE_NOT_FOUND" });
+  }
+  return recipe;
+}
+
+/**
+ * List stored recipes by name.
+ * @returns {Promise<object[]>}
+ */
+async function listRecipes() {
+  const ids = await listJson(RECIPES_DIR);
+  const recipes = await Promise.all(ids.map((id) => getRecipe(id)));
+  return recipes.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Persist a recipe record to disk.
+ * @param {object} recipe
+ * @returns {Promise<object>}
+ */
+async function saveRecipe(recipe) {
+  await writeJson(_recipePath(recipe.id), recipe);
+  return recipe;
+}
+
+// Changes to a recipe run one at a time, each on the stored record, so edits,
+// runs and decisions made at the same time never overwrite each other.
+const updateQueues = new Map();
+function serialize(recipeId, operation) {
+  const run = (updateQueues.get(recipeId) || Promise.resolve()).then(
+    operation,
+    operation
+  );
+  const settled = run.catch(() => {});
+  updateQueues.set(recipeId, settled);
+  settled.then(() => {
+    if (updateQueues.get(recipeId) === settled) updateQueues.delete(recipeId);
+  });
+  return run;
+}
+
+/**
+ * Change a stored recipe. `change` gets the record as it is on disk and edits
+ * it in place; returning false leaves the record unsaved.
+ * @param {string} recipeId
+ * @param {(recipe: object) => (void|boolean|Promise<void|boolean>)} change
+ * @returns {Promise<object>} The recipe.
+ * @throws {NotFoundError} With code RECIPE_NOT_FOUND if it was deleted.
+ */
+function updateStoredRecipe(recipeId, change) {
+  return serialize(recipeId, async () => {
+    const recipe = await findRecipe(recipeId);
+    if ((await change(recipe)) === false) return recipe;
+    return saveRecipe(recipe);
+  });
+}
+
+async function assertNameFree(name, recipeId) {
+  const taken = (await listRecipes()).find(
+    (recipe) =>
+      recipe.id !== recipeId && recipe.name.toLowerCase() === name.toLowerCase()
+  );
+  if (taken) {
+    throw new ConflictError(`A recipe named "${taken.name}" already exists`, {
+      code: "RECIPE_NAME_TAKEN",
+      details: { recipeId: taken.id },
+    });
+  }
+}
+
+/**
+ * Save a new recipe.
+ * @param {object} fields From `parseRecipe`.
+ * @param {string} createdBy
+ * @returns {Promise<object>} The recipe.
+ */
+async function createRecipe(fields, createdBy) {
+  await assertNameFree(fields.name);
+  const now = new Date().toISOString();
+  return saveRecipe({
+    id: crypto.randomUUID(),
+    ...fields,
+    createdAt: now,
+    createdBy,
+    updatedAt: now,
+    updatedBy: createdBy,
+    nextRunAt: nextRunAtOf(fields.schedule),
+    runs: [],
+  });
+}
+
+/**
+ * Replace the fields of a recipe. Preview options left out of `fields` are
+ * cleared; the runs and other bookkeeping (e.g. `lastRunAt`) are kept.
+ * @param {object} recipe
+ * @param {object} fields From `parseRecipe`.
+ * @param {string} updatedBy
+ * @returns {Promise<object>} The updated recipe.
+ */
+async function updateRecipe(recipe, fields, updatedBy) {
+  await assertNameFree(fields.name, recipe.id);
+  return updateStoredRecipe(recipe.id, (stored) => {
+    PREVIEW_FIELDS.forEach((field) => delete stored[field]);
+    Object.assign(stored, fields, {
+      updatedAt: new Date().toISOString(),
+      updatedBy,
+      nextRunAt: nextRunAtOf(fields.schedule),
+    });
+  });
+}
+
+/**
+ * Delete a recipe. Its runs' tasks and jobs are kept.
+ * @param {string} recipeId
+ */
+async function deleteRecipe(recipeId) {
+  await serialize(recipeId, () =>
+    fs.rm(_recipePath(recipeId), { force: true })
+  );
+}
+
+/**
+ * Queue a run of a recipe, as it is stored: a background preview whose result
+ * waits for approval. Earlier runs still waiting are superseded by it.
+ * @param {object} recipe Saved with the new run.
+ * @param {{trigger: "manual"|"schedule", createdBy: string}} details
+ * @returns {Promise<object>} The queued task; its id is the run's id.
+ */
+async function runRecipe(recipe, { trigger, createdBy }) {
+  let task;
+  await updateStoredRecipe(recipe.id, async (stored) => {
+    task = await taskQueue.enqueueTask(
+      "recipe",
+      {
+        recipeId: stored.id,
+        recipeName: stored.name,
+        trigger,
+        contentTypeUids: stored.contentTypeUids,
+        source: previewSource(stored),
+      },
+      { createdBy }
+    );
+
+    stored.runs.forEach((run) => {
+      if (run.approval === "pending") run.approval = "superseded";
+    });
+    stored.runs = [
+      {
+        id: task.id,
+        trigger,
+        createdAt: task.createdAt,
+        createdBy,
+        approval: "pending",
+      },
+      ...stored.runs,
+    ].slice(0, MAX_RECIPE_RUNS);
+    stored.lastRunAt = task.createdAt;
+  });
+  return task;
+}
+
+/**
+ * The runs of a recipe, with the state of their preview tasks.
+ * @param {object} recipe
+ * @returns {Promise<object[]>}
+ */
+async function describeRuns(recipe) {
+  return Promise.all(
+    recipe.runs.map(async (run) => {
+      const task = await taskQueue.getTask(run.id);
+      return {
+        ...run,
+        taskStatus: task ? task.status : "missing",
+        ...(task?.result ? { totalChanges: task.result.totalChanges } : {}),
+      };
+    })
+  );
+}
+
+// The /apply change for each change of a finished run's preview.
+function previewedChanges(result) {
+  return result.preview.flatMap((entry) =>
+    entry.changes.map((change) => ({
+      entryUid: entry.entryUid,
+      contentTypeUid: entry.contentTypeUid,
+      field: change.field,
+      newValue: change.newValue,
+      originalValue: change.originalValue,
+      version: change.version,
+    }))
+  );
+}
+
+async function findPendingRun(recipe, runId) {
+  const run = recipe.runs.find((r) => r.id === runId);
+  if (!run) {
+    throw new NotFoundError("Run not found", { code: "RUN_NOT_FOUND" });
+  }
+  if (run.approval !== "pending") {
+    throw new ConflictError(`Run is already ${run.approval}`, {
+      code: "RUN_ALREADY_DECIDED",
+    });
+  }
+  const task = await taskQueue.getTask(run.id);
+  if (!task || task.status !== "completed") {
+    throw new ConflictError(
+      `The run's preview is ${task ? task.status : "missing"}`,
+      { code: "RUN_NOT_READY" }
+    );
+  }
+  return { run, task };
+}
+
+/**
+ * Approve a run: queue an apply task with its previewed changes, or with
+ * `changes` (e.g. a reviewed subset) when given.
+ * @param {object} recipe Saved with the decision.
+ * @param {string} runId
+ * @param {{by: string, changes?: object[]}} details
+ * @returns {Promise<object>} The queued apply task.
+ * @throws {ConflictError} If the run was decided already or is not ready.
+ */
+async function approveRun(recipe, runId, { by, changes }) {
+  let applyTask;
+  await updateStoredRecipe(recipe.id, async (stored) => {
+    const { run, task } = await findPendingRun(stored, runId);
+    const { source, contentTypeUids } = task.params;
+
+    const selected = changes || previewedChanges(task.result);
+    if (selected.length === 0) {
+      throw new ValidationError("The run previewed no changes to apply", {
+        code: "NOTHING_TO_APPLY",
+      });
+    }
+    const params = applyService.parseApplyParams({
+      ...source,
+      contentTypeUid: contentTypeUids[0],
+      changes: selected.map((change) => ({
+        contentTypeUid: contentTypeUids[0],
+        ...change,
+      })),
+    });
+    applyTask = await taskQueue.enqueueTask("apply", params, {
+      createdBy: by,
+    });
+
+    Object.assign(run, {
+      approval: "approved",
+      decidedAt: new Date().toISOString(),
+      decidedBy: by,
+      applyTaskId: applyTask.id,
+    });
+  });
+  return applyTask;
+}
+
+/**
+ * Dismiss a run; its preview is never applied.
+ * @param {object} recipe Saved with the decision.
+ * @param {string} runId
+ * @param {{by: string}} details
+ * @returns {Promise<object>} The run.
+ */
+async function dismissRun(recipe, runId, { by }) {
+  let run;
+  await updateStoredRecipe(recipe.id, async (stored) => {
+    ({ run } = await findPendingRun(stored, runId));
+    Object.assign(run, {
+      approval: "dismissed",
+      decidedAt: new Date().toISOString(),
+      decidedBy: by,
+    });
+  });
+  return run;
+}
+
+/**
+ * Find the entries a run covers: those of the recipe's content types with a
+ * targeted field matching its query. One unit per entry, keyed
+ * "<content type>/<entry uid>". A content type that cannot be read is
+ * reported in the result rather than failing the run.
+ * @param {object} params The run task's params.
+ * @returns {Promise<{context: object, units: object[]}>}
+ */
+async function prepareRun(params) {
+  const { source, contentTypeUids } = params;
+  const matcher = createMatcher(parseMatchOptions(source));
+  const { locale, branch } = parseStackOptions(source);
+  const fieldFilters = parseFieldFilters(source);
+  const usage = createUsageTotals();
+  const previews = new Map();
+  const contentTypes = [];
+  const units = [];
+
+  for (const contentTypeUid of contentTypeUids) {
+    const scanned = { contentTypeUid, scannedEntries: 0, matchedEntries: 0 };
+    contentTypes.push(scanned);
+    try {
+      const contentType = await contentstackService.getContentType(
+        contentTypeUid,
+        { branch }
+      );
+      const matched = [];
+      const pages = contentstackService.iterateEntryPages(contentTypeUid, {
+        locale,
+        branch,
+      });
+      for await (const page of pages) {
+        page.items.forEach((entry) => {
+          const targets = collectTextFields(
+            entry,
+            contentType.schema,
+            fieldFilters
+          );
+          if (targets.some((t) => fieldMatches(t.kind, t.value, matcher))) {
+            matched.push(sanitizeObject(entry));
+          }
+        });
+        scanned.scannedEntries += page.items.length;
+      }
+      scanned.matchedEntries = matched.length;
+      if (matched.length === 0) continue;
+
+      const context = await previewService.createPreviewContext(
+        previewParamsFor(
+          source,
+          contentTypeUid,
+          matched.map((entry) => entry.uid)
+        )
+      );
+      // One total for the whole run.
+      context.usage = usage;
+      previews.set(contentTypeUid, context);
+      matched.forEach((entry) =>
+        units.push({ key: `${contentTypeUid}/${entry.uid}`, entry })
+      );
+    } catch (error) {
+      console.error(
+        `❌ Recipe "${params.recipeName}" could not scan ${contentTypeUid}:`,
+        error.message
+      );
+      Object.assign(scanned, errorFields(error));
+    }
+  }
+
+  return {
+    context: {
+      params: previewParamsFor(source, contentTypeUids[0], []),
+      previews,
+      contentTypes,
+      usage,
+    },
+    units,
+  };
+}
+
+/**
+ * Preview one entry of a run.
+ * @param {object} context From `prepareRun`.
+ * @param {object} unit
+ * @returns {Promise<object|null>} The entry's preview, with its
+ *   `contentTypeUid`, or null if nothing changes.
+ */
+async function previewRunEntry(context, unit) {
+  const [contentTypeUid] = unit.key.split("/");
+  const preview = await previewService.previewEntry(
+    context.previews.get(contentTypeUid),
+    unit.entry
+  );
+  return preview && { ...preview, contentTypeUid };
+}
+
+/**
+ * Assemble a run's result: the preview, as /preview reports it, of every
+ * entry across the recipe's content types.
+ * @param {object} context From `prepareRun`.
+ * @param {object} task The run task.
+ */
+function summarizeRun(context, task) {
+  const { recipeId, recipeName, trigger } = task.params;
+  return {
+    recipeId,
+    recipeName,
+    trigger,
+    contentTypes: context.contentTypes,
+    ...previewService.summarizePreview(
+      context.params,
+      task.results,
+      context.usage
+    ),
+  };
+}
+
+module.exports = {
+  MAX_RECIPE_RUNS,
+  parseRecipe,
+  nextRunAtOf,
+  getRecipe,
+  findRecipe,
+  listRecipes,
+  saveRecipe,
+  updateStoredRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe,
+  runRecipe,
+  describeRuns,
+  approveRun,
+  dismissRun,
+  prepareRun,
+  previewRunEntry,
+  summarizeRun,
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Follows the references of entries to the entries they link
+ * to, so /scan and /preview can include linked content. Each linked entry is
+ * visited once, however many entries reference it, so reference cycles end.
+ */
+
+const contentstackService = require("./contentstackService");
+const { collectReferences } = require("../utils/fieldTargets");
+const { ValidationError } = require("../utils/errors");
+
+// Longest chain of references followed from a selected entry.
+const MAX_REFERENCE_DEPTH = 3;
+
+/**
+ * Read `includeReferences` / `referenceDepth` from a request query or body.
+ * @param {object} source `req.query` or `req.body`.
+ * @param {object} [principal] `req.principal`; linked entries of content
+ *   types outside its allowlist are left out.
+ * @returns {{depth: number, contentTypes: string[]|null}|null} null when
+ *   references are not followed.
+ */
+function parseReferenceOptions(source = {}, principal) {
+  const { includeReferences, referenceDepth } = source;
+  if (includeReferences !== true && includeReferences !== "true") return null;
+
+  const depth =
+    referenceDepth === undefined || referenceDepth === ""
+      ? 1
+      : Number(referenceDepth);
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_REFERENCE_DEPTH) {
+    throw new ValidationError(
+      `referenceDepth must be a whole number from 1 to ${MAX_REFERENCE_DEPTH}`
+    );
+  }
+  return { depth, contentTypes: principal?.contentTypes || null };
+}
+
+const refKey = (contentTypeUid, entryUid) => `${contentTypeUid}/${entryUid}`;
+
+/**
+ * Fetch the entries referenced by `entries`, breadth first, up to
+ * `options.depth` references away. The entries themselves are never returned
+ * again, even when a linked entry references them back.
+ * @param {object[]} entries Entries of `contentType`.
+ * @param {object} contentType
+ * @param {{depth: number, contentTypes?: string[]|null, locale?: string,
+ *   branch?: string}} options
+ * @returns {Promise<Array<{entry: object, contentType: object, depth: number,
+ *   referencedFrom: {contentTypeUid: string, entryUid: string,
+ *   field: string}}>>}
+ */
+async function followReferences(entries, contentType, options) {
+  const { depth, contentTypes, locale, branch } = options;
+  const seen = new Set(
+    entries.map((entry) => refKey(contentType.uid, entry.uid))
+  );
+  const contentTypesByUid = new Map([[contentType.uid, contentType]]);
+  const linked = [];
+  let level = entries.map((entry) => ({ entry, contentType }));
+
+  for (let distance = 1; distance <= depth && level.length > 0; distance++) {
+    // Referenced entry uids by content type, with where each was found.
+    const wanted = new Map();
+    level.forEach(({ entry, contentType: from }) => {
+      collectReferences(entry, from.schema).forEach((ref) => {
+        const key = refKey(ref.contentTypeUid, ref.entryUid);
+        if (!ref.contentTypeUid || seen.has(key)) return;
+        if (contentTypes && !contentTypes.includes(ref.contentTypeUid)) return;
+        seen.add(key);
+        if (!wanted.has(ref.contentTypeUid)) {
+          wanted.set(ref.contentTypeUid, new Map());
+        }
+        wanted.get(ref.contentTypeUid).set(ref.entryUid, {
+          contentTypeUid: from.uid,
+          entryUid: entry.uid,
+          field: ref.path,
+        });
+      });
+    });
+
+    level = [];
+    for (const [contentTypeUid, referencedFrom] of wanted) {
+      try {
+        if (!contentTypesByUid.has(contentTypeUid)) {
+          contentTypesByUid.set(
+            contentTypeUid,
+            await contentstackService.getContentType(contentTypeUid, {
+              branch,
+            })
+          );
+        }
+        const found = await contentstackService.getEntriesByIds(
+          contentTypeUid,
+          [...referencedFrom.keys()],
+          { locale, branch }
+        );
+        found.forEach((entry) => {
+          const item = {
+            entry,
+            contentType: contentTypesByUid.get(contentTypeUid),
+            depth: distance,
+            referencedFrom: referencedFrom.get(entry.uid),
+          };
+          linked.push(item);
+          level.push(item);
+        });
+      } catch (error) {
+        // A reference to a deleted content type must not fail the request.
+        if (error.status !== 404) throw error;
+        console.warn(
+          `⚠️ Not following references to ${contentTypeUid}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  return linked;
+}
+
+module.exports = {
+  MAX_REFERENCE_DEPTH,
+  parseReferenceOptions,
+  followReferences,
+};
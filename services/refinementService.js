@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Refines text with the configured language model (see
+ * services/llm). This service takes content that has already undergone a basic
+ * find-and-replace and uses the model to improve its contextual accuracy and
+ * flow.
+ */
+
+const llm = require("./llm");
+const { parseModelJson } = require("../utils/modelJson");
+
+/**
+ * Calls the configured model to refine content.
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {object} [options] Passed to llm.generate.
+ * @returns {Promise<string|null>}
+ */
+async function callModel(systemPrompt, userPrompt, options) {
+  try {
+    return await llm.generate(systemPrompt, userPrompt, options);
+  } catch (error) {
+    console.error("❌ LLM call failed:", error.message);
+    if (error.response) {
+      console.error("Detailed Error:", JSON.stringify(error.response, null, 2));
+    }
+    return null;
+  }
+}
+
+/**
+ * Check that a response answers exactly the segments that were sent.
+ * @returns {string|null} What is wrong with it, or null if it is usable.
+ */
+function checkRefinedSegments(refined, segments) {
+  if (!refined || typeof refined !== "object" || Array.isArray(refined)) {
+    return "the response is not a JSON object";
+  }
+  const expected = segments.map((segment) => segment.id).sort();
+  const actual = Object.keys(refined).sort();
+  if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+    return `the response has keys ${actual.join(
+      ", "
+    )} instead of ${expected.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Refines text segments that have undergone a crude replacement. Only the
+ * changed segments are sent, each with the text around it as read-only
+ * context, and the model answers with one string per segment id.
+ * @param {Array<{id: string, field: string, original: string,
+ *   replaced: string, contextBefore?: string, contextAfter?: string}>} segments
+ * @param {string} findQuery
+ * @param {string} replaceQuery
+ * @param {string} [brandGuidelines] Voice, tone and rules the text must follow.
+ * @param {{usage?: object}} [options] Usage totals to add the model call to.
+ * @returns {Promise<{segments: Object<string, string>|null, error?: string}>}
+ *   The refined text by segment id (a segment whose answer is not a string
+ *   keeps its replaced text), or null with the reason when the response
+ *   could not be used.
+ */
+async function makeReplacementContextual(
+  segments,
+  findQuery,
+  replaceQuery,
+  brandGuidelines = "",
+  { usage } = {}
+) {
+  const systemPrompt = `
+ROLE: You are an AI assistant specializing in context-aware find-and-replace operations. Your primary function is to refine a crude text replacement to ensure it is contextually and grammatically correct.
+
+PRIMARY INSTRUCTION: The user attempted to find all instances of "${findQuery}" and replace them with "${replaceQuery}". Your job is to intelligently refine the result.
+
+INPUT: The user sends two JSON objects.
+* CONTEXT lists every segment by id with the field it belongs to, its \`original\` text before the replacement, and the text around it (\`contextBefore\`, \`contextAfter\`). Context is read-only.
+* SEGMENTS maps each segment id to the text after the crude replacement. This is the text to refine.
+
+CRITICAL RULES:
+
+1.  **Contextual & Named Entity Integrity:**
+    * Understand the full context. If a version number or feature is tied to the original name (e.g., "2.5 Pro" for "Gemini"), it **MUST NOT** be incorrectly carried over to the new name.
+    * Fix nonsensical phrases that result from the simple replacement.
+
+2.  **Grammar and Flow:**
+    * Correct any awkward phrasing, duplication, or grammatical errors (e.g., verb tenses, plurals, articles like "a/an"). The final text must read naturally.
+
+3.  **Minimal Changes:**
+    * Only change what the replacement made wrong. Leave unrelated wording, sentences and URLs exactly as they are.
+    * Keep leading and trailing whitespace of every segment.
+
+4.  **Output Format:**
+    * Your response **MUST BE** only the SEGMENTS object with refined string values: the same keys, no keys added or removed. Do not include any explanatory text, comments, markdown, or code fences.
+
+---
+EXAMPLE of how to be "smart":
+
+**Operation:** Replace "Gemini" with "Claude"
+
+**Crude Input with an Error:**
+\`\`\`json
+{
+  "s1": "Claude 2.5 pro is a smart model"
+}
+\`\`\`
+
+**Correct, Refined Output (removes "2.5 pro" because it does not belong to "Claude"):**
+\`\`\`json
+{
+  "s1": "Claude is a smart model"
+}
+\`\`\`
+${
+  brandGuidelines
+    ? `
+---
+BRAND GUIDELINES (follow these when rephrasing):
+${brandGuidelines}
+`
+    : ""
+}`;
+
+  const context = segments.map(({ replaced, ...segment }) => segment);
+  const crude = Object.fromEntries(
+    segments.map((segment) => [segment.id, segment.replaced])
+  );
+  const userPrompt = `CONTEXT:\n${JSON.stringify(
+    context,
+    null,
+    2
+  )}\n\nSEGMENTS:\n${JSON.stringify(crude, null, 2)}`;
+
+  const modelResponse = await callModel(systemPrompt, userPrompt, {
+    usage,
+    // Only responses that answer the segments are reused for the same prompt.
+    cacheable: (text) =>
+      !checkRefinedSegments(parseModelJson(text, { quiet: true }), segments),
+  });
+  if (!modelResponse) {
+    return { segments: null, error: "the model call failed" };
+  }
+
+  const refined = parseModelJson(modelResponse);
+  const problem = checkRefinedSegments(refined, segments);
+  if (problem) {
+    console.warn(`⚠️ Ignoring the model's response: ${problem}.`);
+    return { segments: null, error: problem };
+  }
+
+  console.log(`✅ The model refined ${segments.length} segment(s).`);
+  return {
+    segments: Object.fromEntries(
+      segments.map((segment) => [
+        segment.id,
+        typeof refined[segment.id] === "string"
+          ? refined[segment.id]
+          : segment.replaced,
+      ])
+    ),
+  };
+}
+
+// Suggestions whose answer is missing or malformed are dropped one by one.
+function toAlternative(item, segmentIds) {
+  if (!item || typeof item !== "object" || !item.segments) return null;
+  const keys = Object.keys(item.segments).sort();
+  if (
+    JSON.stringify(keys) !== JSON.stringify([...segmentIds].sort()) ||
+    !keys.every((key) => typeof item.segments[key] === "string")
+  ) {
+    return null;
+  }
+  const score = Number(item.score);
+  return {
+    segments: item.segments,
+    rationale: typeof item.rationale === "string" ? item.rationale : "",
+    score: Number.isFinite(score) ? Math.min(10, Math.max(0, score)) : null,
+  };
+}
+
+/**
+ * Ask for alternative rewrites of replaced fields, each with a brand-fit
+ * score and a short rationale. A field is rewritten through its changed
+ * segments, as in `makeReplacementContextual`.
+ * @param {Array<{id: string, field: string, before: string, after: string,
+ *   segments: Object<string, string>}>} fields The changed fields: their
+ *   visible text before and after the replacement, and the text of each
+ *   changed segment.
+ * @param {string} findQuery
+ * @param {string} replaceQuery
+ * @param {string} brandGuidelines Voice, tone and rules to rank against.
+ * @param {number} count Alternatives wanted per field.
+ * @param {{usage?: object}} [options] Usage totals to add the model call to.
+ * @returns {Promise<Object<string, Array<{segments: Object<string, string>,
+ *   rationale: string, score: number|null}>>|null>} Alternatives by field
+ *   id, or null if the model gave no usable answer.
+ */
+async function suggestAlternatives(
+  fields,
+  findQuery,
+  replaceQuery,
+  brandGuidelines,
+  count,
+  { usage } = {}
+) {
+  const systemPrompt = `
+ROLE: You are a copywriter helping with a find-and-replace. The user replaced "${findQuery}" with "${replaceQuery}" and wants ${count} alternative rewrites of each changed field to choose from.
+
+INPUT: A JSON object keyed by field id. Each field has its visible text \`before\` and \`after\` the replacement, and \`segments\`: the changed parts of the field, keyed by segment id. Only segments are rewritten; the rest of the field stays as it is.
+
+RULES:
+1.  Every alternative must keep the meaning of the field and use "${replaceQuery}" where the original used "${findQuery}", unless that reads wrongly.
+2.  Make the alternatives genuinely different (wording, length or emphasis), not copies of \`after\`.
+3.  Follow the brand guidelines below. Never use a banned term.
+4.  Score each alternative from 0 to 10 for how well it fits the brand voice, and give a one-sentence rationale.
+
+OUTPUT FORMAT: Only a JSON object, with no explanatory text, markdown or code fences:
+{ "<field id>": [ { "segments": { "<segment id>": "<rewritten text>" }, "score": 8, "rationale": "..." } ] }
+Each alternative must contain every segment id of its field.
+${
+  brandGuidelines
+    ? `
+---
+BRAND GUIDELINES:
+${brandGuidelines}
+`
+    : ""
+}`;
+
+  const input = Object.fromEntries(
+    fields.map(({ id, ...field }) => [id, field])
+  );
+  const userPrompt = `FIELDS:\n${JSON.stringify(input, null, 2)}`;
+
+  const parseAlternatives = (text) => {
+    const response = parseModelJson(text, { quiet: true });
+    if (!response || typeof response !== "object" || Array.isArray(response)) {
+      return null;
+    }
+    const result = {};
+    fields.forEach((field) => {
+      const items = Array.isArray(response[field.id]) ? response[field.id] : [];
+      result[field.id] = items
+        .map((item) => toAlternative(item, Object.keys(field.segments)))
+        .filter(Boolean)
+        .slice(0, count);
+    });
+    return Object.values(result).some((items) => items.length > 0)
+      ? result
+      : null;
+  };
+
+  const modelResponse = await callModel(systemPrompt, userPrompt, {
+    usage,
+    cacheable: (text) => parseAlternatives(text) !== null,
+  });
+  const alternatives = modelResponse ? parseAlternatives(modelResponse) : null;
+  if (!alternatives) {
+    console.warn("⚠️ The model returned no usable suggestions.");
+  }
+  return alternatives;
+}
+
+/**
+ * Rewrite text segments in the brand voice. Each segment is a run of visible
+ * text of a field; the model answers with one string per segment id.
+ * @param {Array<{id: string, field: string, text: string,
+ *   maxLength?: number}>} segments
+ * @param {{brandGuidelines: string, tone?: {name: string, description: string},
+ *   instructions?: string}} brief What the rewrite should achieve.
+ * @param {{usage?: object}} [options] Usage totals to add the model call to.
+ * @returns {Promise<{segments: Object<string, string>|null, error?: string}>}
+ *   As for `makeReplacementContextual`.
+ */
+async function rewriteSegments(
+  segments,
+  { brandGuidelines, tone, instructions },
+  { usage } = {}
+) {
+  const systemPrompt = `
+ROLE: You are a copywriter who rewrites existing content so it matches the brand's voice and tone.
+
+INPUT: A JSON object keyed by segment id. Each segment is a run of visible text from a content field, with the \`field\` it belongs to and, for some, \`maxLength\`: the most characters the rewritten text may have.
+
+RULES:
+1.  Keep the meaning, facts, names, numbers and URLs of every segment.
+2.  Rewrite in the brand voice${
+    tone ? `, using the "${tone.name}" tone: ${tone.description}` : ""
+  }. Follow every Do and Don't below and never use a banned term.
+3.  Respect \`maxLength\` where it is given.
+4.  If a segment already fits the brand voice, return it unchanged. Keep leading and trailing whitespace of every segment.
+${
+  instructions
+    ? `5.  Additional instructions from the editor: ${instructions}\n`
+    : ""
+}
+OUTPUT FORMAT: Only a JSON object mapping every segment id to its rewritten text, with the same keys, no keys added or removed, and no explanatory text, markdown or code fences.
+${
+  brandGuidelines
+    ? `
+---
+BRAND GUIDELINES:
+${brandGuidelines}
+`
+    : ""
+}`;
+
+  const input = Object.fromEntries(
+    segments.map(({ id, ...segment }) => [id, segment])
+  );
+  const userPrompt = `SEGMENTS:\n${JSON.stringify(input, null, 2)}`;
+
+  const modelResponse = await callModel(systemPrompt, userPrompt, {
+    usage,
+    cacheable: (text) =>
+      !checkRefinedSegments(parseModelJson(text, { quiet: true }), segments),
+  });
+  if (!modelResponse) {
+    return { segments: null, error: "the model call failed" };
+  }
+
+  const rewritten = parseModelJson(modelResponse);
+  const problem = checkRefinedSegments(rewritten, segments);
+  if (problem) {
+    console.warn(`⚠️ Ignoring the model's response: ${problem}.`);
+    return { segments: null, error: problem };
+  }
+
+  console.log(`✅ The model rewrote ${segments.length} segment(s).`);
+  return {
+    segments: Object.fromEntries(
+      segments.map((segment) => [
+        segment.id,
+        typeof rewritten[segment.id] === "string"
+          ? rewritten[segment.id]
+          : segment.text,
+      ])
+    ),
+  };
+}
+
+module.exports = {
+  makeReplacementContextual,
+  suggestAlternatives,
+  rewriteSegments,
+};
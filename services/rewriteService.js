@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Builds brand voice rewrites: the model rewrites the targeted
+ * text fields of entries to match the brandkit's voice and tone. Results have
+ * the same shape as /preview, so accepted changes go through /apply and its
+ * banned-term checks unchanged.
+ */
+
+const contentstackService = require("./contentstackService");
+const brandkitService = require("./brandkitService");
+const refinementService = require("./refinementService");
+const previewService = require("./previewService");
+const llm = require("./llm");
+const { createUsageTotals } = require("./llm/usage");
+const {
+  parseFieldFilters,
+  collectTextFields,
+} = require("../utils/fieldTargets");
+const { setNestedValue } = require("../utils/objectPath");
+const { sanitizeObject } = require("../utils/entryDiff");
+const {
+  getTextRuns,
+  rewriteTextRuns,
+  toPlainText,
+} = require("../utils/richText");
+const { parseStackOptions } = require("../utils/stackOptions");
+const { ValidationError } = require("../utils/errors");
+
+const MAX_INSTRUCTIONS_LENGTH = 500;
+
+/**
+ * Validate rewrite parameters from a request query or body.
+ * @param {object} source `req.query` or `req.body`.
+ * @returns {object} The rewrite parameters.
+ * @throws {ValidationError} When the parameters are invalid.
+ */
+function parseRewriteParams(source = {}) {
+  const { contentTypeUid, tone, instructions } = source;
+  let { entryUids } = source;
+
+  if (entryUids && !Array.isArray(entryUids)) {
+    entryUids = [entryUids];
+  }
+  if (!contentTypeUid || !entryUids) {
+    throw new ValidationError("contentTypeUid and entryUids are required");
+  }
+
+  let maxLength = null;
+  if (source.maxLength !== undefined && source.maxLength !== "") {
+    maxLength = Number(source.maxLength);
+    if (!Number.isInteger(maxLength) || maxLength <= 0) {
+      throw new ValidationError("maxLength must be a positive whole number");
+    }
+  }
+  if (tone !== undefined && (typeof tone !== "string" || !tone.trim())) {
+    throw new ValidationError("tone must be the name of a brandkit tone");
+  }
+  if (
+    instructions !== undefined &&
+    (typeof instructions !== "string" ||
+      instructions.length > MAX_INSTRUCTIONS_LENGTH)
+  ) {
+    throw new ValidationError(
+      `instructions must be text of at most ${MAX_INSTRUCTIONS_LENGTH} characters`
+    );
+  }
+
+  // Fails early, with LLM_NOT_CONFIGURED, when no model is available.
+  llm.getProvider();
+
+  return {
+    contentTypeUid,
+    entryUids,
+    tone: tone ? tone.trim() : null,
+    maxLength,
+    instructions: instructions ? instructions.trim() : null,
+    fieldFilters: parseFieldFilters(source),
+    stackOptions: parseStackOptions(source),
+  };
+}
+
+/**
+ * Load everything a rewrite needs that is shared between entries.
+ * @param {object} params From `parseRewriteParams`.
+ * @throws {ValidationError} With code UNKNOWN_TONE if the brandkit has no
+ *   such tone.
+ */
+async function createRewriteContext(params) {
+  const { locale, branch } = params.stackOptions;
+  const [brandkit, contentType] = await Promise.all([
+    brandkitService.getRules(),
+    contentstackService.getContentType(params.contentTypeUid, { branch }),
+  ]);
+
+  const tones = brandkit.voiceAndTone.tone;
+  // Own tones only: "constructor" or "toString" are not tones.
+  const toneName =
+    params.tone || (Object.hasOwn(tones, "default") ? "default" : null);
+  if (toneName && !Object.hasOwn(tones, toneName)) {
+    throw new ValidationError(
+      `Unknown tone "${toneName}" (the brandkit defines: ${
+        Object.keys(tones).join(", ") || "none"
+      })`,
+      { code: "UNKNOWN_TONE", details: { tones: Object.keys(tones) } }
+    );
+  }
+
+  return {
+    params,
+    brandkit,
+    contentType,
+    brief: {
+      brandGuidelines: brandkitService.describeGuidelines(brandkit),
+      tone: toneName ? { name: toneName, description: tones[toneName] } : null,
+      instructions: params.instructions,
+    },
+    entryOptions: { locale, branch },
+    usage: createUsageTotals(),
+  };
+}
+
+/**
+ * Fetch the entries a rewrite covers.
+ * @param {object} context From `createRewriteContext`.
+ */
+async function fetchRewriteEntries(context) {
+  const entries = await contentstackService.getEntriesByIds(
+    context.params.contentTypeUid,
+    context.params.entryUids,
+    context.entryOptions
+  );
+  return entries.map((e) => sanitizeObject(e));
+}
+
+/**
+ * The length limit for a field: the request's `maxLength` or the brandkit's
+ * limit for the field UID, whichever is stricter.
+ */
+function lengthLimitFor(context, target) {
+  const limits = [
+    context.params.maxLength,
+    context.brandkit.voiceAndTone.lengthLimits[target.uid],
+  ].filter(Boolean);
+  return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+/**
+ * Rewrite the targeted fields of a single entry.
+ * @param {object} context From `createRewriteContext`.
+ * @param {object} originalEntry A sanitized entry.
+ * @returns {Promise<object|null>} The entry's preview (as /preview returns
+ *   it), or null if nothing changes.
+ */
+async function rewriteEntry(context, originalEntry) {
+  const { params, contentType } = context;
+  const targets = collectTextFields(
+    originalEntry,
+    contentType.schema,
+    params.fieldFilters
+  );
+
+  // Every run of visible text that has something to rewrite.
+  const runs = [];
+  targets.forEach((target) => {
+    const maxLength = lengthLimitFor(context, target);
+    getTextRuns(target.kind, target.value).forEach((text, runIndex) => {
+      if (!/[a-z]/i.test(text)) return;
+      runs.push({
+        target,
+        runIndex,
+        segment: {
+          id: `s${runs.length + 1}`,
+          field: target.path,
+          text,
+          ...(maxLength ? { maxLength } : {}),
+        },
+      });
+    });
+  });
+  if (runs.length === 0) return null;
+
+  const rewrite = await refinementService.rewriteSegments(
+    runs.map(({ segment }) => segment),
+    context.brief,
+    { usage: context.usage }
+  );
+  if (!rewrite.segments) {
+    console.warn(
+      `⚠️ Rewrite failed for entry ${originalEntry.uid}. Error: ${rewrite.error}`
+    );
+    return {
+      entryUid: originalEntry.uid,
+      title: originalEntry.title || "(no title)",
+      error: rewrite.error,
+      changes: [],
+    };
+  }
+
+  const updatedEntry = structuredClone(originalEntry);
+  targets.forEach((target) => {
+    const rewritten = new Map(
+      runs
+        .filter((run) => run.target === target)
+        .map(({ runIndex, segment }) => [
+          runIndex,
+          rewrite.segments[segment.id],
+        ])
+    );
+    if (rewritten.size === 0) return;
+    setNestedValue(
+      updatedEntry,
+      target.path,
+      rewriteTextRuns(target.kind, target.value, (text, runIndex) =>
+        rewritten.has(runIndex) ? rewritten.get(runIndex) : text
+      )
+    );
+  });
+
+  // With the original as the literal baseline, every change is the model's.
+  const preview = previewService.describeEntryPreview(
+    context,
+    originalEntry,
+    targets,
+    updatedEntry,
+    originalEntry
+  );
+  if (!preview) return null;
+
+  preview.changes.forEach((change) => {
+    const target = targets.find((t) => t.path === change.field);
+    const maxLength = lengthLimitFor(context, target);
+    if (!maxLength) return;
+    const length = toPlainText(change.kind, change.newValue).length;
+    change.maxLength = maxLength;
+    change.withinLength = length <= maxLength;
+  });
+  return preview;
+}
+
+/**
+ * Assemble the rewrite response, shaped like the /preview response.
+ * @param {object} params From `parseRewriteParams`.
+ * @param {object[]} results Non-null results of `rewriteEntry`.
+ * @param {object} context From `createRewriteContext`.
+ */
+function summarizeRewrite(params, results, context) {
+  const { locale, branch } = params.stackOptions;
+  return {
+    mode: "rewrite",
+    tone: context.brief.tone?.name || null,
+    ...(params.maxLength ? { maxLength: params.maxLength } : {}),
+    ...(locale ? { locale } : {}),
+    ...(branch ? { branch } : {}),
+    totalChanges: results.reduce((sum, entry) => sum + entry.changes.length, 0),
+    failedEntries: results.filter((entry) => entry.error).length,
+    preview: results,
+    usage: context.usage,
+  };
+}
+
+module.exports = {
+  MAX_INSTRUCTIONS_LENGTH,
+  parseRewriteParams,
+  createRewriteContext,
+  fetchRewriteEntries,
+  rewriteEntry,
+  summarizeRewrite,
+};
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Background task handlers for preview, rewrite, apply and
+ * recipe runs. Each entry is one unit of work, so progress is reported (and a
+ * resumed task picks up) entry by entry. See services/taskQueue for the
+ * handler contract.
+ */
+
+const taskQueue = require("./taskQueue");
+const previewService = require("./previewService");
+const rewriteService = require("./rewriteService");
+const applyService = require("./applyService");
+const jobService = require("./jobService");
+const recipeService = require("./recipeService");
+
+taskQueue.registerHandler("preview", {
+  async prepare(task) {
+    const context = await previewService.createPreviewContext(task.params);
+    const entries = await previewService.fetchPreviewEntries(context);
+    const linked = await previewService.fetchLinkedEntries(context, entries);
+    const units = [
+      ...entries.map((entry) => ({ key: entry.uid, entry })),
+      ...linked.map((link) => ({
+        key: `${link.contentType.uid}/${link.entry.uid}`,
+        entry: link.entry,
+        link,
+      })),
+    ];
+    return { context, units };
+  },
+
+  processUnit(context, unit) {
+    return previewService.previewEntry(context, unit.entry, unit.link);
+  },
+
+  finish(context, task) {
+    return previewService.summarizePreview(
+      task.params,
+      task.results,
+      context.usage
+    );
+  },
+});
+
+taskQueue.registerHandler("rewrite", {
+  async prepare(task) {
+    const context = await rewriteService.createRewriteContext(task.params);
+    const entries = await rewriteService.fetchRewriteEntries(context);
+    const units = entries.map((entry) => ({ key: entry.uid, entry }));
+    return { context, units };
+  },
+
+  processUnit(context, unit) {
+    return rewriteService.rewriteEntry(context, unit.entry);
+  },
+
+  finish(context, task) {
+    return rewriteService.summarizeRewrite(task.params, task.results, context);
+  },
+});
+
+taskQueue.registerHandler("apply", {
+  async prepare(task) {
+    const context = await applyService.createApplyContext(task.params);
+
+    // A resumed task keeps recording into the replace job it started.
+    let job = task.state.jobId
+      ? await jobService.getJob(task.state.jobId)
+      : null;
+    if (!job) {
+      job = jobService.createJob({
+        createdBy: task.createdBy,
+        contentTypeUid: task.params.contentTypeUid,
+        branch: task.params.stackOptions.branch,
+        query: task.params.query,
+        replaceWith: task.params.replaceWith,
+        publish: task.params.publish,
+      });
+      await jobService.saveJob(job);
+      task.state.jobId = job.id;
+    }
+
+    const units = applyService.groupChanges(task.params);
+    return { context: { ...context, job }, units };
+  },
+
+  async processUnit(context, unit) {
+    const { result, jobEntry } = await applyService.applyEntryChanges(
+      context,
+      unit
+    );
+    context.job.entries.push(jobEntry);
+    await jobService.saveJob(context.job);
+    return result;
+  },
+
+  finish(context, task) {
+    return applyService.summarizeApply(context.job, task.results);
+  },
+});
+
+// A run of a saved recipe: a preview across its content types, left for
+// approval (see services/recipeService).
+taskQueue.registerHandler("recipe", {
+  prepare(task) {
+    return recipeService.prepareRun(task.params);
+  },
+
+  processUnit(context, unit) {
+    return recipeService.previewRunEntry(context, unit);
+  },
+
+  finish(context, task) {
+    return recipeService.summarizeRun(context, task);
+  },
+});
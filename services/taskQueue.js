@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Background task queue for long preview and apply runs. Tasks
+ * are persisted to local disk after every processed unit (one entry), so a task
+ * can be cancelled between units and resumed after a server restart without
+ * redoing the units it already finished. Tasks run one at a time.
+ *
+ * A handler registered for a task type provides:
+ * - `prepare(task)` → `{context, units}`, where each unit has a stable `key`;
+ * - `processUnit(context, unit, task)` → the unit's result (null to omit it);
+ * - `finish(context, task)` → the task result, built from `task.results`.
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const { EventEmitter } = require("events");
+const config = require("../config");
+const { readJson, writeJson, listJson } = require("../utils/jsonStore");
+const { ConflictError, errorFields } = require("../utils/errors");
+
+const TASKS_DIR = path.join(config.DATA_DIR, "tasks");
+
+const FINISHED_STATUSES = new Set([
+  "completed",
+  "failed",
+  "cancelled",
+  "interrupted",
+]);
+
+const handlers = new Map();
+const events = new EventEmitter();
+const pending = [];
+const cancelRequests = new Set();
+let draining = false;
+
+function _taskPath(taskId) {
+  return path.join(TASKS_DIR, `${taskId}.json`);
+}
+
+async function saveTask(task) {
+  task.updatedAt = new Date().toISOString();
+  await writeJson(_taskPath(task.id), task);
+  events.emit(task.id, task);
+  return task;
+}
+
+/**
+ * Register the handler that runs tasks of a given type.
+ * @param {string} type e.g. "preview" or "apply".
+ * @param {{prepare: Function, processUnit: Function, finish: Function}} handler
+ */
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function isFinished(task) {
+  return FINISHED_STATUSES.has(task.status);
+}
+
+/**
+ * Load a single task by id.
+ * @param {string} taskId
+ * @returns {Promise<object|null>} The task, or null if it does not exist.
+ */
+async function getTask(taskId) {
+  // Task ids are UUIDs; refuse anything that could escape the tasks directory.
+  if (!/^[\w-]+$/.test(taskId)) return null;
+  return readJson(_taskPath(taskId), null);
+}
+
+/**
+ * List stored tasks, newest first.
+ * @returns {Promise<object[]>}
+ */
+async function listTasks() {
+  const ids = await listJson(TASKS_DIR);
+  const tasks = await Promise.all(ids.map((id) => getTask(id)));
+  return tasks
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function runTask(task) {
+  const handler = handlers.get(task.type);
+  task.status = "running";
+  task.error = null;
+  task.errorCode = null;
+  delete task.errorDetails;
+  await saveTask(task);
+
+  try {
+    const { context, units } = await handler.prepare(task);
+    const done = new Set(task.processedKeys);
+    task.progress.total = units.length;
+    await saveTask(task);
+
+    for (const unit of units) {
+      if (done.has(unit.key)) continue;
+      if (cancelRequests.has(task.id)) break;
+
+      const result = await handler.processUnit(context, unit, task);
+      if (result) task.results.push(result);
+      task.processedKeys.push(unit.key);
+      task.progress.processed = task.processedKeys.length;
+      task.lastUnit = { key: unit.key, result };
+      await saveTask(task);
+    }
+
+    task.result = await handler.finish(context, task);
+    task.status = cancelRequests.has(task.id) ? "cancelled" : "completed";
+  } catch (error) {
+    console.error(`❌ Task ${task.id} (${task.type}) failed:`, error.message);
+    task.status = "failed";
+    Object.assign(task, errorFields(error));
+  }
+
+  cancelRequests.delete(task.id);
+  task.lastUnit = null;
+  await saveTask(task);
+  console.log(`✅ Task ${task.id} (${task.type}) ${task.status}.`);
+}
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (pending.length > 0) {
+      const task = await getTask(pending.shift());
+      if (!task || task.status !== "queued") continue;
+      // Cancelled while it was being loaded.
+      if (cancelRequests.delete(task.id)) {
+        task.status = "cancelled";
+        await saveTask(task);
+        continue;
+      }
+      await runTask(task);
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+function schedule(taskId) {
+  pending.push(taskId);
+  drain().catch((error) =>
+    console.error("❌ Task queue error:", error.message)
+  );
+}
+
+/**
+ * Persist a new task and queue it for execution.
+ * @param {string} type A registered handler type.
+ * @param {object} params Plain-JSON parameters for the handler.
+ * @param {{createdBy?: string}} [details]
+ * @returns {Promise<object>} The queued task.
+ */
+async function enqueueTask(type, params, { createdBy = "anonymous" } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown task type: ${type}`);
+  }
+  const now = new Date().toISOString();
+  const task = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    createdAt: now,
+    updatedAt: now,
+    createdBy,
+    params,
+    progress: { total: null, processed: 0 },
+    processedKeys: [],
+    results: [],
+    state: {},
+    result: null,
+    error: null,
+    errorCode: null,
+  };
+  await saveTask(task);
+  schedule(task.id);
+  return task;
+}
+
+/**
+ * Cancel a task. A task still waiting in the queue is cancelled at once; a
+ * task the queue has picked up stops after the unit it is processing and
+ * keeps its partial results.
+ * @param {string} taskId
+ * @returns {Promise<object|null>} The task, or null if it does not exist.
+ */
+async function cancelTask(taskId) {
+  const task = await getTask(taskId);
+  if (!task || isFinished(task)) return task;
+
+  // Only tasks `drain` has not taken yet are safe to save here; the others
+  // are saved by the queue, which checks `cancelRequests`.
+  const index = pending.indexOf(task.id);
+  if (index !== -1) {
+    pending.splice(index, 1);
+    task.status = "cancelled";
+    return saveTask(task);
+  }
+  cancelRequests.add(task.id);
+  return task;
+}
+
+/**
+ * Queue a cancelled, failed or interrupted task again. Units it already
+ * processed are skipped.
+ * @param {string} taskId
+ * @returns {Promise<object|null>} The task, or null if it does not exist.
+ * @throws {ConflictError} If the task is still queued, running or completed.
+ */
+async function resumeTask(taskId) {
+  const task = await getTask(taskId);
+  if (!task) return null;
+  if (!isFinished(task) || task.status === "completed") {
+    throw new ConflictError(`Task is ${task.status} and cannot be resumed`, {
+      code: "TASK_NOT_RESUMABLE",
+    });
+  }
+  task.status = "queued";
+  task.result = null;
+  await saveTask(task);
+  schedule(task.id);
+  return task;
+}
+
+/**
+ * Listen for updates to a task. The listener receives the task record each
+ * time it is saved.
+ * @param {string} taskId
+ * @param {(task: object) => void} listener
+ * @returns {() => void} Unsubscribes the listener.
+ */
+function subscribe(taskId, listener) {
+  events.on(taskId, listener);
+  return () => events.off(taskId, listener);
+}
+
+/**
+ * Restore the queue after a restart: tasks that were running when the server
+ * stopped are marked "interrupted" (resume them explicitly), and tasks that
+ * were still queued are queued again.
+ * @returns {Promise<void>}
+ */
+async function recoverTasks() {
+  const tasks = await listTasks();
+  for (const task of tasks.reverse()) {
+    if (task.status === "running") {
+      task.status = "interrupted";
+      await saveTask(task);
+      console.warn(`⚠️ Task ${task.id} was interrupted by a restart.`);
+    } else if (task.status === "queued") {
+      schedule(task.id);
+    }
+  }
+}
+
+module.exports = {
+  registerHandler,
+  enqueueTask,
+  getTask,
+  listTasks,
+  cancelTask,
+  resumeTask,
+  subscribe,
+  isFinished,
+  recoverTasks,
+};
@@ -0,0 +1,202 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { startApi } = require("./helpers/standIns");
+
+const ADMIN_KEY = "admin-key-000000000001";
+const BLOG_KEY = "blog-editor-key-000001";
+const JWT_SECRET = "test-jwt-secret";
+
+let api;
+let blogEditor;
+before(async () => {
+  api = await startApi({
+    apiKeys: [
+      { name: "admin", key: ADMIN_KEY, role: "admin" },
+      {
+        name: "blog-editor",
+        key: BLOG_KEY,
+        role: "editor",
+        contentTypes: ["blog_post"],
+      },
+    ],
+    jwtSecret: JWT_SECRET,
+  });
+  blogEditor = api.as(BLOG_KEY);
+});
+after(() => api.close());
+
+function signJwt(claims) {
+  const encode = (part) =>
+    Buffer.from(JSON.stringify(part)).toString("base64url");
+  const signed = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", JWT_SECRET)
+    .update(signed)
+    .digest("base64url");
+  return `${signed}.${signature}`;
+}
+
+async function waitForTask(caller, taskId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await caller.get(`/tasks/${taskId}`);
+    if (!["queued", "running"].includes(body.status)) return body;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Task ${taskId} did not finish`);
+}
+
+function applyTitle(caller, contentTypeUid, entryUid, newValue) {
+  return caller.post("/apply", {
+    contentTypeUid,
+    changes: [{ entryUid, field: "title", newValue }],
+  });
+}
+
+test("jobs of other content types are hidden from allowlisted callers", async () => {
+  const authorJob = await applyTitle(
+    api,
+    "author",
+    "bltauthor0001",
+    "Ada Example"
+  );
+  const blogJob = await applyTitle(
+    blogEditor,
+    "blog_post",
+    "bltblogpost0003",
+    "A new title"
+  );
+  assert.equal(blogJob.status, 200);
+
+  const listed = await blogEditor.get("/jobs");
+  assert.deepEqual(
+    listed.body.jobs.map((job) => job.id),
+    [blogJob.body.jobId]
+  );
+  assert.equal((await api.get("/jobs")).body.total, 2);
+
+  const denied = await blogEditor.get(`/jobs/${authorJob.body.jobId}`);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, "CONTENT_TYPE_DENIED");
+  assert.equal(
+    (await blogEditor.get(`/jobs/${blogJob.body.jobId}`)).status,
+    200
+  );
+});
+
+test("tasks of other content types are hidden from allowlisted callers", async () => {
+  const { body: authorTask } = await api.post("/tasks/preview", {
+    contentTypeUid: "author",
+    entryUids: ["bltauthor0001"],
+    query: "Gemini",
+    replaceWith: "Claude",
+  });
+  const { body: blogTask } = await blogEditor.post("/tasks/preview", {
+    contentTypeUid: "blog_post",
+    entryUids: ["bltblogpost0003"],
+    query: "Gemini",
+    replaceWith: "Claude",
+  });
+  assert.ok(blogTask.taskId);
+
+  const listed = await blogEditor.get("/tasks");
+  assert.deepEqual(
+    listed.body.tasks.map((task) => task.id),
+    [blogTask.taskId]
+  );
+
+  for (const denied of [
+    await blogEditor.get(`/tasks/${authorTask.taskId}`),
+    await blogEditor.get(`/tasks/${authorTask.taskId}/events`),
+    await blogEditor.post(`/tasks/${authorTask.taskId}/cancel`),
+  ]) {
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, "CONTENT_TYPE_DENIED");
+  }
+  assert.equal((await blogEditor.get(`/tasks/${blogTask.taskId}`)).status, 200);
+
+  // Let both previews finish before the data directory is removed.
+  await waitForTask(api, authorTask.taskId);
+  await waitForTask(api, blogTask.taskId);
+});
+
+test("a key of the same length in other characters is refused", async () => {
+  // Latin-1 characters pass as header values but take two bytes in UTF-8.
+  const response = await api.as("é".repeat(ADMIN_KEY.length)).get("/jobs");
+  assert.equal(response.status, 401);
+  assert.equal(response.body.code, "INVALID_API_KEY");
+});
+
+test("allowlisted editors can approve runs of their recipes", async () => {
+  const { body: recipe } = await blogEditor.post("/recipes", {
+    name: "Blog rename",
+    contentTypeUids: ["blog_post"],
+    query: "Gemini",
+    wholeWord: true,
+    replaceWith: "Claude",
+  });
+  const { body: run } = await blogEditor.post(`/recipes/${recipe.id}/run`);
+  await waitForTask(blogEditor, run.taskId);
+  const approveUrl = `/recipes/${recipe.id}/runs/${run.runId}/approve`;
+
+  const denied = await blogEditor.post(approveUrl, {
+    changes: [
+      {
+        contentTypeUid: "author",
+        entryUid: "bltauthor0001",
+        field: "title",
+        newValue: "Claude",
+      },
+    ],
+  });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, "CONTENT_TYPE_DENIED");
+
+  const approved = await blogEditor.post(approveUrl, {});
+  assert.equal(approved.status, 202);
+  assert.equal(
+    (await waitForTask(blogEditor, approved.body.taskId)).status,
+    "completed"
+  );
+});
+
+test("a malformed content type allowlist is refused, not read as none", async () => {
+  const getJobs = (claims) =>
+    fetch(`${api.baseUrl}/jobs`, {
+      headers: { authorization: `Bearer ${signJwt(claims)}` },
+    });
+  assert.equal(
+    (await getJobs({ sub: "ok", role: "viewer", contentTypes: ["blog_post"] }))
+      .status,
+    200
+  );
+  const refused = await getJobs({
+    sub: "bad",
+    role: "viewer",
+    contentTypes: "blog_post",
+  });
+  assert.equal(refused.status, 401);
+  assert.equal((await refused.json()).code, "INVALID_TOKEN");
+
+  const loaded = spawnSync(
+    process.execPath,
+    ["-e", 'require("./middlewares/auth")'],
+    {
+      cwd: path.join(__dirname, ".."),
+      env: {
+        ...process.env,
+        AUTH_API_KEYS: JSON.stringify([
+          { key: ADMIN_KEY, role: "editor", contentTypes: "blog_post" },
+        ]),
+      },
+      encoding: "utf8",
+    }
+  );
+  assert.notEqual(loaded.status, 0);
+  assert.match(
+    loaded.stderr,
+    /AUTH_API_KEYS\[0\]\.contentTypes must be an array of content type uids/
+  );
+});
@@ -0,0 +1,160 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/standIns");
+
+let api;
+before(async () => {
+  api = await startApi();
+});
+after(() => api.close());
+
+async function previewChanges(entryUids, replaceWith = "Claude") {
+  const { body } = await api.get(
+    `/preview?${new URLSearchParams({
+      contentTypeUid: "blog_post",
+      query: "Gemini",
+      replaceWith,
+      entryUids,
+    })}`
+  );
+  return body.preview.flatMap((entry) =>
+    entry.changes.map((change) => ({ ...change, entryUid: entry.entryUid }))
+  );
+}
+
+function apply(changes, options = {}) {
+  return api.post("/apply", {
+    contentTypeUid: "blog_post",
+    query: "Gemini",
+    changes,
+    ...options,
+  });
+}
+
+test("applying a preview saves every change and bumps the version", async () => {
+  const changes = await previewChanges("bltblogpost0001");
+
+  const { status, body } = await apply(changes, { replaceWith: "Claude" });
+
+  assert.equal(status, 200);
+  assert.equal(body.totalUpdated, 1);
+  assert.equal(body.results[0].status, "updated");
+  assert.equal(body.results[0].changesApplied, 4);
+  assert.ok(body.jobId);
+
+  const scan = await api.get(
+    "/scan?contentTypeUid=blog_post&query=Claude&entryUids=bltblogpost0001"
+  );
+  assert.deepEqual(
+    scan.body.matches.map((match) => match.field),
+    ["title", "summary", "body", "keywords[0]"]
+  );
+
+  const preview = await api.get(
+    "/preview?contentTypeUid=blog_post&query=Claude&replaceWith=Gemini&entryUids=bltblogpost0001"
+  );
+  assert.equal(preview.body.preview[0].version, 3);
+});
+
+test("changes containing a banned term are skipped, the rest applied", async () => {
+  const [change] = await previewChanges("bltblogpost0002", "Bard");
+  const titleChange = {
+    entryUid: "bltblogpost0002",
+    field: "title",
+    newValue: "Ten tips for better release notes with Gemini",
+  };
+
+  // Without a query, changes are not checked against the current content.
+  const { body } = await apply([change, titleChange], { query: undefined });
+
+  const [result] = body.results;
+  assert.equal(result.status, "updated");
+  assert.equal(result.changesApplied, 1);
+  assert.deepEqual(result.skipped, [
+    { field: "body", reason: "banned term", terms: ["Bard"] },
+  ]);
+});
+
+test("a failing entry does not stop the others", async () => {
+  const [change] = await previewChanges("bltblogpost0002");
+  const missing = {
+    entryUid: "bltmissing0001",
+    field: "title",
+    newValue: "Claude",
+  };
+
+  const { status, body } = await apply([missing, change]);
+
+  assert.equal(status, 200);
+  assert.equal(body.totalFailed, 1);
+  assert.equal(body.totalUpdated, 1);
+  const byEntry = Object.fromEntries(
+    body.results.map((result) => [result.entryUid, result])
+  );
+  assert.equal(byEntry.bltmissing0001.status, "failed");
+  assert.equal(byEntry.bltmissing0001.errorCode, "ENTRY_NOT_FOUND");
+  assert.equal(byEntry.bltblogpost0002.status, "updated");
+});
+
+test("a field edited since the preview is reported as a conflict", async () => {
+  const change = {
+    entryUid: "bltauthor0001",
+    field: "title",
+    newValue: "Someone else",
+    originalValue: "Not the current name",
+  };
+
+  const { body } = await api.post("/apply", {
+    contentTypeUid: "author",
+    changes: [change],
+  });
+
+  assert.equal(body.totalConflicts, 1);
+  const [result] = body.results;
+  assert.equal(result.status, "conflict");
+  assert.equal(result.conflicts[0].reason, "field changed since the preview");
+});
+
+test("fields that no longer match the query are skipped", async () => {
+  const { body } = await apply([
+    {
+      entryUid: "bltblogpost0003",
+      field: "title",
+      newValue: "Claude",
+    },
+  ]);
+
+  assert.equal(body.results[0].status, "skipped");
+  assert.deepEqual(body.results[0].skipped, [
+    { field: "title", reason: "no longer matches" },
+  ]);
+});
+
+test("changes below a text field are skipped, not written", async () => {
+  const { body } = await apply([
+    {
+      entryUid: "bltblogpost0003",
+      field: "title.__proto__.__proto__",
+      newValue: '{"polluted":1}',
+    },
+  ]);
+
+  assert.equal(body.results[0].status, "skipped");
+  assert.deepEqual(body.results[0].skipped, [
+    { field: "title.__proto__.__proto__", reason: "protected field" },
+  ]);
+  assert.equal("a".polluted, undefined);
+});
+
+test("malformed changes are rejected before anything is saved", async () => {
+  const { status, body } = await apply([
+    { entryUid: "bltblogpost0003", field: "title" },
+  ]);
+
+  assert.equal(status, 400);
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.deepEqual(
+    body.details.errors.map((error) => error.path),
+    ["body.changes[0].newValue"]
+  );
+});
@@ -0,0 +1,126 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/standIns");
+
+let api;
+before(async () => {
+  api = await startApi();
+});
+after(() => api.close());
+
+async function previewAssetChanges(params) {
+  const { body } = await api.get(
+    `/preview/assets?${new URLSearchParams({
+      query: "Gemini",
+      replaceWith: "Claude",
+      ...params,
+    })}`
+  );
+  return body.preview.flatMap((asset) =>
+    asset.changes.map((change) => ({ ...change, assetUid: asset.assetUid }))
+  );
+}
+
+test("GET /scan/assets searches the metadata of one folder", async () => {
+  const { status, body } = await api.get(
+    "/scan/assets?query=Gemini&folder=bltfolderbrand01"
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.scannedAssets, 2);
+  assert.deepEqual(
+    body.matches.map((match) => [match.assetUid, match.field]),
+    [
+      ["bltasset0001", "title"],
+      ["bltasset0001", "description"],
+      ["bltasset0001", "alt_text"],
+      ["bltasset0001", "tags[0]"],
+    ]
+  );
+  assert.equal(body.matches[2].fieldLabel, "Alt text");
+
+  const everywhere = await api.get("/scan/assets?query=Gemini&fields=title");
+  assert.equal(everywhere.body.scannedAssets, 3);
+  assert.equal(everywhere.body.totalMatches, 1);
+});
+
+test("GET /preview/assets reports changes in the entry diff format", async () => {
+  const { status, body } = await api.get(
+    "/preview/assets?query=Gemini&replaceWith=Claude&assetUids=bltasset0002"
+  );
+
+  assert.equal(status, 200);
+  const [asset] = body.preview;
+  assert.equal(asset.assetUid, "bltasset0002");
+  assert.equal(asset.version, 1);
+  assert.deepEqual(asset.changes, [
+    {
+      field: "description",
+      fieldName: "Description",
+      fieldLabel: "Description",
+      kind: "multiline",
+      before: "The team at the Gemini launch event.",
+      after: "The team at the Claude launch event.",
+      originalValue: "The team at the Gemini launch event.",
+      newValue: "The team at the Claude launch event.",
+      source: "literal",
+      version: 1,
+      brandkit_approved: true,
+    },
+  ]);
+});
+
+test("POST /apply/assets saves the metadata and can be rolled back", async () => {
+  const changes = await previewAssetChanges({ folder: "bltfolderbrand01" });
+
+  const { status, body } = await api.post("/apply/assets", {
+    query: "Gemini",
+    replaceWith: "Claude",
+    changes,
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.totalUpdated, 1);
+  assert.equal(body.results[0].changesApplied, 4);
+  const preview = await api.get(
+    "/preview/assets?query=Claude&replaceWith=Gemini&assetUids=bltasset0001"
+  );
+  assert.equal(preview.body.preview[0].version, 3);
+  assert.equal(preview.body.preview[0].changes.length, 4);
+
+  const job = await api.get(`/jobs/${body.jobId}`);
+  assert.equal(job.body.target, "assets");
+  const rollback = await api.post(`/jobs/${body.jobId}/rollback`, {});
+  assert.equal(rollback.body.totalRolledBack, 1);
+  assert.equal(rollback.body.results[0].assetUid, "bltasset0001");
+  const scan = await api.get(
+    "/scan/assets?query=Claude&assetUids=bltasset0001"
+  );
+  assert.equal(scan.body.totalMatches, 0);
+});
+
+test("asset changes with banned terms are skipped, missing assets fail", async () => {
+  const [change] = await previewAssetChanges({
+    assetUids: "bltasset0002",
+    replaceWith: "Bard",
+  });
+  assert.deepEqual(change.bannedTerms, ["Bard"]);
+
+  const { body } = await api.post("/apply/assets", {
+    query: "Gemini",
+    changes: [
+      { ...change, assetUid: "bltasset0002" },
+      { assetUid: "bltmissing0001", field: "title", newValue: "Claude" },
+    ],
+  });
+
+  const byAsset = Object.fromEntries(
+    body.results.map((result) => [result.assetUid, result])
+  );
+  assert.equal(byAsset.bltasset0002.status, "skipped");
+  assert.deepEqual(byAsset.bltasset0002.skipped, [
+    { field: "description", reason: "banned term", terms: ["Bard"] },
+  ]);
+  assert.equal(byAsset.bltmissing0001.status, "failed");
+  assert.equal(byAsset.bltmissing0001.errorCode, "ASSET_NOT_FOUND");
+});
@@ -0,0 +1,25 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/standIns");
+
+let api;
+before(async () => {
+  api = await startApi();
+});
+after(() => api.close());
+
+test("brand rules from the Brandkit API cannot be edited locally", async () => {
+  const before = await api.get("/brandkit/banned-terms");
+
+  for (const refused of [
+    await api.post("/brandkit/banned-terms", { term: "Gemini" }),
+    await api.delete("/brandkit/banned-terms/Bard"),
+    await api.post("/brandkit/import", { bannedTerms: [{ term: "Gemini" }] }),
+  ]) {
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, "BRANDKIT_READ_ONLY");
+  }
+
+  assert.deepEqual((await api.get("/brandkit/banned-terms")).body, before.body);
+  assert.equal((await api.get("/brandkit/versions")).body.total, 0);
+});
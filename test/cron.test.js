@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSchedule, nextRun } = require("../utils/cron");
+
+const next = (expression, after) =>
+  nextRun(parseSchedule(expression), new Date(after)).toISOString();
+
+test("nextRun finds the next matching minute, in UTC", () => {
+  assert.equal(
+    next("0 6 * * *", "2026-03-02T05:59:30Z"),
+    "2026-03-02T06:00:00.000Z"
+  );
+  // Never the time it is asked from.
+  assert.equal(
+    next("0 6 * * *", "2026-03-02T06:00:00Z"),
+    "2026-03-03T06:00:00.000Z"
+  );
+  assert.equal(
+    next("15,45 9-17 * * *", "2026-03-02T17:50:00Z"),
+    "2026-03-03T09:15:00.000Z"
+  );
+  assert.equal(
+    next("0 0/6 * * *", "2026-03-02T07:00:00Z"),
+    "2026-03-02T12:00:00.000Z"
+  );
+});
+
+test("nextRun handles weekdays, month ends and shorthands", () => {
+  // 2026-03-06 is a Friday.
+  assert.equal(
+    next("30 8 * * 1-5", "2026-03-06T09:00:00Z"),
+    "2026-03-09T08:30:00.000Z"
+  );
+  assert.equal(
+    next("0 0 * * 7", "2026-03-06T09:00:00Z"),
+    "2026-03-08T00:00:00.000Z"
+  );
+  assert.equal(
+    next("0 12 31 * *", "2026-04-01T00:00:00Z"),
+    "2026-05-31T12:00:00.000Z"
+  );
+  assert.equal(
+    next("@monthly", "2026-12-15T00:00:00Z"),
+    "2027-01-01T00:00:00.000Z"
+  );
+  // Both day fields restricted: either one matches.
+  assert.equal(
+    next("0 0 13 * 5", "2026-03-01T00:00:00Z"),
+    "2026-03-06T00:00:00.000Z"
+  );
+});
+
+test("parseSchedule rejects malformed schedules and ones that never run", () => {
+  for (const expression of [
+    "",
+    "0 6 * *",
+    "60 * * * *",
+    "0 6 * * mon",
+    "5-1 * * * *",
+    "*/0 * * * *",
+    "0 0 30 2 *",
+  ]) {
+    assert.throws(
+      () => parseSchedule(expression),
+      (error) => error.code === "INVALID_SCHEDULE",
+      expression
+    );
+  }
+});
@@ -0,0 +1,24 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { toCsv, parseCsv } = require("../utils/csv");
+
+test("cells a spreadsheet would run as formulas are neutralized", () => {
+  const rows = [
+    { term: '=HYPERLINK("http://example.com")', reason: "+1" },
+    { term: "-ish", reason: "@mention" },
+    { term: "\tTabbed", reason: "Plain, with a comma" },
+  ];
+  const csv = toCsv(rows, ["term", "reason"]);
+
+  assert.equal(
+    csv,
+    [
+      "term,reason",
+      `"'=HYPERLINK(""http://example.com"")",'+1`,
+      "'-ish,'@mention",
+      `'\tTabbed,"Plain, with a comma"`,
+      "",
+    ].join("\r\n")
+  );
+  assert.deepEqual(parseCsv(csv), rows);
+});
@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  sanitizeObject,
+  formatValueForDiff,
+  getDifferences,
+} = require("../utils/entryDiff");
+
+const target = (path, displayName, kind, value) => ({
+  path,
+  displayName,
+  label: displayName,
+  kind,
+  value,
+});
+
+const targets = [
+  target("title", "Title", "text", "Gemini tips"),
+  target("body", "Body", "html", "<p>Use <b>Gemini</b></p>"),
+  target("summary", "Summary", "text", "Short"),
+];
+
+test("getDifferences reports changed fields only, rich text as visible text", () => {
+  const literal = {
+    title: "Claude tips",
+    body: "<p>Use <b>Claude</b></p>",
+    summary: "Short",
+  };
+
+  const diffs = getDifferences(targets, literal, literal);
+
+  assert.deepEqual(
+    diffs.map((diff) => diff.field),
+    ["title", "body"]
+  );
+  assert.deepEqual(diffs[1], {
+    field: "body",
+    fieldName: "Body",
+    fieldLabel: "Body",
+    kind: "html",
+    before: "Use Gemini",
+    after: "Use Claude",
+    source: "literal",
+    newValue: "<p>Use <b>Claude</b></p>",
+    originalValue: "<p>Use <b>Gemini</b></p>",
+  });
+});
+
+test("getDifferences marks model refinements and keeps the literal result", () => {
+  const literal = { title: "Claude tips", body: targets[1].value };
+  const refined = { title: "Tips for Claude", body: targets[1].value };
+
+  const [diff] = getDifferences(targets, refined, literal);
+
+  assert.equal(diff.source, "model");
+  assert.equal(diff.after, "Tips for Claude");
+  assert.equal(diff.literalAfter, "Claude tips");
+});
+
+test("getDifferences labels changes inside modular blocks", () => {
+  const heading = {
+    ...target("sections[@cs1].text_block.heading", "Heading", "text", "Why"),
+    label: "Sections › Text › Heading",
+    blockType: "text_block",
+  };
+  const entry = { sections: [{ text_block: { _metadata: { uid: "cs1" } } }] };
+  entry.sections[0].text_block.heading = "Why not";
+
+  const [diff] = getDifferences([heading], entry, entry);
+
+  assert.equal(diff.fieldLabel, "Sections › Text › Heading");
+  assert.equal(diff.blockType, "text_block");
+  assert.equal(diff.newValue, "Why not");
+});
+
+test("formatValueForDiff labels empty values", () => {
+  assert.equal(formatValueForDiff(undefined), "(not set)");
+  assert.equal(formatValueForDiff(null), "(empty)");
+  assert.equal(formatValueForDiff("  "), "(empty string)");
+  assert.equal(formatValueForDiff([]), "[]");
+  assert.equal(formatValueForDiff({ a: 1 }), '{\n  "a": 1\n}');
+});
+
+test("sanitizeObject drops functions and survives cycles", () => {
+  const entry = { title: "Post", update() {}, tags: ["a"] };
+  entry.self = entry;
+
+  const clean = sanitizeObject(entry);
+
+  assert.equal(clean.update, undefined);
+  assert.deepEqual(clean.tags, ["a"]);
+  assert.equal(clean.self, clean);
+  assert.notEqual(clean.tags, entry.tags);
+});
@@ -0,0 +1,108 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  collectTextFields,
+  collectReferences,
+  isTargetedPath,
+} = require("../utils/fieldTargets");
+const landingPage = require("../fixtures/content_types/landing_page.json");
+const blogPost = require("../fixtures/content_types/blog_post.json");
+
+const landingEntry = {
+  title: "Launch",
+  url: "/launch",
+  hero: { headline: "Meet Gemini", subheadline: "Faster drafts" },
+  sections: [
+    { text_block: { heading: "Why", content: "Because." } },
+    {
+      cta: {
+        label: "Try it",
+        link: { title: "Try", href: "/try" },
+        _metadata: { uid: "cs2" },
+      },
+    },
+  ],
+  featured_post: [{ uid: "bltblogpost0002", _content_type_uid: "blog_post" }],
+};
+
+test("collectTextFields walks groups and modular blocks", () => {
+  const targets = collectTextFields(landingEntry, landingPage.schema);
+
+  assert.deepEqual(
+    targets.map((target) => [target.path, target.kind]),
+    [
+      ["title", "text"],
+      ["hero.headline", "text"],
+      ["hero.subheadline", "multiline"],
+      ["sections[0].text_block.heading", "text"],
+      ["sections[0].text_block.content", "markdown"],
+      // Blocks with a uid are addressed by it rather than by position.
+      ["sections[@cs2].cta.label", "text"],
+    ]
+  );
+  const label = targets[5];
+  assert.equal(label.indexPath, "sections[1].cta.label");
+  assert.equal(label.label, "Sections › Call to action › Label");
+  assert.equal(label.blockType, "cta");
+});
+
+test("collectReferences lists referenced entries with their content type", () => {
+  assert.deepEqual(collectReferences(landingEntry, landingPage.schema), [
+    {
+      path: "featured_post",
+      entryUid: "bltblogpost0002",
+      contentTypeUid: "blog_post",
+    },
+  ]);
+});
+
+test("collectTextFields skips system fields and references", () => {
+  const entry = {
+    title: "Post",
+    url: "/post",
+    body: "<p>Hi</p>",
+    author: [{ uid: "bltauthor0001", _content_type_uid: "author" }],
+    keywords: ["a", "b"],
+  };
+
+  assert.deepEqual(
+    collectTextFields(entry, blogPost.schema).map((target) => target.path),
+    ["title", "body", "keywords[0]", "keywords[1]"]
+  );
+});
+
+test("collectTextFields applies include and exclude filters", () => {
+  const targets = collectTextFields(landingEntry, landingPage.schema, {
+    include: ["hero"],
+    exclude: ["hero.subheadline"],
+  });
+  assert.deepEqual(
+    targets.map((target) => target.path),
+    ["hero.headline"]
+  );
+});
+
+test("isTargetedPath accepts targeted fields and JSON RTE nodes in them", () => {
+  const targets = [
+    { path: "body", kind: "json_rte" },
+    { path: "title", kind: "text" },
+    { path: "keywords[0]", kind: "text" },
+    {
+      path: "sections[@cs2].cta.label",
+      indexPath: "sections[1].cta.label",
+      kind: "text",
+    },
+  ];
+
+  assert.ok(isTargetedPath("body", targets));
+  assert.ok(isTargetedPath("sections[@cs2].cta.label", targets));
+  assert.ok(isTargetedPath("sections[1].cta.label", targets));
+  assert.ok(isTargetedPath("body.children[0].text", targets));
+  assert.ok(isTargetedPath("body.children[0].children[2]", targets));
+  assert.ok(!isTargetedPath("bodyline", targets));
+  assert.ok(!isTargetedPath("keywords[1]", targets));
+  assert.ok(!isTargetedPath("title.length", targets));
+  assert.ok(!isTargetedPath("title.__proto__.__proto__", targets));
+  assert.ok(!isTargetedPath("body.children[0].__proto__", targets));
+  assert.ok(!isTargetedPath("body.text.children[0]", targets));
+});
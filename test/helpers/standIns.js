@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Starts the API against local stand-ins for the services it
+ * depends on:
+ * - Contentstack: the file content store over fixtures/, copied to a
+ *   temporary DATA_DIR so every test file starts from the same content
+ *   (as is brandkit.json);
+ * - Brandkit: an HTTP server answering GET /rules/:id with `brandkit`;
+ * - the model: a fake provider whose answers the test decides.
+ * Configuration is read when modules load, so call `startApi` once per test
+ * file (node --test runs each file in its own process).
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+// The brand rules the tests run with.
+const BRANDKIT = {
+  meta: { name: "Test Brandkit" },
+  approvedTerms: [],
+  bannedTerms: [{ term: "Bard", reason: "Retired product name" }],
+  voiceAndTone: {
+    brandVoice: {
+      personality: "Helpful",
+      tone: { default: "friendly and direct" },
+      dos: ["Be concise"],
+      donts: [],
+    },
+  },
+  rules: [],
+};
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve(`http://127.0.0.1:${server.address().port}`)
+    );
+  });
+}
+
+function startBrandkitApi(brandkit) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url });
+    if (req.method === "GET" && req.url.startsWith("/rules/")) {
+      res.writeHead(200, { "content-type": "application/json" });
+      return res.end(JSON.stringify(brandkit));
+    }
+    res.writeHead(404).end();
+  });
+  return { server, requests };
+}
+
+/**
+ * A model provider answering smart mode prompts. `answer` gets the segments
+ * the prompt asks to refine (id -> replaced text) and returns the response:
+ * an object (sent as JSON) or a raw string. It may throw to fail the call.
+ * @param {(segments: object, prompt: object) => object|string} answer
+ */
+function createFakeModel(answer) {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      name: "fake",
+      model: "fake-model",
+      async generate(prompt) {
+        calls.push(prompt);
+        const [, segmentsJson] = prompt.userPrompt.split("SEGMENTS:\n");
+        const response = answer(
+          segmentsJson ? JSON.parse(segmentsJson) : {},
+          prompt
+        );
+        return {
+          text:
+            typeof response === "string" ? response : JSON.stringify(response),
+          usage: { inputTokens: 100, outputTokens: 20 },
+        };
+      },
+    },
+  };
+}
+
+/**
+ * Start the API. Returns its `baseUrl`, helpers to call it and the stand-ins'
+ * state.
+ * With `apiKeys` (AUTH_API_KEYS entries) authentication is on: `get`, `post`,
+ * `put` and `delete` send the first key, and `as(key)` returns the same
+ * helpers sending another. `jwtSecret` turns on HS256 tokens.
+ * @param {{brandkit?: object, apiKeys?: object[], jwtSecret?: string}} [options]
+ */
+async function startApi({
+  brandkit = BRANDKIT,
+  apiKeys = [],
+  jwtSecret = "",
+} = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "magicreplace-test-"));
+  const brandkitFile = path.join(dataDir, "brandkit.json");
+  fs.copyFileSync(
+    path.join(__dirname, "..", "..", "brandkit.json"),
+    brandkitFile
+  );
+  const brandkitApi = startBrandkitApi(brandkit);
+  const brandkitUrl = await listen(brandkitApi.server);
+
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    CONTENT_STORE: "file",
+    CONTENT_FIXTURES_DIR: path.join(__dirname, "..", "..", "fixtures"),
+    BRANDKIT_API_URL: brandkitUrl,
+    BRANDKIT_API_KEY: "test-key",
+    BRANDKIT_ID: "test",
+    BRANDKIT_FILE: brandkitFile,
+    LLM_PROVIDER: "mock",
+    LLM_CACHE_TTL_MS: "0",
+    LLM_MAX_RETRIES: "0",
+    // Keep settings from a local .env out of the tests.
+    AUTH_API_KEYS: apiKeys.length > 0 ? JSON.stringify(apiKeys) : "",
+    AUTH_JWT_SECRET: jwtSecret,
+    AUTH_JWT_PUBLIC_KEY: "",
+    AUTH_JWKS_URL: "",
+  });
+
+  const app = require("../../app");
+  const llm = require("../../services/llm");
+  const server = http.createServer(app);
+  const baseUrl = await listen(server);
+
+  async function request(key, method, url, body) {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(body ? { "content-type": "application/json" } : {}),
+        ...(key ? { "x-api-key": key } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  const as = (key) => ({
+    get: (url) => request(key, "GET", url),
+    post: (url, body) => request(key, "POST", url, body),
+    put: (url, body) => request(key, "PUT", url, body),
+    delete: (url) => request(key, "DELETE", url),
+  });
+
+  return {
+    baseUrl,
+    dataDir,
+    brandkitRequests: brandkitApi.requests,
+    ...as(apiKeys[0]?.key),
+    as,
+    /** Answer model calls with `answer` (see createFakeModel). */
+    useModel(answer) {
+      const model = createFakeModel(answer);
+      llm.setProvider(model.provider);
+      return model;
+    },
+    async close() {
+      llm.setProvider(null);
+      await new Promise((resolve) => server.close(resolve));
+      await new Promise((resolve) => brandkitApi.server.close(resolve));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { BRANDKIT, startApi };
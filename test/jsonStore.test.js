@@ -0,0 +1,19 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readJson, writeJson } = require("../utils/jsonStore");
+
+test("concurrent writes to one file all land whole", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "magicreplace-json-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, "task.json");
+
+  const values = Array.from({ length: 20 }, (_, i) => ({ write: i }));
+  await Promise.all(values.map((value) => writeJson(filePath, value)));
+
+  const saved = await readJson(filePath);
+  assert.ok(values.some((value) => value.write === saved.write));
+  assert.deepEqual(fs.readdirSync(dir), ["task.json"]);
+});
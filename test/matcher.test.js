@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Read when the config loads.
+process.env.REGEX_TIMEOUT_MS = "100";
+const { createMatcher } = require("../utils/matcher");
+
+const pattern = (query) => createMatcher({ query, regex: true });
+
+test("patterns that backtrack catastrophically are refused", () => {
+  for (const query of [
+    "((a+))+$",
+    "(.*a){12}$",
+    "(a+)+",
+    "(\\w*\\s?)*",
+    "(a|a)*$",
+    "(a|ab)*c",
+  ]) {
+    assert.throws(() => pattern(query), /catastrophic backtracking/, query);
+  }
+});
+
+test("ordinary patterns are accepted", () => {
+  for (const query of [
+    "Gemini",
+    "colou?r",
+    "(?:Gemini|Bard)+",
+    "\\d{3}-\\d{4}",
+    "(\\d{3}-){2}",
+    "(?<year>\\d{4})-(?<month>\\d\\d)",
+    "(?<=\\s)Gemini",
+    "[(]a+[)]+",
+  ]) {
+    assert.doesNotThrow(() => pattern(query), query);
+  }
+  assert.equal(
+    createMatcher({
+      query: "Gem(ini)",
+      regex: true,
+      replaceWith: "C$1",
+    }).replace("Gemini and Gemini"),
+    "Cini and Cini"
+  );
+});
+
+test("a pattern that runs too long fails instead of blocking", () => {
+  const slow = pattern("\\w*\\w*\\w*\\w*\\w*\\w*!");
+  const started = Date.now();
+  assert.throws(() => slow.test("a".repeat(200)), { code: "REGEX_TIMEOUT" });
+  assert.throws(() => slow.findMatches("a".repeat(200)), {
+    code: "REGEX_TIMEOUT",
+  });
+  assert.ok(Date.now() - started < 2000);
+});
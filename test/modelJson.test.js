@@ -0,0 +1,28 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeModelResponse, parseModelJson } = require("../utils/modelJson");
+
+test("sanitizeModelResponse strips fences and surrounding prose", () => {
+  assert.equal(
+    sanitizeModelResponse('```json\n{"s1": "a"}\n```'),
+    '{"s1": "a"}'
+  );
+  assert.equal(
+    sanitizeModelResponse('Here you go: ["a", "b"] Hope this helps!'),
+    '["a", "b"]'
+  );
+});
+
+test("parseModelJson repairs small syntax errors", () => {
+  assert.deepEqual(
+    parseModelJson("{'s1': 'Claude helps', 's2': 'teams',}", { quiet: true }),
+    { s1: "Claude helps", s2: "teams" }
+  );
+});
+
+test("parseModelJson returns null for text that is not JSON", () => {
+  assert.equal(
+    parseModelJson("I cannot help with that.", { quiet: true }),
+    null
+  );
+});
@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { getNestedValue, setNestedValue } = require("../utils/objectPath");
+
+const entry = () => ({
+  title: "Hello",
+  sections: [{ text_block: { heading: "One" } }, { cta: { label: "Go" } }],
+});
+
+test("getNestedValue reads dotted and indexed paths", () => {
+  assert.equal(
+    getNestedValue(entry(), "sections[0].text_block.heading"),
+    "One"
+  );
+  assert.equal(getNestedValue(entry(), "sections[1].cta.label"), "Go");
+  assert.equal(getNestedValue(entry(), "sections[5].cta.label"), undefined);
+});
+
+test("setNestedValue writes in place and refuses missing parents", (t) => {
+  t.mock.method(console, "error", () => {});
+  const data = entry();
+
+  assert.equal(setNestedValue(data, "sections[1].cta.label", "Start"), true);
+  assert.equal(data.sections[1].cta.label, "Start");
+  assert.equal(setNestedValue(data, "hero.headline", "Hi"), false);
+  assert.equal(data.hero, undefined);
+});
+
+test("paths that could reach a prototype are refused", (t) => {
+  t.mock.method(console, "error", () => {});
+  const data = entry();
+
+  assert.equal(getNestedValue(data, "title.constructor"), undefined);
+  assert.equal(getNestedValue(data, "sections.__proto__"), undefined);
+  assert.equal(
+    setNestedValue(data, "title.__proto__.__proto__", { polluted: 1 }),
+    false
+  );
+  assert.equal(setNestedValue(data, "constructor.prototype.x", 1), false);
+  assert.equal({}.polluted, undefined);
+});
+
+test("stable keys find blocks by their _metadata.uid, wherever they are", (t) => {
+  t.mock.method(console, "error", () => {});
+  const data = {
+    sections: [
+      { cta: { label: "Go", _metadata: { uid: "cs2" } } },
+      { text_block: { heading: "One", _metadata: { uid: "cs1" } } },
+    ],
+  };
+
+  assert.equal(
+    getNestedValue(data, "sections[@cs1].text_block.heading"),
+    "One"
+  );
+  assert.equal(setNestedValue(data, "sections[@cs2].cta.label", "Start"), true);
+  assert.equal(data.sections[0].cta.label, "Start");
+  assert.equal(getNestedValue(data, "sections[@cs9].cta.label"), undefined);
+  assert.equal(setNestedValue(data, "sections[@cs9].cta.label", "x"), false);
+});
@@ -0,0 +1,132 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/standIns");
+
+let api;
+before(async () => {
+  api = await startApi();
+});
+after(() => api.close());
+
+function previewUrl(params) {
+  return `/preview?${new URLSearchParams({
+    contentTypeUid: "blog_post",
+    query: "Gemini",
+    replaceWith: "Claude",
+    ...params,
+  })}`;
+}
+
+test("traditional preview replaces literally and keeps rich text markup", async () => {
+  const { status, body } = await api.get(
+    previewUrl({ entryUids: "bltblogpost0001", preserveCase: "true" })
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.mode, "traditional");
+  const [entry] = body.preview;
+  assert.equal(entry.version, 2);
+  const changes = Object.fromEntries(
+    entry.changes.map((change) => [change.field, change])
+  );
+  assert.equal(changes.title.after, "Getting started with Claude");
+  assert.equal(changes["keywords[0]"].newValue, "claude");
+  assert.equal(
+    changes.body.newValue,
+    "<p>With <strong>Claude</strong> you can draft, review and publish in minutes. CLAUDE is available on every plan.</p>"
+  );
+  assert.ok(entry.changes.every((change) => change.source === "literal"));
+  assert.ok(entry.changes.every((change) => change.brandkit_approved));
+  assert.equal(api.brandkitRequests[0].url, "/rules/test");
+});
+
+test("preview flags replacements that contain a banned term", async () => {
+  const { body } = await api.get(
+    previewUrl({
+      entryUids: "bltblogpost0002",
+      replaceWith: "Bard",
+      fields: "body",
+    })
+  );
+
+  const [change] = body.preview[0].changes;
+  assert.equal(change.field, "body");
+  assert.equal(change.brandkit_approved, false);
+});
+
+test("preview skips entries without matches", async () => {
+  const { body } = await api.get(previewUrl({ entryUids: "bltblogpost0003" }));
+  assert.equal(body.totalChanges, 0);
+  assert.deepEqual(body.preview, []);
+});
+
+test("smart preview uses the model's refinement of the changed segments", async () => {
+  const model = api.useModel((segments) =>
+    Object.fromEntries(
+      Object.entries(segments).map(([id, text]) => [
+        id,
+        text.replace("Claude helps your team", "Claude helps teams"),
+      ])
+    )
+  );
+
+  const { status, body } = await api.get(
+    previewUrl({ entryUids: "bltblogpost0001", smart: "true" })
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.mode, "smart");
+  assert.equal(model.calls.length, 1);
+  assert.match(model.calls[0].systemPrompt, /"Gemini"/);
+  const summary = body.preview[0].changes.find(
+    (change) => change.field === "summary"
+  );
+  assert.equal(summary.source, "model");
+  assert.equal(
+    summary.newValue,
+    "Claude helps teams write faster.\nThis guide shows how."
+  );
+  assert.equal(
+    summary.literalAfter,
+    "Claude helps your team write faster.\nThis guide shows how."
+  );
+  assert.equal(body.usage.calls, 1);
+});
+
+test("smart preview falls back to the literal replace when the model fails", async () => {
+  api.useModel(() => {
+    throw Object.assign(new Error("model unavailable"), { status: 500 });
+  });
+
+  const { status, body } = await api.get(
+    previewUrl({ entryUids: "bltblogpost0002", smart: "true" })
+  );
+
+  assert.equal(status, 200);
+  const [entry] = body.preview;
+  assert.ok(entry.smartFallback);
+  assert.ok(entry.changes.every((change) => change.source === "literal"));
+  assert.match(entry.changes[0].newValue, /drafts them with Claude/);
+});
+
+test("smart preview ignores a response that does not answer the segments", async () => {
+  api.useModel(() => '```json\n{"unexpected": "key"}\n```');
+
+  const { body } = await api.get(
+    previewUrl({ entryUids: "bltblogpost0002", smart: "true" })
+  );
+
+  assert.match(body.preview[0].smartFallback, /keys unexpected/);
+});
+
+test("preview validates its parameters", async () => {
+  const { status, body } = await api.get(
+    "/preview?contentTypeUid=blog_post&query=Gemini&smart=yes&suggestions=9"
+  );
+
+  assert.equal(status, 400);
+  assert.deepEqual(
+    body.details.errors.map((error) => error.path),
+    ["query.entryUids", "query.replaceWith", "query.smart", "query.suggestions"]
+  );
+});
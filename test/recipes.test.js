@@ -0,0 +1,194 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/standIns");
+
+let api;
+before(async () => {
+  api = await startApi();
+});
+after(() => api.close());
+
+const RECIPE = {
+  name: "Gemini to Claude",
+  contentTypeUids: ["blog_post", "author"],
+  query: "Gemini",
+  wholeWord: true,
+  replaceWith: "Claude",
+};
+
+async function waitForTask(taskId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await api.get(`/tasks/${taskId}`);
+    if (!["queued", "running"].includes(body.status)) return body;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Task ${taskId} did not finish`);
+}
+
+test("recipes are saved, listed, updated and deleted", async () => {
+  const created = await api.post("/recipes", {
+    ...RECIPE,
+    name: "Weekly rename",
+    schedule: { cron: "0 6 * * 1" },
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.schedule, { cron: "0 6 * * 1", enabled: true });
+  assert.equal(new Date(created.body.nextRunAt).getUTCDay(), 1);
+
+  const duplicate = await api.post("/recipes", {
+    ...RECIPE,
+    name: "weekly RENAME",
+  });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.code, "RECIPE_NAME_TAKEN");
+
+  const badSchedule = await api.post("/recipes", {
+    ...RECIPE,
+    name: "Never",
+    schedule: { cron: "0 0 30 2 *" },
+  });
+  assert.equal(badSchedule.status, 400);
+  assert.equal(badSchedule.body.code, "INVALID_SCHEDULE");
+
+  const { id } = created.body;
+  await api.post(`/recipes/${id}/run`);
+  const { body: ran } = await api.get(`/recipes/${id}`);
+  const updated = await api.put(`/recipes/${id}`, {
+    ...RECIPE,
+    wholeWord: undefined,
+    name: "Weekly rename",
+    description: "No schedule any more",
+  });
+  assert.equal(updated.body.description, "No schedule any more");
+  assert.equal(updated.body.wholeWord, undefined);
+  assert.ok(ran.lastRunAt);
+  assert.equal(updated.body.lastRunAt, ran.lastRunAt);
+  assert.equal(updated.body.runs.length, 1);
+  assert.equal(updated.body.schedule, null);
+  assert.equal(updated.body.nextRunAt, null);
+  assert.equal(updated.body.createdAt, created.body.createdAt);
+
+  const listed = await api.get("/recipes");
+  assert.deepEqual(
+    listed.body.recipes.map((recipe) => recipe.name),
+    ["Weekly rename"]
+  );
+
+  assert.equal((await api.delete(`/recipes/${id}`)).status, 204);
+  assert.equal((await api.get(`/recipes/${id}`)).body.code, "RECIPE_NOT_FOUND");
+});
+
+test("a recipe run previews every content type and waits for approval", async () => {
+  const { body: recipe } = await api.post("/recipes", RECIPE);
+
+  const run = await api.post(`/recipes/${recipe.id}/run`);
+  assert.equal(run.status, 202);
+  const task = await waitForTask(run.body.taskId);
+  assert.equal(task.status, "completed");
+  assert.deepEqual(
+    task.result.contentTypes.map((ct) => ct.contentTypeUid),
+    ["blog_post", "author"]
+  );
+  assert.deepEqual(
+    [...new Set(task.result.preview.map((entry) => entry.contentTypeUid))],
+    ["blog_post", "author"]
+  );
+
+  // Nothing is saved until the run is approved.
+  const before = await api.get(
+    "/scan?contentTypeUid=author&query=Claude&entryUids=bltauthor0001"
+  );
+  assert.equal(before.body.totalMatches, 0);
+  const { body: pending } = await api.get(`/recipes/${recipe.id}`);
+  assert.equal(pending.runs[0].approval, "pending");
+  assert.equal(pending.runs[0].totalChanges, task.result.totalChanges);
+
+  const approved = await api.post(
+    `/recipes/${recipe.id}/runs/${run.body.runId}/approve`,
+    {}
+  );
+  assert.equal(approved.status, 202);
+  const applyTask = await waitForTask(approved.body.taskId);
+  assert.equal(applyTask.status, "completed");
+  assert.ok(applyTask.result.totalUpdated > 0);
+  const after = await api.get(
+    "/scan?contentTypeUid=author&query=Claude&entryUids=bltauthor0001"
+  );
+  assert.ok(after.body.totalMatches > 0);
+
+  const again = await api.post(
+    `/recipes/${recipe.id}/runs/${run.body.runId}/approve`,
+    {}
+  );
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, "RUN_ALREADY_DECIDED");
+});
+
+test("scheduled recipes run once when due and can be dismissed", async () => {
+  const { runDueRecipes } = require("../services/recipeScheduler");
+  const { body: recipe } = await api.post("/recipes", {
+    ...RECIPE,
+    name: "Daily landing pages",
+    contentTypeUids: ["landing_page"],
+    schedule: { cron: "@daily" },
+  });
+
+  const due = new Date(new Date(recipe.nextRunAt).getTime() + 60000);
+  const started = await runDueRecipes(due);
+  assert.equal(started.length, 1);
+  assert.equal(started[0].params.trigger, "schedule");
+  assert.deepEqual(await runDueRecipes(due), []);
+
+  const task = await waitForTask(started[0].id);
+  assert.equal(task.result.trigger, "schedule");
+  assert.equal(task.result.preview[0].entryUid, "bltlanding0001");
+
+  const dismissed = await api.post(
+    `/recipes/${recipe.id}/runs/${task.id}/dismiss`
+  );
+  assert.equal(dismissed.body.approval, "dismissed");
+  const { body } = await api.get(`/recipes/${recipe.id}`);
+  assert.equal(body.runs[0].approval, "dismissed");
+  assert.equal(
+    body.nextRunAt,
+    new Date(Date.parse(recipe.nextRunAt) + 86400000).toISOString()
+  );
+});
+
+test("runs are recorded on the stored recipe, not a stale copy", async () => {
+  const recipeService = require("../services/recipeService");
+  const { body: created } = await api.post("/recipes", {
+    ...RECIPE,
+    name: "Landing pages",
+    contentTypeUids: ["landing_page"],
+  });
+  const stale = await recipeService.getRecipe(created.id);
+
+  await api.put(`/recipes/${created.id}`, {
+    ...RECIPE,
+    name: "Landing pages",
+    contentTypeUids: ["landing_page"],
+    description: "Edited meanwhile",
+  });
+  const task = await recipeService.runRecipe(stale, {
+    trigger: "schedule",
+    createdBy: "scheduler",
+  });
+  await waitForTask(task.id);
+  const { body } = await api.get(`/recipes/${created.id}`);
+  assert.equal(body.description, "Edited meanwhile");
+  assert.deepEqual(
+    body.runs.map((run) => run.id),
+    [task.id]
+  );
+
+  await api.delete(`/recipes/${created.id}`);
+  await assert.rejects(
+    recipeService.runRecipe(stale, { trigger: "manual", createdBy: "test" }),
+    { code: "RECIPE_NOT_FOUND" }
+  );
+  assert.equal(
+    (await api.get(`/recipes/${created.id}`)).body.code,
+    "RECIPE_NOT_FOUND"
+  );
+});
@@ -0,0 +1,139 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startApi } = require("./helpers/standIns");
+
+let api;
+before(async () => {
+  api = await startApi();
+});
+after(() => api.close());
+
+const matchKeys = (body) =>
+  body.matches.map((match) => [
+    match.contentTypeUid || "blog_post",
+    match.entryUid,
+    match.field,
+  ]);
+
+test("GET /scan with includeReferences scans the linked entries", async () => {
+  const { status, body } = await api.get(
+    "/scan?contentTypeUid=blog_post&query=Gemini&entryUids=bltblogpost0001&fields=title&includeReferences=true"
+  );
+
+  assert.equal(status, 200);
+  // Field filters only apply to the named content type.
+  assert.deepEqual(matchKeys(body), [
+    ["blog_post", "bltblogpost0001", "title"],
+    ["author", "bltauthor0001", "bio"],
+  ]);
+  assert.deepEqual(body.matches[1].referencedFrom, {
+    contentTypeUid: "blog_post",
+    entryUid: "bltblogpost0001",
+    field: "author",
+  });
+});
+
+test("references are followed up to referenceDepth and never back", async () => {
+  const scan = (depth) =>
+    api.get(
+      `/scan?contentTypeUid=landing_page&query=Gemini&entryUids=bltlanding0001&fields=title&includeReferences=true&referenceDepth=${depth}`
+    );
+
+  const twoDeep = await scan(2);
+  assert.deepEqual(
+    twoDeep.body.matches.map((match) => match.entryUid),
+    ["bltblogpost0002", "bltauthor0001"]
+  );
+
+  // The author features bltblogpost0001, which references the author back.
+  const threeDeep = await scan(3);
+  assert.deepEqual(
+    threeDeep.body.matches.map((match) => match.entryUid),
+    [
+      "bltblogpost0002",
+      "bltauthor0001",
+      "bltblogpost0001",
+      "bltblogpost0001",
+      "bltblogpost0001",
+      "bltblogpost0001",
+    ]
+  );
+  assert.deepEqual(threeDeep.body.matches[2].referencedFrom, {
+    contentTypeUid: "author",
+    entryUid: "bltauthor0001",
+    field: "featured_posts",
+  });
+
+  const tooDeep = await scan(4);
+  assert.equal(tooDeep.status, 400);
+  assert.deepEqual(
+    tooDeep.body.details.errors.map((error) => error.path),
+    ["query.referenceDepth"]
+  );
+});
+
+test("linked entries are previewed and applied with their content type", async () => {
+  const preview = await api.get(
+    "/preview?contentTypeUid=landing_page&query=Gemini&replaceWith=Claude&entryUids=bltlanding0001&includeReferences=true"
+  );
+  const linked = preview.body.preview.find(
+    (entry) => entry.entryUid === "bltblogpost0002"
+  );
+  assert.equal(linked.contentTypeUid, "blog_post");
+  assert.equal(linked.referencedFrom.field, "featured_post");
+
+  const { body } = await api.post("/apply", {
+    contentTypeUid: "landing_page",
+    query: "Gemini",
+    changes: linked.changes.map((change) => ({
+      ...change,
+      entryUid: linked.entryUid,
+      contentTypeUid: linked.contentTypeUid,
+    })),
+  });
+
+  assert.equal(body.totalUpdated, 1);
+  assert.equal(body.results[0].contentTypeUid, "blog_post");
+  const scan = await api.get(
+    "/scan?contentTypeUid=blog_post&query=drafts them with Claude&entryUids=bltblogpost0002"
+  );
+  assert.equal(scan.body.totalMatches, 1);
+});
+
+test("block changes still apply after the blocks are reordered", async () => {
+  const preview = await api.get(
+    "/preview?contentTypeUid=landing_page&query=Gemini&replaceWith=Claude&entryUids=bltlanding0001&fields=sections"
+  );
+  const [entry] = preview.body.preview;
+  const cta = entry.changes.find((change) => change.blockType === "cta");
+  assert.equal(cta.field, "sections[@cs5e1f2a9b7c3d4e02].cta.label");
+  assert.equal(cta.fieldLabel, "Sections › Call to action › Label");
+
+  // An editor moves the call to action above the text block.
+  const file = path.join(
+    api.dataDir,
+    "content/entries/landing_page/bltlanding0001.json"
+  );
+  const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+  stored.locales["en-us"].sections.reverse();
+  fs.writeFileSync(file, JSON.stringify(stored));
+
+  const { body } = await api.post("/apply", {
+    contentTypeUid: "landing_page",
+    query: "Gemini",
+    changes: entry.changes.map((change) => ({
+      ...change,
+      entryUid: entry.entryUid,
+    })),
+  });
+
+  assert.equal(body.results[0].status, "updated");
+  assert.equal(body.results[0].changesApplied, 3);
+  const [cta0, text1] = JSON.parse(fs.readFileSync(file, "utf8")).locales[
+    "en-us"
+  ].sections;
+  assert.equal(cta0.cta.label, "Try Claude free");
+  assert.equal(text1.text_block.heading, "Why Claude");
+});
@@ -0,0 +1,20 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/standIns");
+
+let api;
+before(async () => {
+  api = await startApi();
+});
+after(() => api.close());
+
+test("only tones the brandkit defines are accepted", async () => {
+  for (const tone of ["constructor", "toString", "marketing"]) {
+    const { status, body } = await api.get(
+      `/rewrite?contentTypeUid=blog_post&entryUids=bltblogpost0001&tone=${tone}`
+    );
+    assert.equal(status, 400, tone);
+    assert.equal(body.code, "UNKNOWN_TONE");
+    assert.deepEqual(body.details.tones, ["default"]);
+  }
+});
@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMatcher } = require("../utils/matcher");
+const {
+  replaceInField,
+  rewriteTextRuns,
+  toPlainText,
+} = require("../utils/richText");
+
+const matcher = (query, replaceWith, options = {}) =>
+  createMatcher({ query, replaceWith, ...options });
+
+test("replaceInField keeps HTML markup and skips attributes", () => {
+  // A match spanning text nodes is written into the node where it starts.
+  const html = '<p><a href="/gemini">Try <b>Gem</b>ini</a> &amp; more</p>';
+
+  assert.equal(
+    replaceInField("html", html, [matcher("Gemini", "Claude")]),
+    '<p><a href="/gemini">Try <b>Claude</b></a> &amp; more</p>'
+  );
+});
+
+test("replaceInField edits the text nodes of a JSON RTE document", () => {
+  const doc = {
+    type: "doc",
+    children: [
+      {
+        type: "p",
+        children: [{ text: "Ask " }, { text: "Gemini", bold: true }],
+      },
+    ],
+  };
+
+  const updated = replaceInField("json_rte", doc, [
+    matcher("gemini", "claude", { preserveCase: true }),
+  ]);
+
+  assert.deepEqual(updated.children[0].children, [
+    { text: "Ask " },
+    { text: "Claude", bold: true },
+  ]);
+  assert.equal(doc.children[0].children[1].text, "Gemini");
+});
+
+test("rewriteTextRuns applies whole-run edits inside the markup", () => {
+  const html = "<p>Use <strong>Gemini</strong> today.</p>";
+
+  assert.equal(
+    rewriteTextRuns("html", html, (text) =>
+      text.replace("Gemini today", "Claude now")
+    ),
+    "<p>Use <strong>Claude now</strong>.</p>"
+  );
+});
+
+test("toPlainText flattens rich text to its visible text", () => {
+  assert.equal(
+    toPlainText("html", "<h2>Title</h2><p>One &amp; two</p>"),
+    "Title\nOne & two"
+  );
+  assert.equal(toPlainText("text", "  as is  "), "  as is  ");
+});
+
+test("numeric entities that name no character are left as written", () => {
+  assert.equal(
+    toPlainText("html", "<p>Gemini &#99999999; &#xD800; &#0; &#x1F600; ok</p>"),
+    "Gemini &#99999999; &#xD800; &#0; \u{1F600} ok"
+  );
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/standIns");
+
+let api;
+before(async () => {
+  api = await startApi();
+});
+after(() => api.close());
+
+test("GET /scan reports the matching text fields of the selected entries", async () => {
+  const { status, body } = await api.get(
+    "/scan?contentTypeUid=blog_post&query=gemini&entryUids=bltblogpost0001,bltblogpost0003"
+  );
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.matches.map((match) => match.field),
+    ["title", "summary", "body", "keywords[0]"]
+  );
+  assert.ok(
+    body.matches.every((match) => match.entryUid === "bltblogpost0001")
+  );
+  // Rich text is matched and reported on its visible text only
+  const bodyMatch = body.matches.find((match) => match.field === "body");
+  assert.doesNotMatch(bodyMatch.before, /<strong>/);
+});
+
+test("GET /scan never reports system fields such as url", async () => {
+  const { body } = await api.get(
+    "/scan?contentTypeUid=blog_post&query=getting-started&entryUids=bltblogpost0001"
+  );
+  assert.equal(body.totalMatches, 0);
+});
+
+test("GET /scan honours caseSensitive", async () => {
+  const { body } = await api.get(
+    "/scan?contentTypeUid=blog_post&query=GEMINI&caseSensitive=true&entryUids=bltblogpost0001"
+  );
+  assert.deepEqual(
+    body.matches.map((match) => match.field),
+    ["body"]
+  );
+});
+
+test("GET /scan with allLocales reports each localized version", async () => {
+  const { body } = await api.get(
+    "/scan?contentTypeUid=blog_post&query=Gemini&entryUids=bltblogpost0001&allLocales=true&fields=title"
+  );
+  assert.deepEqual(
+    body.matches.map((match) => [match.locale, match.before]),
+    [
+      ["en-us", "Getting started with Gemini"],
+      ["fr-fr", "Premiers pas avec Gemini"],
+    ]
+  );
+});
+
+test("GET /scan/stack searches groups and modular blocks of every content type", async () => {
+  const { status, body } = await api.get("/scan/stack?query=Gemini");
+
+  assert.equal(status, 200);
+  const landing = body.contentTypes.find(
+    (group) => group.contentTypeUid === "landing_page"
+  );
+  // Modular blocks are addressed by their uid, so paths survive reordering.
+  assert.deepEqual(
+    landing.matches.map((match) => [match.field, match.fieldLabel]),
+    [
+      ["hero.headline", "Hero › Headline"],
+      ["hero.subheadline", "Hero › Subheadline"],
+      [
+        "sections[@cs5e1f2a9b7c3d4e01].text_block.heading",
+        "Sections › Text › Heading",
+      ],
+      [
+        "sections[@cs5e1f2a9b7c3d4e01].text_block.content",
+        "Sections › Text › Content",
+      ],
+      [
+        "sections[@cs5e1f2a9b7c3d4e02].cta.label",
+        "Sections › Call to action › Label",
+      ],
+    ]
+  );
+  assert.equal(landing.matches[4].blockType, "cta");
+});
+
+test("GET /scan/stack?stream=true sends Server-Sent Events", async () => {
+  const response = await fetch(
+    `${api.baseUrl}/scan/stack?query=Gemini&stream=true`
+  );
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+  const events = (await response.text()).match(/^event: \w+/gm);
+  assert.ok(events.includes("event: match"));
+  assert.equal(events[events.length - 1], "event: done");
+});
+
+test("GET /scan rejects invalid parameters in one response", async () => {
+  const { status, body } = await api.get(
+    "/scan?contentTypeUid=blog_post&regex=maybe"
+  );
+
+  assert.equal(status, 400);
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.deepEqual(
+    body.details.errors.map((error) => error.path),
+    ["query.entryUids", "query.query", "query.regex"]
+  );
+});
+
+test("GET /scan answers 404 for an unknown content type", async () => {
+  const { status, body } = await api.get(
+    "/scan?contentTypeUid=nope&query=x&entryUids=blt1"
+  );
+  assert.equal(status, 404);
+  assert.equal(body.code, "CONTENTSTACK_NOT_FOUND");
+});
@@ -0,0 +1,49 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApi } = require("./helpers/standIns");
+
+let api;
+let taskQueue;
+before(async () => {
+  api = await startApi();
+  taskQueue = require("../services/taskQueue");
+});
+after(() => api.close());
+
+async function waitForTask(taskId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const task = await taskQueue.getTask(taskId);
+    if (taskQueue.isFinished(task)) return task;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Task ${taskId} did not finish`);
+}
+
+test("a task cancelled while waiting in the queue never runs", async () => {
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  const prepared = [];
+  taskQueue.registerHandler("gated", {
+    async prepare(task) {
+      prepared.push(task.id);
+      await gate;
+      return { context: null, units: [{ key: "only" }] };
+    },
+    processUnit: () => ({ ok: true }),
+    finish: (context, task) => ({ total: task.results.length }),
+  });
+
+  const running = await taskQueue.enqueueTask("gated", {});
+  const waiting = await taskQueue.enqueueTask("gated", {});
+  const cancelled = await taskQueue.cancelTask(waiting.id);
+  assert.equal(cancelled.status, "cancelled");
+  release();
+
+  assert.equal((await waitForTask(running.id)).status, "completed");
+  const { body } = await api.get(`/tasks/${waiting.id}`);
+  assert.equal(body.status, "cancelled");
+  assert.equal(body.progress.processed, 0);
+  assert.deepEqual(prepared, [running.id]);
+});
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Renders a compliance report from services/auditService as
+ * CSV (one row per violation) or as a standalone HTML page.
+ */
+
+const { toCsv } = require("./csv");
+
+const CSV_COLUMNS = [
+  "contentTypeUid",
+  "entryUid",
+  "title",
+  "locale",
+  "field",
+  "fieldName",
+  "fieldLabel",
+  "type",
+  "severity",
+  "ruleId",
+  "match",
+  "context",
+  "message",
+  "suggestion",
+  "replaceWith",
+];
+
+/**
+ * @param {object} report
+ * @returns {string}
+ */
+function toAuditCsv(report) {
+  const rows = report.entries.flatMap((entry) =>
+    entry.violations.map((violation) => ({
+      contentTypeUid: entry.contentTypeUid,
+      entryUid: entry.entryUid,
+      title: entry.title,
+      locale: entry.locale,
+      ...violation,
+      replaceWith: violation.fix?.replaceWith,
+    }))
+  );
+  return toCsv(rows, CSV_COLUMNS);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const STYLES = `
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+h1 { margin-bottom: 0.25rem; }
+.meta { color: #666; margin-top: 0; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+.severity { font-weight: bold; text-transform: uppercase; font-size: 0.8rem; }
+.high { color: #b00020; }
+.medium { color: #b86e00; }
+.low { color: #2a6eb8; }
+.error { color: #b00020; }
+mark { background: #ffe08a; }
+`;
+
+function highlight(context, match) {
+  const index = context.indexOf(match);
+  if (!match || index === -1) return escapeHtml(context);
+  return `${escapeHtml(context.slice(0, index))}<mark>${escapeHtml(
+    match
+  )}</mark>${escapeHtml(context.slice(index + match.length))}`;
+}
+
+function renderEntry(entry) {
+  const rows = entry.violations
+    .map(
+      (violation) => `<tr>
+<td>${escapeHtml(
+        violation.fieldLabel || violation.fieldName
+      )}<br><code>${escapeHtml(violation.field)}</code></td>
+<td class="severity ${escapeHtml(violation.severity)}">${escapeHtml(
+        violation.severity
+      )}</td>
+<td>${escapeHtml(violation.message)}</td>
+<td>${highlight(violation.context, violation.match)}</td>
+<td>${escapeHtml(violation.suggestion)}</td>
+</tr>`
+    )
+    .join("\n");
+  return `<h3>${escapeHtml(entry.title)} <small>(${escapeHtml(
+    entry.contentTypeUid
+  )} / ${escapeHtml(entry.entryUid)}${
+    entry.locale ? ` / ${escapeHtml(entry.locale)}` : ""
+  })</small></h3>
+<table>
+<tr><th>Field</th><th>Severity</th><th>Violation</th><th>Context</th><th>Suggestion</th></tr>
+${rows}
+</table>`;
+}
+
+/**
+ * @param {object} report
+ * @returns {string} A self-contained HTML document.
+ */
+function toAuditHtml(report) {
+  const { summary } = report;
+  const title = `Brand compliance report${
+    report.brandkit.name ? ` – ${report.brandkit.name}` : ""
+  }`;
+  const contentTypeRows = report.contentTypes
+    .map(
+      (group) =>
+        `<tr><td>${escapeHtml(group.title)} <code>${escapeHtml(
+          group.contentTypeUid
+        )}</code></td><td>${group.scannedEntries}</td><td>${
+          group.totalViolations
+        }</td><td class="error">${escapeHtml(group.error || "")}</td></tr>`
+    )
+    .join("\n");
+  const guidelines = report.uncheckedGuidelines
+    .map((text) => `<li>${escapeHtml(text)}</li>`)
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(report.generatedAt)}${
+    report.brandkit.revision !== null
+      ? ` · brandkit revision ${escapeHtml(report.brandkit.revision)}`
+      : ""
+  }${report.branch ? ` · branch ${escapeHtml(report.branch)}` : ""}</p>
+
+<h2>Summary</h2>
+<table>
+<tr><th>Entries scanned</th><td>${summary.totalEntries}</td></tr>
+<tr><th>Entries with violations</th><td>${
+    summary.entriesWithViolations
+  }</td></tr>
+<tr><th>Violations</th><td>${summary.totalViolations}</td></tr>
+${Object.entries(summary.bySeverity)
+  .map(
+    ([severity, count]) =>
+      `<tr><th class="severity ${escapeHtml(severity)}">${escapeHtml(
+        severity
+      )}</th><td>${count}</td></tr>`
+  )
+  .join("\n")}
+</table>
+
+<h2>Content types</h2>
+<table>
+<tr><th>Content type</th><th>Entries</th><th>Violations</th><th>Error</th></tr>
+${contentTypeRows}
+</table>
+
+<h2>Violations</h2>
+${
+  report.entries.length > 0
+    ? report.entries.map(renderEntry).join("\n")
+    : "<p>No violations found.</p>"
+}
+${
+  guidelines
+    ? `<h2>Guidelines to review by hand</h2>
+<ul>
+${guidelines}
+</ul>`
+    : ""
+}
+</body>
+</html>
+`;
+}
+
+module.exports = { toAuditCsv, toAuditHtml };
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Schema checks and token resolution for brandkit.json (or the
+ * same document served by the Brandkit API).
+ *
+ * Recognised top-level keys (all optional, unknown keys are allowed):
+ * - `meta`: object, e.g. `{ name, version, description }`.
+ * - `approvedTerms`: array of `{ term: string, replaceWith: string }`;
+ *   the preferred wording, rewritten before the user's query.
+ * - `bannedTerms`: array of strings, or of `{ term: string, regex?: boolean,
+ *   locales?: string[], reason?: string }`; text containing one of them is
+ *   never applied. `regex` treats the term as a pattern, `locales` limits the
+ *   term to entries in those locales.
+ * - `tokens`: nested object of design tokens. Any string elsewhere in the
+ *   document may reference a token as `{tokens.path.to.value}`.
+ * - `voiceAndTone`: object; `voiceAndTone.brandVoice` may hold `personality`
+ *   (string), `tone` (object of strings), `dos` (string array) and `donts`.
+ *   A `donts` item is a string, or `{ text: string, terms?: string[],
+ *   pattern?: string }` when the audit should flag it in content.
+ *   `lengthLimits` maps field UIDs to the most characters /rewrite may write.
+ * - `rules`: array of `{ id: string, title: string, description?: string }`.
+ * Terms and rule ids must be unique (terms case-insensitively).
+ * - `assets`, `components`, `accessibility`, `patterns`, `examples`: objects.
+ */
+
+const { createMatcher } = require("./matcher");
+
+const TOKEN_REFERENCE = /\{(tokens(?:\.[\w-]+)+)\}/g;
+const MAX_REFERENCE_DEPTH = 10;
+
+const LOCALE_CODE = /^[a-z0-9_-]+$/i;
+
+const OBJECT_KEYS = [
+  "meta",
+  "tokens",
+  "voiceAndTone",
+  "assets",
+  "components",
+  "accessibility",
+  "patterns",
+  "examples",
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function isStringArray(value) {
+  return (
+    Array.isArray(value) && value.every((item) => typeof item === "string")
+  );
+}
+
+function findDuplicates(values) {
+  const seen = new Set();
+  const duplicates = new Set();
+  values.forEach((value) => {
+    if (seen.has(value)) duplicates.add(value);
+    seen.add(value);
+  });
+  return [...duplicates];
+}
+
+function validateBannedTerm(item, i) {
+  if (typeof item === "string") {
+    return isNonEmptyString(item)
+      ? []
+      : [`bannedTerms[${i}] must be a non-empty string or { term }`];
+  }
+  if (!isPlainObject(item) || !isNonEmptyString(item.term)) {
+    return [`bannedTerms[${i}] must be a non-empty string or { term }`];
+  }
+
+  const errors = [];
+  if (item.regex !== undefined && typeof item.regex !== "boolean") {
+    errors.push(`bannedTerms[${i}].regex must be a boolean`);
+  } else if (item.regex) {
+    try {
+      createMatcher({ query: item.term, regex: true });
+    } catch (error) {
+      errors.push(
+        `bannedTerms[${i}].term is not a usable pattern: ${error.message}`
+      );
+    }
+  }
+  if (
+    item.locales !== undefined &&
+    !(
+      isStringArray(item.locales) &&
+      item.locales.every((locale) => LOCALE_CODE.test(locale))
+    )
+  ) {
+    errors.push(`bannedTerms[${i}].locales must be an array of locale codes`);
+  }
+  if (item.reason !== undefined && typeof item.reason !== "string") {
+    errors.push(`bannedTerms[${i}].reason must be a string`);
+  }
+  return errors;
+}
+
+function validateDont(item, i) {
+  const path = `voiceAndTone.brandVoice.donts[${i}]`;
+  if (typeof item === "string") return [];
+  if (!isPlainObject(item) || !isNonEmptyString(item.text)) {
+    return [`${path} must be a string or { text }`];
+  }
+
+  const errors = [];
+  if (
+    item.terms !== undefined &&
+    !(isStringArray(item.terms) && item.terms.every(isNonEmptyString))
+  ) {
+    errors.push(`${path}.terms must be an array of non-empty strings`);
+  }
+  if (item.pattern !== undefined) {
+    try {
+      createMatcher({ query: item.pattern, regex: true });
+    } catch (error) {
+      errors.push(`${path}.pattern is not a usable pattern: ${error.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check a brandkit document against the schema above.
+ * @param {*} data The parsed document.
+ * @returns {string[]} One message per problem; empty when the document is valid.
+ */
+function validateBrandkit(data) {
+  if (!isPlainObject(data)) return ["brandkit must be a JSON object"];
+  const errors = [];
+
+  for (const key of OBJECT_KEYS) {
+    if (data[key] !== undefined && !isPlainObject(data[key])) {
+      errors.push(`${key} must be an object`);
+    }
+  }
+
+  if (data.approvedTerms !== undefined) {
+    if (!Array.isArray(data.approvedTerms)) {
+      errors.push("approvedTerms must be an array");
+    } else {
+      data.approvedTerms.forEach((rule, i) => {
+        if (!isPlainObject(rule) || !isNonEmptyString(rule.term)) {
+          errors.push(`approvedTerms[${i}].term must be a non-empty string`);
+        } else if (typeof rule.replaceWith !== "string") {
+          errors.push(`approvedTerms[${i}].replaceWith must be a string`);
+        }
+      });
+      findDuplicates(
+        data.approvedTerms.map((rule) => String(rule?.term).toLowerCase())
+      ).forEach((term) =>
+        errors.push(`approvedTerms lists "${term}" more than once`)
+      );
+    }
+  }
+
+  if (data.bannedTerms !== undefined) {
+    if (!Array.isArray(data.bannedTerms)) {
+      errors.push("bannedTerms must be an array");
+    } else {
+      data.bannedTerms.forEach((item, i) =>
+        errors.push(...validateBannedTerm(item, i))
+      );
+      findDuplicates(
+        data.bannedTerms.map((item) =>
+          String(isPlainObject(item) ? item.term : item).toLowerCase()
+        )
+      ).forEach((term) =>
+        errors.push(`bannedTerms lists "${term}" more than once`)
+      );
+    }
+  }
+
+  const brandVoice = data.voiceAndTone?.brandVoice;
+  if (brandVoice !== undefined) {
+    if (!isPlainObject(brandVoice)) {
+      errors.push("voiceAndTone.brandVoice must be an object");
+    } else {
+      if (brandVoice.dos !== undefined && !isStringArray(brandVoice.dos)) {
+        errors.push("voiceAndTone.brandVoice.dos must be an array of strings");
+      }
+      if (brandVoice.donts !== undefined) {
+        if (!Array.isArray(brandVoice.donts)) {
+          errors.push("voiceAndTone.brandVoice.donts must be an array");
+        } else {
+          brandVoice.donts.forEach((item, i) =>
+            errors.push(...validateDont(item, i))
+          );
+        }
+      }
+      if (
+        brandVoice.lengthLimits !== undefined &&
+        !(
+          isPlainObject(brandVoice.lengthLimits) &&
+          Object.values(brandVoice.lengthLimits).every(
+            (v) => Number.isInteger(v) && v > 0
+          )
+        )
+      ) {
+        errors.push(
+          "voiceAndTone.brandVoice.lengthLimits must map field UIDs to positive integers"
+        );
+      }
+      if (
+        brandVoice.tone !== undefined &&
+        !(
+          isPlainObject(brandVoice.tone) &&
+          Object.values(brandVoice.tone).every((v) => typeof v === "string")
+        )
+      ) {
+        errors.push("voiceAndTone.brandVoice.tone must map names to strings");
+      }
+    }
+  }
+
+  if (data.rules !== undefined) {
+    if (!Array.isArray(data.rules)) {
+      errors.push("rules must be an array");
+    } else {
+      data.rules.forEach((rule, i) => {
+        if (!isPlainObject(rule)) {
+          errors.push(`rules[${i}] must be an object`);
+          return;
+        }
+        if (!isNonEmptyString(rule.id)) {
+          errors.push(`rules[${i}].id must be a non-empty string`);
+        }
+        if (!isNonEmptyString(rule.title)) {
+          errors.push(`rules[${i}].title must be a non-empty string`);
+        }
+        if (
+          rule.description !== undefined &&
+          typeof rule.description !== "string"
+        ) {
+          errors.push(`rules[${i}].description must be a string`);
+        }
+      });
+      findDuplicates(data.rules.map((rule) => rule?.id)).forEach((id) =>
+        errors.push(`rules lists id "${id}" more than once`)
+      );
+    }
+  }
+
+  return errors;
+}
+
+function lookupToken(data, reference) {
+  let current = data;
+  for (const key of reference.split(".")) {
+    if (!isPlainObject(current) || !(key in current)) return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * Replace `{tokens.…}` references throughout a brandkit document. A string
+ * that is exactly one reference takes the token's value (keeping numbers as
+ * numbers); references inside longer strings are interpolated. Tokens may
+ * reference other tokens.
+ * @param {object} data A document that passed `validateBrandkit`.
+ * @returns {{data: object, errors: string[]}} A resolved copy, plus one
+ *   message per unresolvable reference.
+ */
+function resolveTokenReferences(data) {
+  const errors = [];
+
+  const resolveString = (text, path, depth) => {
+    if (depth > MAX_REFERENCE_DEPTH) {
+      errors.push(`${path}: token references nest too deeply (cycle?)`);
+      return text;
+    }
+    const whole = text.match(/^\{(tokens(?:\.[\w-]+)+)\}$/);
+    if (whole) {
+      const value = lookupToken(data, whole[1]);
+      if (value === undefined || isPlainObject(value) || Array.isArray(value)) {
+        errors.push(`${path}: unknown token reference {${whole[1]}}`);
+        return text;
+      }
+      return typeof value === "string"
+        ? resolveString(value, path, depth + 1)
+        : value;
+    }
+    return text.replace(TOKEN_REFERENCE, (reference, tokenPath) => {
+      const value = lookupToken(data, tokenPath);
+      if (value === undefined || isPlainObject(value) || Array.isArray(value)) {
+        errors.push(`${path}: unknown token reference ${reference}`);
+        return reference;
+      }
+      return String(
+        typeof value === "string"
+          ? resolveString(value, path, depth + 1)
+          : value
+      );
+    });
+  };
+
+  const visit = (value, path) => {
+    if (typeof value === "string") return resolveString(value, path, 0);
+    if (Array.isArray(value)) {
+      return value.map((item, i) => visit(item, `${path}[${i}]`));
+    }
+    if (isPlainObject(value)) {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = visit(item, path ? `${path}.${key}` : key);
+      }
+      return result;
+    }
+    return value;
+  };
+
+  return { data: visit(data, ""), errors };
+}
+
+module.exports = { validateBrandkit, resolveTokenReferences };
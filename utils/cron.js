@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Cron-like schedules for saved recipes: five fields (minute,
+ * hour, day of month, month, day of week) made of `*`, numbers, ranges,
+ * lists and steps ("0 6 * * 1-5", "15,45 9-17 * * *", "0 0/6 * * *"), or a
+ * shorthand: "@hourly", "@daily", "@weekly" or "@monthly". Schedules are
+ * evaluated in UTC.
+ * As in cron, when both day fields are restricted a day matching either runs.
+ */
+
+const { ValidationError } = require("./errors");
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  // 0 and 7 are both Sunday
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const SHORTHANDS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// How far ahead the next run is looked for; far enough for 29 February.
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function invalid(expression, reason) {
+  return new ValidationError(`Invalid schedule "${expression}": ${reason}`, {
+    code: "INVALID_SCHEDULE",
+  });
+}
+
+function parseField(expression, text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw invalid(expression, `bad ${name} "${part}"`);
+    const [, star, from, to, step] = match;
+    // "5/15" runs from 5 to the end of the range, as in cron.
+    const start = star ? min : Number(from);
+    const end = star || (step && !to) ? max : Number(to ?? from);
+    const every = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || every < 1) {
+      throw invalid(expression, `${name} "${part}" is out of range`);
+    }
+    for (let value = start; value <= end; value += every) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a schedule expression.
+ * @param {string} expression
+ * @returns {object} The schedule, for `nextRun`.
+ * @throws {ValidationError} With code INVALID_SCHEDULE if the expression is
+ *   malformed or never runs.
+ */
+function parseSchedule(expression) {
+  const text = String(expression || "").trim();
+  const parts = (SHORTHANDS[text] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw invalid(expression, "expected 5 fields");
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) =>
+    parseField(expression, part, FIELDS[i])
+  );
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  const schedule = {
+    expression: text,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith("*"),
+    anyWeekday: parts[4].startsWith("*"),
+  };
+  if (!nextRun(schedule, new Date())) {
+    throw invalid(expression, "it never runs");
+  }
+  return schedule;
+}
+
+function matchesDay(schedule, date) {
+  const inMonth = schedule.days.has(date.getUTCDate());
+  const inWeek = schedule.weekdays.has(date.getUTCDay());
+  if (schedule.anyDay) return inWeek;
+  if (schedule.anyWeekday) return inMonth;
+  return inMonth || inWeek;
+}
+
+/**
+ * The first time the schedule runs after `after`.
+ * @param {object} schedule From `parseSchedule`.
+ * @param {Date} [after]
+ * @returns {Date|null} null if it does not run within five years.
+ */
+function nextRun(schedule, after = new Date()) {
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after.getTime() + MAX_LOOKAHEAD_MS;
+
+  // Skip whole months, days and hours that cannot match.
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseSchedule, nextRun };
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Minimal RFC 4180 CSV reading and writing for imports and
+ * exports (comma-separated, double-quote escaping, CRLF or LF line breaks).
+ *
+ * Cells that a spreadsheet would run as a formula (starting with =, +, -, @,
+ * a tab or a carriage return) are written with a leading "'", which
+ * `parseCsv` drops again so exports import unchanged.
+ */
+
+const { ValidationError } = require("./errors");
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === undefined || value === null) return "";
+  let text = Array.isArray(value) ? value.join(";") : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise objects as CSV with a header row. Array values are joined
+ * with ";".
+ * @param {object[]} rows
+ * @param {string[]} columns The keys to write, in order.
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCell).join(",")];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCell(row[column])).join(","));
+  });
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Parse CSV text into rows of cells.
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {ValidationError} If a quoted cell is never closed.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new ValidationError("CSV has an unterminated quoted cell");
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Ignore blank lines
+  return rows.filter((cells) => cells.some((c) => c.trim() !== ""));
+}
+
+function unescapeFormula(cell) {
+  return cell.startsWith("'") && FORMULA_START.test(cell.slice(1))
+    ? cell.slice(1)
+    : cell;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by the header names.
+ * @param {string} text
+ * @returns {object[]}
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(
+    String(text || "").replace(/^\ufeff/, "")
+  );
+  if (!header) return [];
+  const columns = header.map((name) => name.trim());
+  return rows.map((cells) =>
+    Object.fromEntries(
+      columns.map((column, i) => [column, unescapeFormula(cells[i] ?? "")])
+    )
+  );
+}
+
+module.exports = { toCsv, parseCsv };
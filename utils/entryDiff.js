@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Compares entries before and after a replace, for the changes
+ * /preview and /rewrite report.
+ */
+
+const { getNestedValue } = require("./objectPath");
+const { toPlainText } = require("./richText");
+
+/**
+ * Deep clone an object, but strip out functions and handle cyclical references.
+ */
+function sanitizeObject(data, visited = new WeakMap()) {
+  if (data === null || typeof data !== "object") {
+    return data;
+  }
+  if (visited.has(data)) {
+    return visited.get(data);
+  }
+
+  if (Array.isArray(data)) {
+    const arr = [];
+    visited.set(data, arr);
+    data.forEach((item) => arr.push(sanitizeObject(item, visited)));
+    return arr;
+  }
+
+  const obj = {};
+  visited.set(data, obj);
+  for (const key in data) {
+    if (Object.prototype.hasOwnProperty.call(data, key)) {
+      if (typeof data[key] !== "function") {
+        obj[key] = sanitizeObject(data[key], visited);
+      }
+    }
+  }
+  return obj;
+}
+
+/**
+ * Format different value types for a user-friendly display in a diff.
+ */
+function formatValueForDiff(value) {
+  if (value === undefined) return "(not set)";
+  if (value === null) return "(empty)";
+  if (typeof value === "string" && value.trim() === "") return "(empty string)";
+  if (typeof value === "object") {
+    if (Array.isArray(value) && value.length === 0) return "[]";
+    if (Object.keys(value).length === 0) return "{}";
+    return JSON.stringify(value, null, 2);
+  }
+  return String(value);
+}
+
+/**
+ * Compare the targeted fields of an entry before and after replacement.
+ * Changes are labelled with the field's display names (`fieldLabel`) and
+ * modular block (`blockType`).
+ * Rich text fields are diffed on their visible text rather than their markup;
+ * `newValue` carries the full field value to send to /apply, and
+ * `originalValue` the value it was built from, so /apply can detect edits
+ * made in the meantime. `source` tells whether the change is the literal
+ * replace or was refined by the model (which also reports `literalAfter`).
+ */
+function getDifferences(targets, updatedEntry, literalEntry) {
+  const diffs = [];
+  targets.forEach((target) => {
+    const newValue = getNestedValue(updatedEntry, target.path);
+    if (JSON.stringify(newValue) === JSON.stringify(target.value)) return;
+
+    const literalValue = getNestedValue(literalEntry, target.path);
+    const fromModel = JSON.stringify(newValue) !== JSON.stringify(literalValue);
+    diffs.push({
+      field: target.path,
+      fieldName: target.displayName,
+      fieldLabel: target.label,
+      ...(target.blockType ? { blockType: target.blockType } : {}),
+      kind: target.kind,
+      before: formatValueForDiff(toPlainText(target.kind, target.value)),
+      after: formatValueForDiff(toPlainText(target.kind, newValue)),
+      source: fromModel ? "model" : "literal",
+      ...(fromModel
+        ? {
+            literalAfter: formatValueForDiff(
+              toPlainText(target.kind, literalValue)
+            ),
+          }
+        : {}),
+      newValue,
+      originalValue: target.value,
+    });
+  });
+  return diffs;
+}
+
+module.exports = { sanitizeObject, formatValueForDiff, getDifferences };
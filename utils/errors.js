@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Typed errors. Each carries a stable `code` the frontend can
+ * branch on, the HTTP `status` it is reported with (see
+ * middlewares/errorHandler) and optional `details`, e.g. the upstream
+ * service's own error.
+ */
+
+class AppError extends Error {
+  /**
+   * @param {string} message
+   * @param {{code?: string, status?: number, details?: *, cause?: Error}} [options]
+   */
+  constructor(
+    message,
+    { code = "INTERNAL_ERROR", status = 500, details, cause } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+/** The request is invalid; the message says why. */
+class ValidationError extends AppError {
+  constructor(message, { code = "VALIDATION_FAILED", details } = {}) {
+    super(message, { code, status: 400, details });
+  }
+}
+
+/** The caller has no valid credentials. */
+class AuthenticationError extends AppError {
+  constructor(message, { code = "UNAUTHENTICATED", details } = {}) {
+    super(message, { code, status: 401, details });
+  }
+}
+
+/** The caller may not do this. */
+class ForbiddenError extends AppError {
+  constructor(message, { code = "FORBIDDEN", details } = {}) {
+    super(message, { code, status: 403, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { code = "NOT_FOUND", details } = {}) {
+    super(message, { code, status: 404, details });
+  }
+}
+
+/** The resource changed or already exists. */
+class ConflictError extends AppError {
+  constructor(message, { code = "CONFLICT", details } = {}) {
+    super(message, { code, status: 409, details });
+  }
+}
+
+/** Too many requests, here or upstream; retry after `retryAfterMs`. */
+class RateLimitedError extends AppError {
+  constructor(
+    message,
+    { code = "RATE_LIMITED", details, retryAfterMs = null, cause } = {}
+  ) {
+    super(message, { code, status: 429, details, cause });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** A service this server depends on failed. */
+class UpstreamError extends AppError {
+  constructor(message, { code = "UPSTREAM_ERROR", details, cause } = {}) {
+    super(message, { code, status: 502, details, cause });
+  }
+}
+
+/** The Contentstack Management API refused or failed a call. */
+class ContentstackError extends UpstreamError {
+  constructor(message, { code = "CONTENTSTACK_ERROR", details, cause } = {}) {
+    super(message, { code, details, cause });
+  }
+}
+
+/** The language model provider refused or failed a call. */
+class LlmError extends UpstreamError {
+  constructor(message, { code = "LLM_ERROR", details, cause } = {}) {
+    super(message, { code, details, cause });
+  }
+}
+
+/**
+ * The message, code and details of an error, for per-entry results and task
+ * records that report failures without failing the whole request.
+ * @param {Error} error
+ * @returns {{error: string, errorCode: string, errorDetails?: *}}
+ */
+function errorFields(error) {
+  return {
+    error: error.message,
+    errorCode: error instanceof AppError ? error.code : "INTERNAL_ERROR",
+    ...(error.details !== undefined ? { errorDetails: error.details } : {}),
+  };
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitedError,
+  UpstreamError,
+  ContentstackError,
+  LlmError,
+  errorFields,
+};
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Works out which fields of an entry find-and-replace may touch,
+ * using the content type schema. Only user-facing text fields are targeted;
+ * system metadata, URLs, files and references are never returned (references
+ * are listed separately, for callers that follow them).
+ */
+
+const { getItemUid } = require("./objectPath");
+
+// Entry keys that must never be rewritten, whatever the request asks for.
+const SYSTEM_FIELDS = new Set([
+  "uid",
+  "url",
+  "locale",
+  "tags",
+  "ACL",
+  "_version",
+  "_metadata",
+  "_in_progress",
+  "_workflow",
+  "_branch",
+  "created_at",
+  "created_by",
+  "updated_at",
+  "updated_by",
+  "publish_details",
+]);
+
+/**
+ * Classify a schema field as a kind of text field, or null if it is not one.
+ * @param {object} field A content type schema field.
+ * @returns {"text"|"multiline"|"markdown"|"html"|"json_rte"|null}
+ */
+function getTextKind(field) {
+  const meta = field.field_metadata || {};
+  if (field.data_type === "text") {
+    if (meta.allow_rich_text) return "html";
+    if (meta.markdown) return "markdown";
+    if (meta.multiline) return "multiline";
+    return "text";
+  }
+  if (field.data_type === "json" && meta.allow_json_rte) return "json_rte";
+  return null;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read include/exclude field lists from a request query or body.
+ * Each list accepts repeated params, arrays or comma-separated strings.
+ * @param {object} source `req.query` or `req.body`.
+ * @returns {{include: string[], exclude: string[]}}
+ */
+function parseFieldFilters(source = {}) {
+  return {
+    include: toList(source.fields),
+    exclude: toList(source.excludeFields),
+  };
+}
+
+/**
+ * A filter entry matches a field by its UID, its schema path
+ * ("sections.hero.title") or its concrete path ("sections[0].hero.title" or
+ * "sections[@cs9f2c].hero.title"), and also matches everything nested under a
+ * matching group or block.
+ */
+function matchesFilter(filter, target) {
+  return [target.uid, target.schemaPath, target.path, target.indexPath].some(
+    (candidate) =>
+      candidate === filter ||
+      candidate.startsWith(`${filter}.`) ||
+      candidate.startsWith(`${filter}[`)
+  );
+}
+
+function isSelected(target, { include = [], exclude = [] }) {
+  if (exclude.some((filter) => matchesFilter(filter, target))) return false;
+  if (include.length === 0) return true;
+  return include.some((filter) => matchesFilter(filter, target));
+}
+
+function join(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Where the walk is in the entry: the stable `path` (multiple groups and
+ * blocks keyed by their `_metadata.uid` when they have one), the same path by
+ * array index, the schema path, the display names leading here and the
+ * modular block being walked, if any.
+ */
+function child(at, key, label) {
+  return {
+    path: join(at.path, key),
+    indexPath: join(at.indexPath, key),
+    schemaPath: join(at.schemaPath, key),
+    labels: label ? [...at.labels, label] : at.labels,
+    blockType: at.blockType,
+  };
+}
+
+function item(at, value, index) {
+  const uid = getItemUid(value);
+  return {
+    ...at,
+    path: `${at.path}[${uid ? `@${uid}` : index}]`,
+    indexPath: `${at.indexPath}[${index}]`,
+  };
+}
+
+function walkSchema(data, schema, at, found) {
+  if (!data || typeof data !== "object") return;
+
+  for (const field of schema || []) {
+    if (!at.path && found.systemFields.has(field.uid)) continue;
+
+    const value = data[field.uid];
+    if (value === undefined || value === null) continue;
+
+    const fieldAt = child(at, field.uid, field.display_name || field.uid);
+    const isList = field.multiple && Array.isArray(value);
+    const items = isList ? value : [value];
+    const itemAt = (itemValue, index) =>
+      isList ? item(fieldAt, itemValue, index) : fieldAt;
+
+    const kind = getTextKind(field);
+    if (kind) {
+      items.forEach((itemValue, index) => {
+        if (itemValue === undefined || itemValue === null) return;
+        // Text items have no uid; they are always addressed by index.
+        const { path, indexPath } = isList
+          ? item(fieldAt, null, index)
+          : fieldAt;
+        found.targets.push({
+          path,
+          indexPath,
+          schemaPath: fieldAt.schemaPath,
+          uid: field.uid,
+          displayName: field.display_name || field.uid,
+          label: fieldAt.labels.join(" › "),
+          ...(fieldAt.blockType ? { blockType: fieldAt.blockType } : {}),
+          kind,
+          value: itemValue,
+        });
+      });
+      continue;
+    }
+
+    if (field.data_type === "group" || field.data_type === "global_field") {
+      items.forEach((itemValue, index) =>
+        walkSchema(itemValue, field.schema, itemAt(itemValue, index), found)
+      );
+      continue;
+    }
+
+    if (field.data_type === "blocks" && Array.isArray(value)) {
+      value.forEach((blockItem, index) => {
+        for (const block of field.blocks || []) {
+          if (!blockItem || !blockItem[block.uid]) continue;
+          const blockAt = child(
+            item(fieldAt, blockItem, index),
+            block.uid,
+            block.title || block.uid
+          );
+          walkSchema(
+            blockItem[block.uid],
+            block.schema,
+            { ...blockAt, blockType: block.uid },
+            found
+          );
+        }
+      });
+      continue;
+    }
+
+    if (field.data_type === "reference") {
+      items
+        .flat()
+        .filter((ref) => ref && ref.uid)
+        .forEach((ref) =>
+          found.references.push({
+            path: fieldAt.path,
+            entryUid: ref.uid,
+            // Single-type references may leave out the referenced type.
+            contentTypeUid:
+              ref._content_type_uid || [].concat(field.reference_to || [])[0],
+          })
+        );
+    }
+    // Every other data type (file, link, number, boolean, isodate, select,
+    // taxonomy, ...) is not a text field and is left alone.
+  }
+}
+
+const ROOT = { path: "", indexPath: "", schemaPath: "", labels: [] };
+
+function walkEntry(entry, schema, systemFields = SYSTEM_FIELDS) {
+  const found = { targets: [], references: [], systemFields };
+  walkSchema(entry, schema, ROOT, found);
+  return found;
+}
+
+/**
+ * List the user-facing text fields of an entry that a replace may touch.
+ * `path` is stable across reordering of modular blocks (see utils/objectPath)
+ * and `indexPath` is the same field by array index; `label` joins the display
+ * names of the groups, blocks and field, and `blockType` is the modular block
+ * the field belongs to.
+ * @param {object} entry The entry data.
+ * @param {object[]} schema The content type schema.
+ * @param {{include?: string[], exclude?: string[]}} [filters]
+ * @param {{systemFields?: Set<string>}} [options] `systemFields` replaces the
+ *   entry keys that are never targeted, for documents other than entries.
+ * @returns {Array<{path: string, indexPath: string, schemaPath: string,
+ *   uid: string, displayName: string, label: string, blockType?: string,
+ *   kind: string, value: *}>}
+ */
+function collectTextFields(entry, schema, filters = {}, options = {}) {
+  return walkEntry(entry, schema, options.systemFields).targets.filter(
+    (target) => isSelected(target, filters)
+  );
+}
+
+/**
+ * List the entries an entry references, in schema order.
+ * @param {object} entry The entry data.
+ * @param {object[]} schema The content type schema.
+ * @returns {Array<{path: string, entryUid: string, contentTypeUid: string}>}
+ */
+function collectReferences(entry, schema) {
+  return walkEntry(entry, schema).references;
+}
+
+// The steps a change may take inside a JSON RTE document: down through
+// nodes' children to a text leaf.
+const RTE_NODE_PATH = /^(?:\.children\[\d+\])*(?:\.text)?$/;
+
+function isWithin(path, target, fieldPath) {
+  if (path === fieldPath) return true;
+  return (
+    target.kind === "json_rte" &&
+    path.startsWith(fieldPath) &&
+    RTE_NODE_PATH.test(path.slice(fieldPath.length))
+  );
+}
+
+/**
+ * Find the targeted field a change path names, whether the path is stable or
+ * by array index. Only JSON RTE fields may be changed below the field, node
+ * by node.
+ * @param {string} path e.g. "body" or "body.children[0].children[1].text"
+ * @param {Array<{path: string, indexPath?: string, kind: string}>} targets
+ * @returns {object|undefined}
+ */
+function findTarget(path, targets) {
+  return targets.find(
+    (target) =>
+      isWithin(path, target, target.path) ||
+      (target.indexPath && isWithin(path, target, target.indexPath))
+  );
+}
+
+/**
+ * Check whether a change path falls inside one of the targeted fields.
+ * @param {string} path
+ * @param {Array<{path: string, indexPath?: string}>} targets
+ * @returns {boolean}
+ */
+function isTargetedPath(path, targets) {
+  return Boolean(findTarget(path, targets));
+}
+
+module.exports = {
+  SYSTEM_FIELDS,
+  parseFieldFilters,
+  collectTextFields,
+  collectReferences,
+  findTarget,
+  isTargetedPath,
+};
@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Read and parse a JSON file, returning `fallback` if the file does not exist.
+ * @param {string} filePath
+ * @param {*} [fallback=null]
+ * @returns {Promise<*>}
+ */
+async function readJson(filePath, fallback = null) {
+  try {
+    const data = await fs.readFile(filePath, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write data as pretty-printed JSON. Writes to a temp file first and renames it
+ * into place so a crash mid-write never leaves a truncated file behind. Each
+ * write has its own temp file, so concurrent writes to a path cannot collide.
+ * @param {string} filePath
+ * @param {*} data
+ * @returns {Promise<void>}
+ */
+async function writeJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), "utf8");
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * List the JSON files in a directory (names without the extension).
+ * @param {string} dirPath
+ * @returns {Promise<string[]>}
+ */
+async function listJson(dirPath) {
+  try {
+    const files = await fs.readdir(dirPath);
+    return files
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => file.slice(0, -".json".length));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+module.exports = { readJson, writeJson, listJson };
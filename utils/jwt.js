@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Verifies JSON Web Tokens signed with HS256 (a shared secret)
+ * or RS256 (a PEM public key, or keys fetched from a JWKS URL such as the
+ * one Contentstack publishes for app and extension tokens).
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+// Allowed clock difference when checking `exp` and `nbf`, in seconds
+const CLOCK_TOLERANCE_S = 30;
+// How long keys fetched from a JWKS URL are reused
+const KEYS_CACHE_TTL_MS = 60 * 60 * 1000;
+
+const ALGORITHMS = {
+  HS256: "sha256",
+  RS256: "RSA-SHA256",
+};
+
+function invalidToken(message) {
+  const error = new Error(message);
+  error.code = "INVALID_TOKEN";
+  return error;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (error) {
+    throw invalidToken("Malformed token");
+  }
+}
+
+let keysCache = { url: null, fetchedAt: 0, keys: {} };
+
+/**
+ * Public keys by key id from a URL serving either a JWKS (`{keys: [...]}`) or
+ * an object of PEM strings.
+ * @param {string} url
+ * @returns {Promise<Object<string, crypto.KeyObject>>}
+ */
+async function fetchPublicKeys(url) {
+  if (
+    keysCache.url === url &&
+    Date.now() - keysCache.fetchedAt < KEYS_CACHE_TTL_MS
+  ) {
+    return keysCache.keys;
+  }
+
+  const { data } = await axios.get(url, { timeout: 10000 });
+  const keys = {};
+  if (Array.isArray(data.keys)) {
+    data.keys
+      .filter((jwk) => jwk.kty === "RSA")
+      .forEach((jwk, index) => {
+        keys[jwk.kid || String(index)] = crypto.createPublicKey({
+          key: jwk,
+          format: "jwk",
+        });
+      });
+  } else {
+    Object.entries(data)
+      .filter(([, pem]) => typeof pem === "string" && pem.includes("KEY"))
+      .forEach(([kid, pem]) => {
+        keys[kid] = crypto.createPublicKey(pem);
+      });
+  }
+
+  keysCache = { url, fetchedAt: Date.now(), keys };
+  return keys;
+}
+
+/**
+ * The key that should have signed a token.
+ * @returns {Promise<string|Buffer|crypto.KeyObject>}
+ */
+async function resolveKey(header, { secret, publicKey, jwksUrl }) {
+  if (header.alg === "HS256") {
+    if (!secret) throw invalidToken("HS256 tokens are not accepted");
+    return secret;
+  }
+  if (publicKey) return crypto.createPublicKey(publicKey);
+  if (!jwksUrl) throw invalidToken("RS256 tokens are not accepted");
+
+  const keys = await fetchPublicKeys(jwksUrl);
+  const key = header.kid ? keys[header.kid] : Object.values(keys)[0];
+  if (!key) throw invalidToken(`Unknown signing key "${header.kid}"`);
+  return key;
+}
+
+/**
+ * Verify a token's signature and standard claims.
+ * @param {string} token
+ * @param {{secret?: string, publicKey?: string, jwksUrl?: string,
+ *   issuer?: string, audience?: string}} options
+ * @returns {Promise<object>} The token's claims.
+ * @throws {Error} With code INVALID_TOKEN if the token is not valid.
+ */
+async function verifyJwt(token, options) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) throw invalidToken("Malformed token");
+
+  const header = decodeSegment(parts[0]);
+  const claims = decodeSegment(parts[1]);
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw invalidToken(`Unsupported token algorithm "${header.alg}"`);
+  }
+
+  const key = await resolveKey(header, options);
+  const signed = `${parts[0]}.${parts[1]}`;
+  const signature = Buffer.from(parts[2], "base64url");
+  let valid;
+  if (header.alg === "HS256") {
+    const expected = crypto.createHmac(algorithm, key).update(signed).digest();
+    valid =
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(expected, signature);
+  } else {
+    valid = crypto.verify(algorithm, Buffer.from(signed), key, signature);
+  }
+  if (!valid) throw invalidToken("Invalid token signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && now > claims.exp + CLOCK_TOLERANCE_S) {
+    throw invalidToken("Token has expired");
+  }
+  if (typeof claims.nbf === "number" && now < claims.nbf - CLOCK_TOLERANCE_S) {
+    throw invalidToken("Token is not valid yet");
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw invalidToken("Token was issued by an unexpected issuer");
+  }
+  if (
+    options.audience &&
+    ![].concat(claims.aud || []).includes(options.audience)
+  ) {
+    throw invalidToken("Token is for a different audience");
+  }
+  return claims;
+}
+
+module.exports = { verifyJwt };
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Builds the find-and-replace matcher shared by /scan, /preview
+ * and /apply, so all three interpret the search options the same way.
+ */
+
+const vm = require("vm");
+const config = require("../config");
+const { ValidationError } = require("./errors");
+
+const MAX_QUERY_LENGTH = 500;
+
+/**
+ * Read the quantifier at `index` of a pattern, if there is one.
+ * @returns {{length: number, min: number, max: number}|null}
+ */
+function readQuantifier(source, index) {
+  const char = source[index];
+  let quantifier = null;
+  if (char === "*") quantifier = { length: 1, min: 0, max: Infinity };
+  else if (char === "+") quantifier = { length: 1, min: 1, max: Infinity };
+  else if (char === "?") quantifier = { length: 1, min: 0, max: 1 };
+  else if (char === "{") {
+    const counted = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+    if (counted) {
+      const min = Number(counted[1]);
+      const max = !counted[2]
+        ? min
+        : counted[3]
+        ? Number(counted[3])
+        : Infinity;
+      quantifier = { length: counted[0].length, min, max };
+    }
+  }
+  // A lazy quantifier backtracks the same way.
+  if (quantifier && source[index + quantifier.length] === "?") {
+    quantifier.length++;
+  }
+  return quantifier;
+}
+
+// Alternatives that can match the same text, e.g. "(a|ab)" or "(\w|\d)":
+// repeated, they give the engine exponentially many ways to match. Only
+// alternatives starting with distinct literal characters are known not to.
+function hasOverlappingAlternatives(alternatives) {
+  const starts = alternatives.map((alternative) => alternative[0]);
+  return (
+    starts.some((start) => start === undefined || /[\\[.(^$]/.test(start)) ||
+    new Set(starts.map((start) => start.toLowerCase())).size < starts.length
+  );
+}
+
+/**
+ * Find the shapes that make a regex backtrack catastrophically: a repeated
+ * group that contains a variable repeat (star height above one, counted
+ * repeats included, e.g. "(a+)+" or "(.*a){12}"), or a repeated group whose
+ * alternatives overlap (e.g. "(a|a)*").
+ * @param {string} source
+ * @returns {string|null} Why the pattern is unsafe, or null.
+ */
+function findUnsafeRepetition(source) {
+  const root = { start: 0, alternatives: [], variable: false };
+  const stack = [root];
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const frame = stack[stack.length - 1];
+    let group = null;
+
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      let start = i + 1;
+      if (source[start] === "?") {
+        const name = /^\?<(?![=!])[^>]*>/.exec(source.slice(start));
+        start += name ? name[0].length : source[start + 1] === "<" ? 3 : 2;
+      }
+      stack.push({ start, alternatives: [], variable: false });
+      i = start - 1;
+      continue;
+    } else if (char === "|") {
+      frame.alternatives.push(source.slice(frame.start, i));
+      frame.start = i + 1;
+      continue;
+    } else if (char === ")" && stack.length > 1) {
+      group = stack.pop();
+      group.alternatives.push(source.slice(group.start, i));
+    }
+
+    const parent = stack[stack.length - 1];
+    const quantifier = readQuantifier(source, i + 1);
+    if (group) {
+      if (group.variable) parent.variable = true;
+      if (quantifier && quantifier.max > 1) {
+        if (group.variable) {
+          return "a repeated group contains a repeat (nested quantifiers)";
+        }
+        if (
+          group.alternatives.length > 1 &&
+          hasOverlappingAlternatives(group.alternatives)
+        ) {
+          return "a repeated group has alternatives that can match the same text";
+        }
+      }
+    }
+    if (quantifier) {
+      if (quantifier.min !== quantifier.max) parent.variable = true;
+      i += quantifier.length;
+    }
+  }
+  return null;
+}
+
+// User patterns run with a time limit, so one that still backtracks
+// catastrophically fails its request instead of freezing the server.
+const timedContext = vm.createContext({});
+const runTimed = new vm.Script("operation()");
+
+function withTimeLimit(operation) {
+  timedContext.operation = operation;
+  try {
+    return runTimed.runInContext(timedContext, {
+      timeout: config.REGEX_TIMEOUT_MS,
+    });
+  } catch (error) {
+    if (error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+      throw new ValidationError(
+        `query took longer than ${config.REGEX_TIMEOUT_MS}ms to match; simplify the pattern`,
+        { code: "REGEX_TIMEOUT" }
+      );
+    }
+    throw error;
+  } finally {
+    timedContext.operation = null;
+  }
+}
+
+/**
+ * Escape special characters in a string for use in a regular expression.
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toBoolean(value) {
+  return value === true || value === "true";
+}
+
+/**
+ * Read match options from a request query or body.
+ * @param {object} source `req.query` or `req.body`.
+ * @returns {{query: string, replaceWith: string|undefined, regex: boolean,
+ *   wholeWord: boolean, caseSensitive: boolean, preserveCase: boolean}}
+ */
+function parseMatchOptions(source = {}) {
+  return {
+    query: source.query,
+    replaceWith: source.replaceWith,
+    regex: toBoolean(source.regex),
+    wholeWord: toBoolean(source.wholeWord),
+    caseSensitive: toBoolean(source.caseSensitive),
+    preserveCase: toBoolean(source.preserveCase),
+  };
+}
+
+/**
+ * Unpack the arguments String.prototype.replace passes to a replacer callback:
+ * (match, ...groups, offset, string, namedGroups?).
+ */
+function splitReplaceArgs(args) {
+  const hasNamed = typeof args[args.length - 1] === "object";
+  const end = hasNamed ? args.length - 3 : args.length - 2;
+  return {
+    match: args[0],
+    groups: args.slice(1, end),
+    offset: args[end],
+    namedGroups: hasNamed ? args[args.length - 1] : undefined,
+  };
+}
+
+/**
+ * Expand "$&", "$1" and "$<name>" references in a replacement template,
+ * the same way String.prototype.replace does.
+ */
+function expandTemplate(template, match, groups, namedGroups) {
+  return template.replace(
+    /\$(\$|&|(\d{1,2})|<([^>]*)>)/g,
+    (token, kind, index, name) => {
+      if (kind === "$") return "$";
+      if (kind === "&") return match;
+      if (index !== undefined) {
+        const group = groups[Number(index) - 1];
+        return Number(index) > 0 && Number(index) <= groups.length
+          ? group ?? ""
+          : token;
+      }
+      if (namedGroups && name in namedGroups) return namedGroups[name] ?? "";
+      return token;
+    }
+  );
+}
+
+/**
+ * Shape the replacement after the casing of the matched text:
+ * "GEMINI" -> "CLAUDE", "gemini" -> "claude", "Gemini" -> "Claude".
+ */
+function applyCase(source, replacement) {
+  if (!/[a-z]/i.test(source)) return replacement;
+  if (source === source.toUpperCase()) return replacement.toUpperCase();
+  if (source === source.toLowerCase()) return replacement.toLowerCase();
+  if (
+    source[0] === source[0].toUpperCase() &&
+    source.slice(1) === source.slice(1).toLowerCase()
+  ) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+/**
+ * Compile match options into a matcher. Throws a ValidationError with a user-facing
+ * message when the options are invalid or the pattern is unsafe.
+ * @param {ReturnType<typeof parseMatchOptions>} options
+ * @returns {{options: object, test: (text: string) => boolean,
+ *   findMatches: (text: string) => Array<{index: number, length: number, text: string, replacement: string}>,
+ *   replace: (text: string) => string}}
+ */
+function createMatcher(options) {
+  const { query, replaceWith, regex, wholeWord, caseSensitive, preserveCase } =
+    options;
+
+  if (typeof query !== "string" || query.length === 0) {
+    throw new ValidationError("query must be a non-empty string");
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new ValidationError(
+      `query must be at most ${MAX_QUERY_LENGTH} characters`
+    );
+  }
+  const unsafe = regex && findUnsafeRepetition(query);
+  if (unsafe) {
+    throw new ValidationError(
+      `query could cause catastrophic backtracking: ${unsafe}`
+    );
+  }
+
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) source = `(?<!\\w)(?:${source})(?!\\w)`;
+
+  let pattern;
+  try {
+    pattern = new RegExp(source, caseSensitive ? "g" : "gi");
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+  if (pattern.test("")) {
+    throw new ValidationError("query must not match an empty string");
+  }
+
+  const template = replaceWith ?? "";
+  // Escaped queries match in linear time; only patterns need the limit.
+  const run = regex ? withTimeLimit : (operation) => operation();
+
+  const replacementFor = ({ match, groups, namedGroups }) => {
+    const text = regex
+      ? expandTemplate(template, match, groups, namedGroups)
+      : template;
+    return preserveCase ? applyCase(match, text) : text;
+  };
+
+  return {
+    options: {
+      query,
+      replaceWith,
+      regex,
+      wholeWord,
+      caseSensitive,
+      preserveCase,
+    },
+    test(text) {
+      return run(() => {
+        pattern.lastIndex = 0;
+        return pattern.test(text);
+      });
+    },
+    findMatches(text) {
+      const matches = [];
+      run(() =>
+        text.replace(pattern, (...args) => {
+          const found = splitReplaceArgs(args);
+          matches.push({
+            index: found.offset,
+            length: found.match.length,
+            text: found.match,
+            replacement: replacementFor(found),
+          });
+          return found.match;
+        })
+      );
+      return matches;
+    },
+    replace(text) {
+      return run(() =>
+        text.replace(pattern, (...args) =>
+          replacementFor(splitReplaceArgs(args))
+        )
+      );
+    },
+  };
+}
+
+/**
+ * Build whole-word, case-insensitive matchers for a list of
+ * `{ term, replaceWith }` rules, such as the brandkit's approved terms.
+ * @param {Array<{term: string, replaceWith: string}>} terms
+ * @returns {object[]}
+ */
+function createTermMatchers(terms = []) {
+  return terms.map((rule) =>
+    createMatcher({
+      query: rule.term,
+      replaceWith: rule.replaceWith,
+      wholeWord: true,
+    })
+  );
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  parseMatchOptions,
+  createMatcher,
+  createTermMatchers,
+  escapeRegExp,
+};
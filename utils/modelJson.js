@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Reads the JSON documents models answer with, which often come
+ * wrapped in markdown fences or prose, or with small syntax errors.
+ */
+
+// jsonrepair 2.x exports the repair function itself.
+const jsonrepair = require("jsonrepair");
+
+/**
+ * Extract the first valid JSON block from model output.
+ * @param {string} raw
+ * @returns {string}
+ */
+function sanitizeModelResponse(raw) {
+  if (!raw) return raw;
+
+  // Remove markdown code fences
+  let cleaned = raw
+    .replace(/^```(json|javascript)?\s*/i, "")
+    .replace(/\s*```$/i, "")
+    .trim();
+
+  // Find first opening brace/bracket
+  const firstCurly = cleaned.indexOf("{");
+  const firstSquare = cleaned.indexOf("[");
+  let start =
+    firstCurly === -1
+      ? firstSquare
+      : firstSquare === -1
+      ? firstCurly
+      : Math.min(firstCurly, firstSquare);
+
+  if (start > 0) cleaned = cleaned.slice(start);
+
+  // Cut after last closing brace/bracket
+  const lastCurly = cleaned.lastIndexOf("}");
+  const lastSquare = cleaned.lastIndexOf("]");
+  let end = Math.max(lastCurly, lastSquare);
+
+  if (end !== -1) cleaned = cleaned.slice(0, end + 1);
+
+  return cleaned.trim();
+}
+
+/**
+ * Parse a model response as JSON, repairing it if needed.
+ * @param {string} raw
+ * @param {{quiet?: boolean}} [options] `quiet` skips the log messages.
+ * @returns {*} The parsed value, or null if it could not be parsed.
+ */
+function parseModelJson(raw, { quiet = false } = {}) {
+  const sanitized = sanitizeModelResponse(raw);
+  try {
+    // Try direct parse first
+    return JSON.parse(sanitized);
+  } catch (e1) {
+    if (!quiet) {
+      console.warn("⚠️ The model returned invalid JSON. Attempting repair...");
+    }
+  }
+  try {
+    const repaired = JSON.parse(jsonrepair(sanitized));
+    if (!quiet) console.log("🔧 JSON repaired successfully.");
+    return repaired;
+  } catch (e2) {
+    if (!quiet)
+      console.error("❌ Still invalid JSON after repair.", e2.message);
+    return null;
+  }
+}
+
+module.exports = { sanitizeModelResponse, parseModelJson };
@@ -0,0 +1,106 @@
+// Keys that reach an object's prototype rather than its own fields.
+const UNSAFE_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+/**
+ * Split a field path like "sections[2].hero.title" into its keys. A stable
+ * key like "sections[@cs9f2c].hero.title" stays "@cs9f2c" and names the
+ * array item with that `_metadata.uid`, wherever it now is.
+ * @param {string} path
+ * @returns {string[]|null} null if a key could reach a prototype.
+ */
+function splitPath(path) {
+  // Convert bracket notation to dot notation for consistent splitting
+  const keys = path.replace(/\[(\d+|@[\w-]+)\]/g, ".$1").split(".");
+  return keys.some((key) => UNSAFE_KEYS.has(key)) ? null : keys;
+}
+
+/**
+ * The `_metadata.uid` Contentstack gives an item of a multiple group, or of a
+ * modular blocks field, where it sits on the item's one block.
+ * @param {*} item
+ * @returns {string|undefined}
+ */
+function getItemUid(item) {
+  if (!item || typeof item !== "object") return undefined;
+  if (item._metadata?.uid) return item._metadata.uid;
+  const values = Object.values(item);
+  return values.length === 1 ? values[0]?._metadata?.uid : undefined;
+}
+
+/**
+ * Resolve one key of a path against the value it indexes into.
+ * @returns {string|number|undefined} undefined if a stable key matches no item.
+ */
+function resolveKey(current, key) {
+  if (!key.startsWith("@") || !Array.isArray(current)) return key;
+  const uid = key.slice(1);
+  const index = current.findIndex((item) => getItemUid(item) === uid);
+  return index === -1 ? undefined : index;
+}
+
+/**
+ * Read the value at a field path. Returns undefined if any part of the path is
+ * missing, or if the path could reach a prototype.
+ * @param {object} obj
+ * @param {string} path
+ * @returns {*}
+ */
+function getNestedValue(obj, path) {
+  const keys = splitPath(path);
+  if (!keys) return undefined;
+  let current = obj;
+  for (const key of keys) {
+    if (current === undefined || current === null) return undefined;
+    const resolved = resolveKey(current, key);
+    if (resolved === undefined) return undefined;
+    current = current[resolved];
+  }
+  return current;
+}
+
+/**
+ * Write a value at a field path. Intermediate keys must already exist.
+ * @param {object} obj
+ * @param {string} path
+ * @param {*} value
+ * @returns {boolean} false if the path could not be traversed or could reach
+ *   a prototype.
+ */
+function setNestedValue(obj, path, value) {
+  const keys = splitPath(path);
+  if (!keys) {
+    console.error(`Refusing to write to the unsafe path '${path}'.`);
+    return false;
+  }
+  let current = obj;
+
+  // Traverse the object to the second-to-last key
+  for (let i = 0; i < keys.length - 1; i++) {
+    const key = resolveKey(current, keys[i]);
+    if (
+      key === undefined ||
+      current[key] === undefined ||
+      current[key] === null
+    ) {
+      console.error(
+        `Path traversal failed at key: '${keys[i]}' in path: '${path}'. The entry structure may have changed.`
+      );
+      return false; // Stop if the path is invalid
+    }
+    current = current[key];
+  }
+
+  const lastKey = resolveKey(current, keys[keys.length - 1]);
+  if (lastKey === undefined) {
+    console.error(
+      `Path traversal failed at key: '${
+        keys[keys.length - 1]
+      }' in path: '${path}'. The entry structure may have changed.`
+    );
+    return false;
+  }
+  current[lastKey] = value;
+  return true;
+}
+
+module.exports = { getItemUid, getNestedValue, setNestedValue };
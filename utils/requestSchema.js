@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Checks request queries and bodies against declarative schemas.
+ *
+ * Schemas are a small subset of JSON Schema, so the same objects also describe
+ * the API in the OpenAPI document (see utils/openapi). Supported keywords:
+ * type (string, integer, number, boolean, array, object), enum, pattern,
+ * minLength, maxLength, minimum, maximum, items, minItems, maxItems,
+ * properties, required, additionalProperties (false only), default and
+ * description. A schema without `type` accepts any value.
+ *
+ * Query strings only carry text, so values are coerced before they are
+ * checked: "true"/"false" become booleans, numeric strings numbers, a single
+ * value a one-item array, and arrays of strings also accept comma-separated
+ * lists ("a,b" is ["a", "b"]). Empty values count as absent, except for
+ * strings.
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isAbsent(schema, value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (value === "" && schema.type !== "string")
+  );
+}
+
+function coerce(schema, value) {
+  switch (schema.type) {
+    case "boolean":
+      if (value === "true") return true;
+      if (value === "false") return false;
+      return value;
+    case "integer":
+    case "number":
+      return typeof value === "string" && value.trim() !== "" && !isNaN(value)
+        ? Number(value)
+        : value;
+    case "array": {
+      const list = Array.isArray(value) ? value : [value];
+      if (schema.items?.type !== "string") return list;
+      return list
+        .flatMap((item) => (typeof item === "string" ? item.split(",") : item))
+        .map((item) => (typeof item === "string" ? item.trim() : item))
+        .filter((item) => item !== "");
+    }
+    default:
+      return value;
+  }
+}
+
+function describeType(schema) {
+  return schema.type === "integer" ? "a whole number" : `a ${schema.type}`;
+}
+
+function hasType(schema, value) {
+  switch (schema.type) {
+    case undefined:
+      return true;
+    case "string":
+      return typeof value === "string";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    default:
+      throw new Error(`Unsupported schema type "${schema.type}"`);
+  }
+}
+
+/**
+ * Coerce and check one value, collecting every problem in `errors`.
+ * @returns {*} The coerced value.
+ */
+function check(schema, rawValue, path, errors) {
+  const value = coerce(schema, rawValue);
+  if (!hasType(schema, value)) {
+    errors.push({ path, message: `must be ${describeType(schema)}` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(", ")}` });
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path,
+        message:
+          schema.minLength === 1
+            ? "must not be empty"
+            : `must be at least ${schema.minLength} characters`,
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({
+        path,
+        message: `must be at most ${schema.maxLength} characters`,
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({
+        path,
+        message: schema.patternMessage || `must match ${schema.pattern}`,
+      });
+    }
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        path,
+        message: `must have at least ${schema.minItems} item${
+          schema.minItems === 1 ? "" : "s"
+        }`,
+      });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({
+        path,
+        message: `must have at most ${schema.maxItems} items`,
+      });
+    }
+    if (schema.items) {
+      return value.map((item, index) =>
+        check(schema.items, item, `${path}[${index}]`, errors)
+      );
+    }
+    return value;
+  }
+
+  if (isPlainObject(value) && schema.type === "object") {
+    return checkProperties(schema, value, path, errors);
+  }
+  return value;
+}
+
+function checkProperties(schema, value, path, errors) {
+  const prefix = path ? `${path}.` : "";
+  const result = { ...value };
+  const properties = schema.properties || {};
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    if (isAbsent(propertySchema, value[name])) {
+      delete result[name];
+      if ((schema.required || []).includes(name)) {
+        errors.push({ path: `${prefix}${name}`, message: "is required" });
+      }
+      continue;
+    }
+    result[name] = check(propertySchema, value[name], prefix + name, errors);
+  }
+
+  if (schema.additionalProperties === false) {
+    Object.keys(value)
+      .filter((name) => !(name in properties))
+      .forEach((name) =>
+        errors.push({ path: `${prefix}${name}`, message: "is not allowed" })
+      );
+  }
+  return result;
+}
+
+/**
+ * Coerce and check a request query or body against an object schema.
+ * Properties the schema does not describe are passed through unchanged.
+ * @param {object} schema An object schema.
+ * @param {*} value `req.query` or `req.body`.
+ * @param {string} [path] Prefix for problem paths, e.g. "query".
+ * @returns {{value: *, errors: {path: string, message: string}[]}}
+ */
+function validate(schema, value, path = "") {
+  const errors = [];
+  if (schema.type === "object" && !isPlainObject(value ?? {})) {
+    errors.push({ path: path || "(root)", message: "must be an object" });
+    return { value, errors };
+  }
+  const result =
+    schema.type === "object"
+      ? checkProperties(schema, value ?? {}, path, errors)
+      : check(schema, value, path, errors);
+  return { value: result, errors };
+}
+
+// Keywords only this module understands, left out of the OpenAPI document.
+const INTERNAL_KEYWORDS = new Set(["patternMessage"]);
+
+/**
+ * The OpenAPI (3.0) form of a schema.
+ * @param {object} schema
+ * @returns {object}
+ */
+function toOpenApiSchema(schema) {
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (INTERNAL_KEYWORDS.has(key)) continue;
+    if (key === "items") {
+      result.items = toOpenApiSchema(value);
+    } else if (key === "properties") {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [
+          name,
+          toOpenApiSchema(property),
+        ])
+      );
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+module.exports = { validate, toOpenApiSchema };
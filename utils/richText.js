@@ -0,0 +1,379 @@
+/**
+ * @fileoverview Replacement engine for rich text fields. HTML strings and
+ * JSON RTE documents are split into runs of visible text (a run ends at block
+ * boundaries but spans inline markup), matching happens on the run's text, and
+ * the result is written back into the original text nodes so tags, attributes
+ * and marks are preserved.
+ */
+
+// HTML tags that do not interrupt a run of text, e.g. "Gem<strong>ini</strong>".
+const INLINE_HTML_TAGS = new Set([
+  "a",
+  "abbr",
+  "b",
+  "code",
+  "del",
+  "em",
+  "font",
+  "i",
+  "ins",
+  "mark",
+  "s",
+  "small",
+  "span",
+  "strong",
+  "sub",
+  "sup",
+  "u",
+]);
+
+// JSON RTE element types whose children flow inline with their siblings.
+const INLINE_RTE_TYPES = new Set([
+  "a",
+  "span",
+  "inlineCode",
+  "reference",
+  "fragment",
+]);
+
+// Elements whose content is never visible text.
+const RAW_HTML_TAGS = new Set(["script", "style"]);
+
+const HTML_TOKEN = /<!--[\s\S]*?-->|<![^>]*>|<\/?([a-zA-Z][\w-]*)[^>]*>/g;
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+};
+
+// Numeric entities outside Unicode, surrogates and NUL are left as written.
+function isCharacter(point) {
+  return (
+    point > 0 && point <= 0x10ffff && !(point >= 0xd800 && point <= 0xdfff)
+  );
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point =
+        code[1] === "x" || code[1] === "X"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      return isCharacter(point) ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function encodeEntities(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\u00a0/g, "&nbsp;");
+}
+
+/**
+ * Run a matcher over text that is split across several segments. Each match
+ * is written into the segment where it starts and removed from the segments
+ * it spills into, so the segment boundaries (and their markup) survive.
+ * @param {string[]} segments
+ * @param {object} matcher A matcher from utils/matcher.
+ * @returns {string[]} The new segments (same length as the input).
+ */
+function replaceAcrossSegments(segments, matcher) {
+  const text = segments.join("");
+  const matches = matcher.findMatches(text);
+  if (matches.length === 0) return segments;
+
+  let start = 0;
+  return segments.map((segment) => {
+    const end = start + segment.length;
+    let pos = start;
+    let result = "";
+
+    for (const match of matches) {
+      const matchEnd = match.index + match.length;
+      if (matchEnd <= start || match.index >= end) continue;
+
+      if (match.index > pos) result += text.slice(pos, match.index);
+      if (match.index >= start) result += match.replacement;
+      pos = Math.min(matchEnd, end);
+    }
+
+    result += text.slice(pos, end);
+    start = end;
+    return result;
+  });
+}
+
+/**
+ * Split an HTML string into tokens and group its text tokens into runs.
+ * @param {string} html
+ * @returns {{tokens: Array<{text: string, isText: boolean}>, runs: number[][]}}
+ */
+function parseHtml(html) {
+  const tokens = [];
+  const runs = [];
+  let current = [];
+  let rawTag = null;
+  let lastIndex = 0;
+
+  const flush = () => {
+    if (current.length > 0) runs.push(current);
+    current = [];
+  };
+  const pushText = (raw) => {
+    if (!raw) return;
+    tokens.push({ text: raw, isText: rawTag === null });
+    if (rawTag === null) current.push(tokens.length - 1);
+  };
+
+  for (const match of html.matchAll(HTML_TOKEN)) {
+    pushText(html.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+    tokens.push({ text: match[0], isText: false });
+
+    const tagName = (match[1] || "").toLowerCase();
+    const isClosing = match[0][1] === "/";
+    if (RAW_HTML_TAGS.has(tagName)) {
+      rawTag = isClosing ? null : tagName;
+    }
+    if (!INLINE_HTML_TAGS.has(tagName)) flush();
+  }
+  pushText(html.slice(lastIndex));
+  flush();
+
+  return { tokens, runs };
+}
+
+/**
+ * Rewrite each run of an HTML string. `mapSegments` receives the decoded
+ * text segments of a run and returns new segments (same length).
+ */
+function mapHtmlRuns(html, mapSegments) {
+  const { tokens, runs } = parseHtml(html);
+
+  runs.forEach((run, runIndex) => {
+    const original = run.map((i) => decodeEntities(tokens[i].text));
+    const segments = mapSegments(original, runIndex);
+    run.forEach((tokenIndex, i) => {
+      if (segments[i] !== original[i]) {
+        tokens[tokenIndex].text = encodeEntities(segments[i]);
+      }
+    });
+  });
+
+  return tokens.map((token) => token.text).join("");
+}
+
+function applyMatchers(segments, matchers) {
+  return matchers.reduce(
+    (current, matcher) => replaceAcrossSegments(current, matcher),
+    segments
+  );
+}
+
+function replaceInHtml(html, matchers) {
+  return mapHtmlRuns(html, (segments) => applyMatchers(segments, matchers));
+}
+
+function htmlRuns(html) {
+  const { tokens, runs } = parseHtml(html);
+  return runs.map((run) =>
+    run.map((i) => decodeEntities(tokens[i].text)).join("")
+  );
+}
+
+/**
+ * Group the text leaves of a JSON RTE document into runs.
+ * @param {object} doc
+ * @returns {object[][]} Arrays of leaf nodes ({ text, ...marks }).
+ */
+function collectRteRuns(doc) {
+  const runs = [];
+  let current = [];
+  const flush = () => {
+    if (current.length > 0) runs.push(current);
+    current = [];
+  };
+
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (typeof node.text === "string") {
+      current.push(node);
+      return;
+    }
+    const inline = INLINE_RTE_TYPES.has(node.type);
+    if (!inline) flush();
+    (node.children || []).forEach(visit);
+    if (!inline) flush();
+  };
+
+  visit(doc);
+  flush();
+  return runs;
+}
+
+function mapJsonRteRuns(doc, mapSegments) {
+  const updated = structuredClone(doc);
+
+  collectRteRuns(updated).forEach((run, runIndex) => {
+    const segments = mapSegments(
+      run.map((leaf) => leaf.text),
+      runIndex
+    );
+    run.forEach((leaf, i) => {
+      leaf.text = segments[i];
+    });
+  });
+
+  return updated;
+}
+
+function replaceInJsonRte(doc, matchers) {
+  return mapJsonRteRuns(doc, (segments) => applyMatchers(segments, matchers));
+}
+
+function rteRuns(doc) {
+  return collectRteRuns(doc).map((run) =>
+    run.map((leaf) => leaf.text).join("")
+  );
+}
+
+/**
+ * The runs of visible text in a field value, by field kind.
+ * @param {string} kind A kind from utils/fieldTargets.
+ * @param {*} value
+ * @returns {string[]}
+ */
+function getTextRuns(kind, value) {
+  if (kind === "html" && typeof value === "string") return htmlRuns(value);
+  if (kind === "json_rte" && value && typeof value === "object") {
+    return rteRuns(value);
+  }
+  return typeof value === "string" ? [value] : [];
+}
+
+/**
+ * Replace matches in the visible text of a field, preserving its markup.
+ * @param {string} kind A kind from utils/fieldTargets.
+ * @param {*} value The field value (string, HTML string or JSON RTE doc).
+ * @param {object[]} matchers Matchers from utils/matcher, applied in order.
+ * @returns {*} The new field value.
+ */
+function replaceInField(kind, value, matchers) {
+  if (kind === "html" && typeof value === "string") {
+    return replaceInHtml(value, matchers);
+  }
+  if (kind === "json_rte" && value && typeof value === "object") {
+    return replaceInJsonRte(value, matchers);
+  }
+  if (typeof value !== "string") return value;
+  return matchers.reduce((text, matcher) => matcher.replace(text), value);
+}
+
+/**
+ * A single-match stand-in for a matcher that turns `before` into `after`:
+ * the match covers the text between their common prefix and suffix.
+ */
+function editMatcher(before, after) {
+  let prefix = 0;
+  while (
+    prefix < before.length &&
+    prefix < after.length &&
+    before[prefix] === after[prefix]
+  ) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  // A pure insertion still needs a character to anchor it to a segment.
+  if (before.length - prefix - suffix === 0) {
+    if (prefix > 0) prefix--;
+    else suffix--;
+  }
+  const match = {
+    index: prefix,
+    length: before.length - prefix - suffix,
+    text: before.slice(prefix, before.length - suffix),
+    replacement: after.slice(prefix, after.length - suffix),
+  };
+  return { findMatches: () => [match] };
+}
+
+/**
+ * Rewrite whole runs of visible text in a field, preserving its markup
+ * wherever the text is unchanged. The edited part of a run is written into
+ * the text node where it starts.
+ * @param {string} kind A kind from utils/fieldTargets.
+ * @param {*} value The field value.
+ * @param {(text: string, runIndex: number) => string} rewrite Returns the new
+ *   text of a run (indexes as in `getTextRuns`).
+ * @returns {*} The new field value.
+ */
+function rewriteTextRuns(kind, value, rewrite) {
+  const mapSegments = (segments, runIndex) => {
+    const before = segments.join("");
+    const after = rewrite(before, runIndex);
+    if (after === before || before === "") return segments;
+    return replaceAcrossSegments(segments, editMatcher(before, after));
+  };
+
+  if (kind === "html" && typeof value === "string") {
+    return mapHtmlRuns(value, mapSegments);
+  }
+  if (kind === "json_rte" && value && typeof value === "object") {
+    return mapJsonRteRuns(value, mapSegments);
+  }
+  if (typeof value !== "string") return value;
+  return rewrite(value, 0);
+}
+
+/**
+ * Check whether the visible text of a field matches.
+ * @param {string} kind
+ * @param {*} value
+ * @param {object} matcher
+ * @returns {boolean}
+ */
+function fieldMatches(kind, value, matcher) {
+  return getTextRuns(kind, value).some((text) => matcher.test(text));
+}
+
+/**
+ * The visible text of a field, for diffs and checks. Rich text is flattened
+ * to one line per run; plain text is returned as-is.
+ * @param {string} kind
+ * @param {*} value
+ * @returns {string}
+ */
+function toPlainText(kind, value) {
+  if (kind !== "html" && kind !== "json_rte" && typeof value === "string") {
+    return value;
+  }
+  return getTextRuns(kind, value)
+    .map((text) => text.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+module.exports = {
+  replaceAcrossSegments,
+  replaceInField,
+  rewriteTextRuns,
+  fieldMatches,
+  toPlainText,
+  getTextRuns,
+};
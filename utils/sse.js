@@ -0,0 +1,47 @@
+/**
+ * Switch a response to a Server-Sent Events stream.
+ * @param {import("express").Response} res
+ * @returns {{send: (event: string, data: *) => void, close: () => void,
+ *   isClosed: () => boolean}}
+ */
+function openEventStream(res) {
+  let closed = false;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.on("close", () => {
+    closed = true;
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    isClosed: () => closed,
+  };
+}
+
+/**
+ * Whether the client asked for a streamed response, either with `stream=true`
+ * or an `Accept: text/event-stream` header.
+ */
+function wantsEventStream(req) {
+  return (
+    // Validated queries carry the flag as a boolean.
+    req.query.stream === true ||
+    req.query.stream === "true" ||
+    (req.get("accept") || "").includes("text/event-stream")
+  );
+}
+
+module.exports = { openEventStream, wantsEventStream };
@@ -0,0 +1,32 @@
+const { ValidationError } = require("./errors");
+
+const IDENTIFIER = /^[a-z0-9_-]+$/i;
+
+function toBoolean(value) {
+  return value === true || value === "true";
+}
+
+/**
+ * Read the Contentstack `locale` and `branch` selection from a request query
+ * or body. Throws a ValidationError on malformed values.
+ * @param {object} source `req.query` or `req.body`.
+ * @returns {{locale?: string, branch?: string, allLocales: boolean}}
+ */
+function parseStackOptions(source = {}) {
+  const { locale, branch } = source;
+  for (const [name, value] of Object.entries({ locale, branch })) {
+    if (
+      value !== undefined &&
+      (typeof value !== "string" || !IDENTIFIER.test(value))
+    ) {
+      throw new ValidationError(`${name} must be a locale code or branch uid`);
+    }
+  }
+  return {
+    ...(locale ? { locale } : {}),
+    ...(branch ? { branch } : {}),
+    allLocales: toBoolean(source.allLocales),
+  };
+}
+
+module.exports = { parseStackOptions };